@@ -10,6 +10,23 @@ const { RobloxAccountManager } = require('./src/RobloxAccountManager');
 const { CommandLineInterface } = require('./src/cli/CommandLineInterface');
 const { logger } = require('./src/utils/logger');
 const { config } = require('./src/utils/config');
+const { migrateStorage } = require('./src/storage/storageFactory');
+const { setVaultPassphrase } = require('./src/utils/fileStorage');
+const { FakeRobloxServer, DEFAULT_USERS } = require('./src/sandbox/FakeRobloxServer');
+
+/**
+ * Start the fake Roblox server that sandbox mode points every Roblox API at
+ * @async
+ * @returns {Promise<FakeRobloxServer>} - Running server
+ */
+async function startSandboxServer() {
+  const server = new FakeRobloxServer({ port: config.SANDBOX.PORT });
+  await server.start();
+  
+  logger.important(`Fake Roblox server running at ${server.baseUrl}`);
+  logger.important(`Sandbox cookies: ${DEFAULT_USERS.filter(user => user.cookie).map(user => `${user.cookie} (${user.name})`).join(', ')}`);
+  return server;
+}
 
 /**
  * Main function to start the application
@@ -19,9 +36,24 @@ async function main() {
   try {
     logger.info('Starting Roblox Account Manager...');
     
+    // The fake server has to be up before the manager starts checking sessions
+    const sandbox = config.SANDBOX.ENABLED ? await startSandboxServer() : null;
+    if (sandbox) {
+      logger.important('Sandbox mode: nothing is sent to Roblox and accounts are kept in data/sandbox.');
+    }
+    
     // Create and initialize the manager
     const manager = new RobloxAccountManager();
     
+    // Flush queued saves before the process is stopped
+    process.once('SIGTERM', async () => {
+      await manager.close();
+      if (sandbox) {
+        await sandbox.stop();
+      }
+      process.exit(0);
+    });
+    
     // Initialize with API if enabled
     await manager.initialize({
       startApi: config.API.ENABLE,
@@ -43,6 +75,47 @@ async function main() {
   }
 }
 
+/**
+ * Copy accounts between storage backends
+ * Usage: node index.js migrate-storage <from> <to> [--force]
+ * @async
+ * @param {string[]} args - Command arguments
+ */
+async function runMigrateStorage(args) {
+  const force = args.includes('--force');
+  const [from, to] = args.filter(arg => !arg.startsWith('--'));
+  
+  if (!from || !to) {
+    logger.important('Usage: node index.js migrate-storage <json|sqlite> <json|sqlite> [--force]');
+    process.exit(1);
+  }
+  
+  // An encrypted JSON source needs its passphrase
+  setVaultPassphrase(config.VAULT.PASSPHRASE);
+  
+  const count = await migrateStorage(from, to, { force });
+  logger.important(`Migrated ${count} accounts from ${from} to ${to} storage.`);
+  process.exit(0);
+}
+
+/**
+ * Run only the fake Roblox server, for pointing other instances or tests at it
+ * Usage: node index.js sandbox-server
+ * @async
+ */
+async function runSandboxServer() {
+  const server = await startSandboxServer();
+  
+  process.once('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+  process.once('SIGTERM', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+}
+
 // Set up global error handlers
 process.on('uncaughtException', (error) => {
   logger.error('Uncaught exception:', error);
@@ -54,8 +127,15 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-// Start the application
-main().catch((error) => {
+// Run a one-off command if one was given, otherwise start the application
+const [command, ...commandArgs] = process.argv.slice(2);
+const commands = {
+  'migrate-storage': () => runMigrateStorage(commandArgs),
+  'sandbox-server': runSandboxServer
+};
+const entryPoint = commands[command] || main;
+
+entryPoint().catch((error) => {
   logger.error('Fatal application error:', error);
   process.exit(1);
 });
\ No newline at end of file
@@ -8,11 +8,39 @@
 
  */
 
+const crypto = require('crypto');
+const readline = require('readline');
 const { BrowserService } = require('./services/BrowserService');
-const { RobloxAPIService } = require('./services/RobloxAPIService');
+const { PRESENCE_TYPES, RobloxAPIService } = require('./services/RobloxAPIService');
+const { SessionMonitor } = require('./services/SessionMonitor');
 const { ApiInterface } = require('./api/ApiInterface');
-const { Account } = require('./models/Account');
-const { saveAccountsToFile, loadAccountsFromFile } = require('./utils/fileStorage');
+const { Account, DEFAULT_GROUP, SESSION_STATUS, PROFILE_FIELDS } = require('./models/Account');
+const { createWorkspaceStorage } = require('./storage/storageFactory');
+const { WriteQueue } = require('./storage/WriteQueue');
+const {
+  accountsFileExists,
+  captureFileState,
+  restoreFileState,
+  isAccountsFileEncrypted,
+  setVaultPassphrase,
+  clearVaultPassphrase,
+  setVaultEnabled,
+  getVaultStatus
+} = require('./utils/fileStorage');
+const {
+  detectFormat,
+  parseAccounts,
+  serializeAccounts,
+  isPlausibleSecurityToken,
+  normalizeSecurityToken
+} = require('./utils/accountFormats');
+const { isRobloxUserId, getAccountKey, mergeAccountData, mergeDuplicateAccounts } = require('./utils/accountIdentity');
+const { DEFAULT_WORKSPACE, isValidWorkspaceName, listWorkspaces } = require('./utils/workspaces');
+const { getJoinType, createLaunchEntry, getLaunchEntries, summarizeLaunches } = require('./utils/launchHistory');
+const { parseQuery, matchesQuery } = require('./utils/accountQuery');
+const { JOIN_STRATEGIES, hasRoom, parseStrategy, pickServer } = require('./utils/serverBrowser');
+const { LINK_TYPES, parseGameLink } = require('./utils/placeLinks');
+const { questionMasked } = require('./utils/prompt');
 const { config } = require('./utils/config');
 const { logger } = require('./utils/logger');
 
@@ -54,6 +82,27 @@ class RobloxAccountManager {
      */
     this.apiService = new RobloxAPIService();
     
+    /**
+     * Name of the active workspace
+     * @type {string}
+     * @private
+     */
+    this.workspace = config.WORKSPACE.ACTIVE;
+    
+    /**
+     * Storage backend for the active workspace
+     * @type {StorageAdapter}
+     * @private
+     */
+    this.storage = null;
+    
+    /**
+     * Queue that coalesces writes to storage
+     * @type {WriteQueue}
+     * @private
+     */
+    this.writeQueue = null;
+    
     /**
      * API interface for handling external requests
      * @type {ApiInterface}
@@ -67,6 +116,47 @@ class RobloxAccountManager {
      * @private
      */
     this.nextServers = new Map();
+    
+    /**
+     * Names of groups created by the user, including ones with no accounts yet.
+     * The default group is implicit and never listed here.
+     * @type {string[]}
+     * @private
+     */
+    this.groups = [];
+    
+    /**
+     * Deleted accounts that can still be restored, by account key
+     * @type {Object.<string, {deletedAt: string, account: Object}>}
+     * @private
+     */
+    this.trash = {};
+    
+    /**
+     * Timer that purges expired accounts from the trash
+     * @type {Object|null}
+     * @private
+     */
+    this.trashTimer = null;
+    
+    /**
+     * Whether the account vault is locked (accounts not loaded)
+     * @type {boolean}
+     * @private
+     */
+    this.vaultLocked = false;
+    
+    /**
+     * Background checker for expired account sessions
+     * @type {SessionMonitor}
+     * @private
+     */
+    this.sessionMonitor = new SessionMonitor(this);
+    this.sessionMonitor.on('expired', ({ username, reason }) => {
+      logger.warn(`Session for ${username} has expired (${reason}). Log in again to keep using it.`);
+    });
+    
+    this._attachStorage(this.workspace);
   }
 
   /**
@@ -75,51 +165,462 @@ class RobloxAccountManager {
    * @param {Object} options - Initialization options
    * @param {boolean} options.startApi - Whether to start the API server
    * @param {number} options.apiPort - Port for the API server
+   * @param {string} [options.vaultPassphrase] - Passphrase for an encrypted accounts file
    * @returns {Promise<void>}
    */
   async initialize(options = {}) {
+    if (!isValidWorkspaceName(this.workspace)) {
+      throw new Error(`Invalid workspace name "${this.workspace}". Use letters, numbers, "-" and "_".`);
+    }
+    
     try {
-      // Load saved accounts from storage
-      const data = await loadAccountsFromFile();
-      
-      if (data) {
-        if (data.accounts) {
-          // Convert plain objects to Account instances
-          Object.entries(data.accounts).forEach(([key, accountData]) => {
-            this.accounts[key] = new Account(accountData);
-          });
-          
-          this.lastUsedPlaceId = data.lastUsedPlaceId || null;
-          
-          // Load next servers map if available
-          if (data.nextServers) {
-            this.nextServers = new Map(Object.entries(data.nextServers));
-          }
-        } else {
-          // Handle old format (just accounts)
-          Object.entries(data).forEach(([key, accountData]) => {
-            this.accounts[key] = new Account(accountData);
-          });
-        }
-        
-        logger.info(`Loaded ${Object.keys(this.accounts).length} saved accounts`);
-        
-        if (this.lastUsedPlaceId) {
-          logger.info(`Last used Place ID: ${this.lastUsedPlaceId}`);
-        }
+      await this._openWorkspace(options.vaultPassphrase, true);
+      
+      if (this.workspace !== DEFAULT_WORKSPACE) {
+        logger.info(`Using workspace "${this.workspace}"`);
+      }
+      
+      if (config.SESSION_MONITOR.ENABLED) {
+        this.sessionMonitor.start();
       }
       
+      this._startTrashPurge();
+      
       // Initialize API server if requested
       if (options.startApi) {
         await this.startApiServer(options.apiPort || config.API_PORT || 8099);
       }
     } catch (error) {
+      // Refuse to run against a file from a newer version or one that couldn't be read
+      if (error.code === 'SCHEMA_TOO_NEW' || error.code === 'ACCOUNTS_FILE_UNREADABLE') {
+        throw error;
+      }
+      
       logger.error('Initialization error:', error);
-      // Create empty accounts file if it doesn't exist
-      await this.saveAccounts();
+      // Create empty accounts file if it doesn't exist, but never replace one
+      if (this.storage.name === 'json' && !await accountsFileExists()) {
+        await this.saveAccounts();
+      }
+    }
+  }
+  
+  /**
+   * Create the storage adapter and write queue for a workspace
+   * @param {string} workspace - Workspace name
+   * @private
+   */
+  _attachStorage(workspace) {
+    this.storage = createWorkspaceStorage(workspace, config.STORAGE.BACKEND);
+    this.writeQueue = new WriteQueue(this.storage);
+    this.storage.on('externalChange', result => this._applyExternalChange(result));
+  }
+  
+  /**
+   * Open the active workspace's storage and load its accounts
+   * @async
+   * @param {string} [passphrase] - Passphrase for an encrypted accounts file
+   * @param {boolean} [allowPrompt=false] - Whether to prompt for a missing passphrase
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _openWorkspace(passphrase, allowPrompt = false) {
+    await this.storage.open();
+    
+    // Unlock the vault first if the accounts file is encrypted
+    if (this.storage.supportsVault && await isAccountsFileEncrypted()) {
+      const vaultPassphrase = passphrase || 
+                              config.VAULT.PASSPHRASE || 
+                              (allowPrompt ? await this._promptPassphrase('Vault passphrase: ') : null);
+      
+      if (!await this.unlockVault(vaultPassphrase)) {
+        logger.warn('Accounts vault is locked. Unlock it from the menu or API to load accounts.');
+      }
+    } else {
+      // Load saved accounts from storage
+      const data = await this.storage.load();
+      this._applyStoredData(data);
+    }
+    
+    // Pick up edits from other instances sharing the same storage
+    if (config.STORAGE.WATCH) {
+      this.storage.watch();
     }
   }
   
+  /**
+   * Get the name of the active workspace
+   * @returns {string} - Workspace name
+   */
+  getWorkspace() {
+    return this.workspace;
+  }
+  
+  /**
+   * List all workspaces
+   * @async
+   * @returns {Promise<string[]>} - Workspace names
+   */
+  async listWorkspaces() {
+    return listWorkspaces();
+  }
+  
+  /**
+   * Switch to another workspace without restarting, creating it if needed
+   * @async
+   * @param {string} name - Workspace name
+   * @param {string} [passphrase] - Passphrase if the workspace's accounts file is encrypted
+   * @returns {Promise<boolean>} - Whether the switch was successful
+   */
+  async switchWorkspace(name, passphrase) {
+    if (!isValidWorkspaceName(name)) {
+      logger.error(`Invalid workspace name "${name}". Use letters, numbers, "-" and "_".`);
+      return false;
+    }
+    
+    if (name === this.workspace) {
+      return true;
+    }
+    
+    const isNew = !(await listWorkspaces()).includes(name);
+    
+    // Finish with the current workspace before letting go of it
+    await this.flush();
+    const previous = {
+      workspace: this.workspace,
+      storage: this.storage,
+      writeQueue: this.writeQueue,
+      accounts: this.accounts,
+      nextServers: this.nextServers,
+      groups: this.groups,
+      trash: this.trash,
+      lastUsedPlaceId: this.lastUsedPlaceId,
+      vaultLocked: this.vaultLocked,
+      fileState: captureFileState()
+    };
+    await this.storage.close();
+    this.storage.removeAllListeners();
+    
+    this.accounts = {};
+    this.nextServers = new Map();
+    this.groups = [];
+    this.trash = {};
+    this.lastUsedPlaceId = null;
+    this.vaultLocked = false;
+    this.workspace = name;
+    this._attachStorage(name);
+    
+    try {
+      await this._openWorkspace(passphrase);
+      
+      if (isNew) {
+        await this.saveAccounts();
+        logger.info(`Created workspace "${name}"`);
+      }
+    } catch (error) {
+      logger.error(`Failed to open workspace "${name}":`, error.message);
+      await this._restoreWorkspace(previous);
+      return false;
+    }
+    
+    logger.info(`Switched to workspace "${name}"`);
+    return true;
+  }
+  
+  /**
+   * Go back to the workspace that was active before a failed switch.
+   * Its storage is reopened and its in-memory state and unlocked vault are
+   * put back as they were, so nothing has to be reloaded or unlocked again.
+   * @async
+   * @param {Object} previous - State captured before the switch
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _restoreWorkspace(previous) {
+    this.writeQueue.clear();
+    await this.storage.close().catch(() => {});
+    this.storage.removeAllListeners();
+    
+    this.workspace = previous.workspace;
+    this.storage = previous.storage;
+    this.writeQueue = previous.writeQueue;
+    this.accounts = previous.accounts;
+    this.nextServers = previous.nextServers;
+    this.groups = previous.groups;
+    this.trash = previous.trash;
+    this.lastUsedPlaceId = previous.lastUsedPlaceId;
+    this.vaultLocked = previous.vaultLocked;
+    
+    this.storage.on('externalChange', result => this._applyExternalChange(result));
+    await this.storage.open();
+    restoreFileState(previous.fileState);
+    
+    if (config.STORAGE.WATCH) {
+      this.storage.watch();
+    }
+    
+    logger.info(`Stayed in workspace "${previous.workspace}"`);
+  }
+  
+  /**
+   * Replace in-memory state with data loaded from storage
+   * @param {Object|null} data - Stored accounts document
+   * @private
+   */
+  _applyStoredData(data) {
+    if (!data) {
+      return;
+    }
+    
+    // Storage hands us a document already migrated to the current schema
+    Object.entries(data.accounts || {}).forEach(([key, accountData]) => {
+      this.accounts[key] = new Account(accountData);
+    });
+    
+    this.lastUsedPlaceId = data.lastUsedPlaceId || null;
+    this.groups = Array.isArray(data.groups) ? data.groups : [];
+    
+    // Load next servers map if available
+    if (data.nextServers) {
+      this.nextServers = new Map(Object.entries(data.nextServers));
+    }
+    
+    this.trash = { ...(data.trash || {}) };
+    
+    logger.info(`Loaded ${Object.keys(this.accounts).length} saved accounts`);
+    
+    if (this.lastUsedPlaceId) {
+      logger.info(`Last used Place ID: ${this.lastUsedPlaceId}`);
+    }
+  }
+  
+  /**
+   * Merge changes another process made to storage into the in-memory state.
+   * Entries with unsaved local edits keep the local version.
+   * @param {Object} result - Merge result from the storage adapter
+   * @param {Object} result.document - Merged document
+   * @param {Object} result.changes - Keys changed by the other process, by section
+   * @private
+   */
+  _applyExternalChange({ document, changes }) {
+    if (this.vaultLocked) {
+      return;
+    }
+    
+    const isConflict = (section, key, localValue, remoteValue) => {
+      if (!this.writeQueue.isPending(section, key)) {
+        return false;
+      }
+      if (JSON.stringify(localValue) !== JSON.stringify(remoteValue)) {
+        logger.warn(`Conflict in ${section} "${key}": changed by another instance and by this one. Keeping this instance's version.`);
+      }
+      return true;
+    };
+    
+    changes.accounts.forEach((key) => {
+      const local = this.accounts[key] ? this.accounts[key].toJSON() : undefined;
+      const remote = document.accounts[key];
+      if (isConflict('accounts', key, local, remote)) {
+        return;
+      }
+      
+      if (remote) {
+        this.accounts[key] = new Account(remote);
+      } else {
+        delete this.accounts[key];
+      }
+    });
+    
+    changes.nextServers.forEach((key) => {
+      const remote = document.nextServers[key];
+      if (isConflict('nextServers', key, this.nextServers.get(key), remote)) {
+        return;
+      }
+      
+      if (remote) {
+        this.nextServers.set(key, remote);
+      } else {
+        this.nextServers.delete(key);
+      }
+    });
+    
+    changes.trash.forEach((key) => {
+      const remote = document.trash[key];
+      if (isConflict('trash', key, this.trash[key], remote)) {
+        return;
+      }
+      
+      if (remote) {
+        this.trash[key] = remote;
+      } else {
+        delete this.trash[key];
+      }
+    });
+    
+    if (changes.settings.includes('lastUsedPlaceId') &&
+        !isConflict('settings', 'lastUsedPlaceId', this.lastUsedPlaceId, document.lastUsedPlaceId)) {
+      this.lastUsedPlaceId = document.lastUsedPlaceId || null;
+    }
+    
+    if (changes.settings.includes('groups') &&
+        !isConflict('settings', 'groups', this.groups, document.groups)) {
+      this.groups = Array.isArray(document.groups) ? document.groups : [];
+    }
+    
+    const total = changes.accounts.length + changes.nextServers.length + changes.trash.length + changes.settings.length;
+    if (total > 0) {
+      logger.info(`Reloaded ${total} change(s) made by another instance`);
+    }
+  }
+  
+  /**
+   * Prompt for a passphrase on the terminal without echoing it
+   * @async
+   * @param {string} question - Prompt text
+   * @returns {Promise<string|null>} - Entered passphrase or null if no terminal is attached
+   * @private
+   */
+  async _promptPassphrase(question) {
+    if (!process.stdin.isTTY) {
+      return null;
+    }
+    
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true
+    });
+    
+    const answer = await questionMasked(rl, question);
+    rl.close();
+    return answer;
+  }
+  
+  /**
+   * Get the current vault status
+   * @returns {{enabled: boolean, locked: boolean}} - Vault status
+   */
+  getVaultStatus() {
+    return getVaultStatus();
+  }
+  
+  /**
+   * Unlock the encrypted accounts vault and load its accounts
+   * @async
+   * @param {string} passphrase - Master passphrase
+   * @returns {Promise<boolean>} - Whether the vault was unlocked
+   */
+  async unlockVault(passphrase) {
+    if (!passphrase) {
+      this.vaultLocked = true;
+      return false;
+    }
+    
+    setVaultPassphrase(passphrase);
+    
+    try {
+      const data = await this.storage.load();
+      this.accounts = {};
+      this.nextServers = new Map();
+      this.trash = {};
+      this._applyStoredData(data);
+      this.vaultLocked = false;
+      logger.info('Accounts vault unlocked');
+      return true;
+    } catch (error) {
+      clearVaultPassphrase();
+      this.vaultLocked = true;
+      logger.error(error.message);
+      return false;
+    }
+  }
+  
+  /**
+   * Lock the vault, dropping decrypted accounts from memory
+   * @async
+   * @returns {Promise<boolean>} - Whether the vault was locked
+   */
+  async lockVault() {
+    if (!getVaultStatus().enabled) {
+      logger.warn('Vault is not enabled; nothing to lock');
+      return false;
+    }
+    
+    // Locking drops the decrypted accounts, so unsaved changes would be lost
+    if (!this.vaultLocked && !await this.saveAccounts()) {
+      logger.error('Could not save accounts; the vault was not locked');
+      return false;
+    }
+    
+    clearVaultPassphrase();
+    this.accounts = {};
+    this.nextServers = new Map();
+    this.trash = {};
+    this.vaultLocked = true;
+    logger.info('Accounts vault locked');
+    return true;
+  }
+  
+  /**
+   * Convert the plaintext accounts file to an encrypted vault
+   * @async
+   * @param {string} passphrase - New master passphrase
+   * @returns {Promise<boolean>} - Whether the conversion succeeded
+   */
+  async enableVault(passphrase) {
+    if (!this.storage.supportsVault) {
+      logger.error(`The ${this.storage.name} storage backend does not support the vault`);
+      return false;
+    }
+    
+    if (this.vaultLocked) {
+      logger.error('Unlock the vault before changing its passphrase');
+      return false;
+    }
+    
+    if (!passphrase) {
+      logger.error('A passphrase is required to enable the vault');
+      return false;
+    }
+    
+    const previous = captureFileState();
+    setVaultPassphrase(passphrase);
+    setVaultEnabled(true);
+    if (!await this.saveAccounts()) {
+      // The file on disk is unchanged, so keep treating it the way it was
+      restoreFileState(previous);
+      logger.error('Could not write the encrypted vault; the accounts file was not converted');
+      return false;
+    }
+    
+    logger.info('Accounts file converted to encrypted vault');
+    return true;
+  }
+  
+  /**
+   * Convert the encrypted vault back to a plaintext accounts file
+   * @async
+   * @returns {Promise<boolean>} - Whether the conversion succeeded
+   */
+  async disableVault() {
+    if (this.vaultLocked) {
+      logger.error('Unlock the vault before converting it to plaintext');
+      return false;
+    }
+    
+    const previous = captureFileState();
+    setVaultEnabled(false);
+    clearVaultPassphrase();
+    if (!await this.saveAccounts()) {
+      // The file on disk is still encrypted, so keep the vault enabled and unlocked
+      restoreFileState(previous);
+      logger.error('Could not write the plaintext accounts file; the vault was not converted');
+      return false;
+    }
+    
+    logger.info('Accounts vault converted to plaintext');
+    return true;
+  }
+  
   /**
    * Start the API server
    * @async
@@ -159,35 +660,202 @@ class RobloxAccountManager {
   }
 
   /**
-   * Save accounts to persistent storage
+   * Save all accounts to persistent storage
    * @async
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} - Resolves once the write completes
    */
   async saveAccounts() {
-    try {
-      // Convert Account instances to plain objects for storage
-      const accountsData = {};
-      Object.entries(this.accounts).forEach(([key, account]) => {
-        accountsData[key] = account.toJSON();
-      });
-      
-      // Convert Map to object for storage
-      const nextServersObj = {};
-      this.nextServers.forEach((serverInfo, accountName) => {
-        nextServersObj[accountName] = serverInfo;
-      });
-      
-      const dataToSave = {
-        accounts: accountsData,
-        lastUsedPlaceId: this.lastUsedPlaceId,
-        nextServers: nextServersObj
-      };
-      
-      await saveAccountsToFile(dataToSave);
-      logger.info('Accounts saved successfully');
-    } catch (error) {
-      logger.error('Error saving accounts:', error);
+    // Convert Account instances to plain objects for storage
+    const accountsData = {};
+    Object.entries(this.accounts).forEach(([key, account]) => {
+      accountsData[key] = account.toJSON();
+    });
+    
+    // Convert Map to object for storage
+    const nextServersObj = {};
+    this.nextServers.forEach((serverInfo, accountName) => {
+      nextServersObj[accountName] = serverInfo;
+    });
+    
+    const dataToSave = {
+      accounts: accountsData,
+      lastUsedPlaceId: this.lastUsedPlaceId,
+      nextServers: nextServersObj,
+      trash: this.trash,
+      groups: this.groups
+    };
+    
+    return this._persist('accounts', queue => queue.saveAll(dataToSave));
+  }
+  
+  /**
+   * Queue a storage write, unless the vault is locked.
+   * Queued writes are merged and written together shortly after.
+   * @param {string} description - What is being saved, for log messages
+   * @param {Function} write - Receives the write queue and queues the change
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   * @private
+   */
+  _persist(description, write) {
+    if (this.vaultLocked) {
+      logger.warn(`Vault is locked; ${description} was not saved`);
+      return Promise.resolve(false);
+    }
+    
+    return write(this.writeQueue);
+  }
+  
+  /**
+   * Write all queued changes now
+   * @async
+   * @returns {Promise<boolean>} - Whether the last write was successful
+   */
+  async flush() {
+    return this.writeQueue.flush();
+  }
+  
+  /**
+   * Find an account's key from its key or its username (case-insensitive).
+   * The API accepts either, so scripts can keep using usernames.
+   * @param {string|number} identifier - Account key, user ID or username
+   * @returns {string|null} - Account key, or null if no account matches
+   */
+  resolveAccountKey(identifier) {
+    if (identifier === undefined || identifier === null || identifier === '') {
+      return null;
+    }
+    
+    const value = String(identifier);
+    if (this.accounts[value]) {
+      return value;
+    }
+    
+    const username = value.toLowerCase();
+    return Object.keys(this.accounts)
+      .find(key => this.accounts[key].username.toLowerCase() === username) || null;
+  }
+  
+  /**
+   * Find the key of an existing account that is the same Roblox user as the given data.
+   * Matches on user ID, falling back to the username when either side has no user ID.
+   * @param {Object} data - Account data
+   * @returns {string|null} - Existing account key or null
+   * @private
+   */
+  _findExistingAccountKey(data) {
+    if (isRobloxUserId(data.userId)) {
+      const byId = Object.keys(this.accounts)
+        .find(key => String(this.accounts[key].userId) === String(data.userId));
+      if (byId) {
+        return byId;
+      }
+    }
+    
+    const byName = this.resolveAccountKey(data.username);
+    if (byName && !(isRobloxUserId(data.userId) && isRobloxUserId(this.accounts[byName].userId))) {
+      return byName;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Store account data under its identity key, replacing the existing entry if given
+   * @param {Object} accountData - Account data
+   * @param {string} [existingKey] - Key of the entry being replaced
+   * @returns {string} - Key the account is stored under
+   * @private
+   */
+  _storeAccount(accountData, existingKey = null) {
+    const accountKey = getAccountKey(accountData, existingKey || accountData.username);
+    this.accounts[existingKey || accountKey] = new Account(accountData);
+    
+    if (existingKey && existingKey !== accountKey) {
+      return this._rekeyAccount(existingKey, accountKey);
+    }
+    
+    this.saveAccount(accountKey);
+    return accountKey;
+  }
+  
+  /**
+   * Move an account to a new key, merging it into any account already stored there
+   * @param {string} oldKey - Current key
+   * @param {string} newKey - New key
+   * @returns {string} - The new key
+   * @private
+   */
+  _rekeyAccount(oldKey, newKey) {
+    let account = this.accounts[oldKey];
+    if (this.accounts[newKey]) {
+      account = new Account(mergeDuplicateAccounts(this.accounts[newKey].toJSON(), account.toJSON()));
+      logger.info(`Merged duplicate entries for ${account.username}`);
+    }
+    
+    delete this.accounts[oldKey];
+    this.accounts[newKey] = account;
+    this._persist(`removal of ${oldKey}`, queue => queue.deleteAccount(oldKey));
+    this._persist(`launch history of ${oldKey}`, queue => queue.moveHistory(oldKey, newKey));
+    
+    if (this.nextServers.has(oldKey)) {
+      const serverInfo = this.nextServers.get(oldKey);
+      this.nextServers.delete(oldKey);
+      this.nextServers.set(newKey, serverInfo);
+      this._persist('next server', queue => queue.setNextServer(oldKey, null));
+      this._persist('next server', queue => queue.setNextServer(newKey, serverInfo));
+    }
+    
+    this.saveAccount(newKey);
+    return newKey;
+  }
+  
+  /**
+   * Apply the username and user ID Roblox reports for an account's cookie.
+   * Picks up username changes, and moves accounts that had no user ID to their user ID key.
+   * @param {string} accountKey - Account key
+   * @param {{id: number, name: string}} accountInfo - Account info from Roblox
+   * @returns {string} - The account's key afterwards
+   */
+  syncAccountIdentity(accountKey, accountInfo) {
+    const account = this.accounts[accountKey];
+    if (!account || !isRobloxUserId(accountInfo.id)) {
+      return accountKey;
+    }
+    
+    // A cookie for a different user is a data problem, not a rename
+    if (isRobloxUserId(account.userId) && String(account.userId) !== String(accountInfo.id)) {
+      logger.warn(`The cookie stored for ${account.username} belongs to ${accountInfo.name} (User ID: ${accountInfo.id})`);
+      return accountKey;
+    }
+    
+    const renamed = accountInfo.name && accountInfo.name !== account.username;
+    const learnedId = !isRobloxUserId(account.userId);
+    if (!renamed && !learnedId) {
+      return accountKey;
+    }
+    
+    if (renamed) {
+      logger.info(`${account.username} was renamed to ${accountInfo.name} on Roblox`);
+      account.username = accountInfo.name;
+    }
+    account.userId = accountInfo.id;
+    
+    return this._storeAccount(account.toJSON(), accountKey);
+  }
+  
+  /**
+   * Persist a single account
+   * @async
+   * @param {string} accountName - Account identifier
+   * @returns {Promise<boolean>} - Whether the save was successful
+   */
+  async saveAccount(accountName) {
+    const account = this.accounts[accountName];
+    if (!account) {
+      return false;
     }
+    
+    return this._persist(`account ${accountName}`, queue => queue.saveAccount(accountName, account.toJSON()));
   }
 
   /**
@@ -210,23 +878,105 @@ class RobloxAccountManager {
     }
   }
 
+  /**
+   * Open the login browser to refresh the session of an existing account.
+   * The captured cookie replaces the account's token; every other field is kept.
+   * @async
+   * @param {string} accountName - Account identifier
+   * @returns {Promise<{success: boolean, message: string}>} - Whether the login browser was opened
+   */
+  async reauthenticateAccount(accountName) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account) {
+      return { success: false, message: `Account "${accountName}" not found` };
+    }
+    
+    try {
+      const page = await this.browserService.launchLoginBrowser({ username: account.username });
+      await this._setupLoginCaptureHandlers(page, (securityToken) => this.refreshAccountToken(accountKey, securityToken));
+      
+      logger.info(`Login page loaded. Log in as ${account.username} to refresh the account.`);
+      return { success: true, message: `Login browser opened. Log in as ${account.username} to refresh the account.` };
+    } catch (error) {
+      logger.error('Error launching login browser:', error);
+      return { success: false, message: `Error: ${error.message}` };
+    }
+  }
+  
+  /**
+   * Replace an account's security token after checking it belongs to the same Roblox user
+   * @async
+   * @param {string} accountName - Account identifier
+   * @param {string} securityToken - New .ROBLOSECURITY cookie value
+   * @returns {Promise<{success: boolean, message: string}>} - Result of the refresh
+   */
+  async refreshAccountToken(accountName, securityToken) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account) {
+      return { success: false, message: `Account "${accountName}" not found` };
+    }
+    
+    const accountInfo = await this.apiService.getAccountInfo(securityToken);
+    if (!accountInfo.id) {
+      logger.error(`Could not verify the new cookie for ${accountName}`);
+      return { success: false, message: 'Roblox did not accept the new cookie' };
+    }
+    
+    // Match on user ID when we have one; placeholders and accounts imported without one fall back to the username
+    const sameUser = isRobloxUserId(account.userId)
+      ? String(account.userId) === String(accountInfo.id)
+      : account.username.toLowerCase() === String(accountInfo.name).toLowerCase();
+    
+    if (!sameUser) {
+      const message = `Logged in as ${accountInfo.name} (User ID: ${accountInfo.id}), ` +
+                      `which is not ${account.username}. The account was not changed.`;
+      logger.error(message);
+      return { success: false, message };
+    }
+    
+    account.securityToken = securityToken;
+    account.setSessionStatus(SESSION_STATUS.VALID);
+    await this.saveAccount(accountKey);
+    this.syncAccountIdentity(accountKey, accountInfo);
+    
+    logger.info(`Refreshed session for ${account.username}`);
+    return { success: true, message: `Refreshed session for ${account.username}` };
+  }
+
   /**
    * Set up request interception handlers to capture login credentials
    * @async
    * @param {Object} page - Browser page object
+   * @param {Function} [onCapture] - Called once with the captured cookie and password;
+   *   defaults to adding a new account
    * @private
    * @returns {Promise<void>}
    */
-  async _setupLoginCaptureHandlers(page) {
+  async _setupLoginCaptureHandlers(page, onCapture = (securityToken, password) => this.addAccount(securityToken, password)) {
+    const loginUrl = `${config.ROBLOX_ENDPOINTS.AUTH}/v2/login`;
+    const signupUrl = `${config.ROBLOX_ENDPOINTS.AUTH}/v2/signup`;
+    const homeUrl = `${config.ROBLOX_ENDPOINTS.WWW}/home`;
     let password = '';
+    let captured = false;
+    
+    // Both the auth response and the redirect home can report the same login
+    const capture = async (securityToken) => {
+      if (captured) {
+        return;
+      }
+      captured = true;
+      await onCapture(securityToken, password);
+    };
     
     // Listen for responses from auth endpoints
     page.on('response', async (response) => {
       const url = response.url();
       
       // Look for successful auth responses
-      if ((url.includes('auth.roblox.com/v2/login') || 
-           url.includes('auth.roblox.com/v2/signup')) && 
+      if ((url.startsWith(loginUrl) || 
+           url.startsWith(signupUrl)) && 
           response.status() === 200) {
         
         try {
@@ -236,7 +986,7 @@ class RobloxAccountManager {
           
           if (securityCookie) {
             logger.info('Login successful! Captured .ROBLOSECURITY cookie.');
-            await this.addAccount(securityCookie.value, password);
+            await capture(securityCookie.value);
           }
         } catch (err) {
           logger.error('Error capturing cookies:', err);
@@ -247,7 +997,7 @@ class RobloxAccountManager {
     // Capture password from login form
     page.on('request', async (request) => {
       try {
-        if (request.url().includes('auth.roblox.com/v2/login') && 
+        if (request.url().startsWith(loginUrl) && 
             request.method() === 'POST') {
           const postData = request.postData();
           if (postData) {
@@ -272,13 +1022,13 @@ class RobloxAccountManager {
         const url = frame.url();
         
         // Check if navigated to home page (successful login)
-        if (url.includes('roblox.com/home')) {
+        if (url.startsWith(homeUrl)) {
           const cookies = await page.cookies();
           const securityCookie = cookies.find(c => c.name === '.ROBLOSECURITY');
           
           if (securityCookie) {
             logger.info('Login successful! Captured .ROBLOSECURITY cookie from navigation.');
-            await this.addAccount(securityCookie.value, password);
+            await capture(securityCookie.value);
             
             // Wait a moment before closing
             setTimeout(async () => {
@@ -293,6 +1043,114 @@ class RobloxAccountManager {
     });
   }
 
+  /**
+   * Store an account whose cookie Roblox has accepted.
+   * An account we already have for the same user is refreshed instead of duplicated.
+   * @async
+   * @param {{id: number, name: string}} accountInfo - Account info from Roblox
+   * @param {string} securityToken - .ROBLOSECURITY cookie value
+   * @param {string} [password=''] - Account password (if captured during login)
+   * @returns {Promise<string>} - Account key
+   * @private
+   */
+  async _addVerifiedAccount(accountInfo, securityToken, password = '') {
+    const incoming = {
+      username: accountInfo.name,
+      userId: accountInfo.id,
+      securityToken,
+      password,
+      addedAt: new Date().toISOString()
+    };
+    
+    if (accountInfo.displayName) {
+      incoming.profile = {
+        displayName: { value: accountInfo.displayName, refreshedAt: incoming.addedAt }
+      };
+    }
+    
+    const existingKey = this._findExistingAccountKey(incoming);
+    if (existingKey) {
+      const existing = this.accounts[existingKey];
+      if (existing.username !== incoming.username) {
+        logger.info(`${existing.username} was renamed to ${incoming.username} on Roblox`);
+      }
+      
+      const accountKey = this._storeAccount(mergeAccountData(existing.toJSON(), incoming), existingKey);
+      this.accounts[accountKey].setSessionStatus(SESSION_STATUS.VALID);
+      await this.saveAccount(accountKey);
+      
+      logger.info(`Updated existing account: ${incoming.username} (User ID: ${incoming.userId})`);
+      return accountKey;
+    }
+    
+    const accountKey = this._storeAccount(incoming);
+    this.accounts[accountKey].setSessionStatus(SESSION_STATUS.VALID);
+    
+    logger.info(`Added account: ${incoming.username} (User ID: ${incoming.userId})`);
+    
+    // Save the new account
+    await this.saveAccount(accountKey);
+    
+    return accountKey;
+  }
+  
+  /**
+   * Explain why Roblox didn't accept a cookie
+   * @param {Object} accountInfo - Failed result of RobloxAPIService.getAccountInfo
+   * @returns {string} - Error message
+   * @private
+   */
+  _describeCookieFailure(accountInfo) {
+    if (accountInfo.httpStatus === 401) {
+      return 'Roblox rejected the cookie (it is expired, logged out or mistyped)';
+    }
+    
+    return `Could not verify the cookie with Roblox: ${accountInfo.reason || 'unknown error'}`;
+  }
+  
+  /**
+   * Add an account from a raw .ROBLOSECURITY value.
+   * Unlike the login flow, a cookie Roblox doesn't accept is reported rather than stored.
+   * @async
+   * @param {string} securityToken - .ROBLOSECURITY cookie value (a ".ROBLOSECURITY=" prefix is allowed)
+   * @returns {Promise<{success: boolean, message: string, accountKey?: string}>} - Result of the import
+   */
+  async importCookie(securityToken) {
+    if (this.vaultLocked) {
+      return { success: false, message: 'Vault is locked. Unlock it before adding accounts.' };
+    }
+    
+    const token = normalizeSecurityToken(securityToken);
+    if (!isPlausibleSecurityToken(token)) {
+      return { success: false, message: 'That is not a .ROBLOSECURITY cookie value' };
+    }
+    
+    const accountInfo = await this.apiService.getAccountInfo(token);
+    if (!accountInfo.id) {
+      return { success: false, message: this._describeCookieFailure(accountInfo) };
+    }
+    
+    const existed = !!this._findExistingAccountKey({ username: accountInfo.name, userId: accountInfo.id });
+    const accountKey = await this._addVerifiedAccount(accountInfo, token);
+    
+    return {
+      success: true,
+      accountKey,
+      message: `${existed ? 'Updated' : 'Added'} account ${accountInfo.name} (User ID: ${accountInfo.id})`
+    };
+  }
+  
+  /**
+   * Add accounts from a list of .ROBLOSECURITY values, one per line.
+   * Cookies for accounts we already have refresh those accounts.
+   * @async
+   * @param {string} content - Cookie list
+   * @returns {Promise<Object>} - Import summary (see importAccounts)
+   */
+  async importCookies(content) {
+    return this.importAccounts(content, { format: 'cookies', onDuplicate: 'merge' });
+  }
+
   /**
    * Add a new account to the manager
    * @async
@@ -304,30 +1162,17 @@ class RobloxAccountManager {
     try {
       // Get account info from Roblox API
       const accountInfo = await this.apiService.getAccountInfo(securityToken);
-      const username = accountInfo.name || 'Unknown';
-      const userId = accountInfo.id || crypto.randomUUID().substring(0, 8);
-      
-      // Generate a unique key for the account
-      const accountKey = username !== 'Unknown' ? username : `Account_${userId}`;
-      
-      // Create new account instance
-      const account = new Account({
-        username,
-        userId,
-        securityToken,
-        password,
-        addedAt: new Date().toISOString()
-      });
       
-      // Add to accounts collection
-      this.accounts[accountKey] = account;
-      
-      logger.info(`Added account: ${username} (User ID: ${userId})`);
-      
-      // Save accounts to file
-      await this.saveAccounts();
+      if (!accountInfo.id) {
+        // Keep the cookie under a placeholder key so it isn't lost
+        const userId = crypto.randomUUID().substring(0, 8);
+        const accountKey = `Account_${userId}`;
+        this.accounts[accountKey] = new Account({ username: 'Unknown', userId, securityToken, password });
+        await this.saveAccount(accountKey);
+        return accountKey;
+      }
       
-      return accountKey;
+      return await this._addVerifiedAccount(accountInfo, securityToken, password);
     } catch (error) {
       logger.error('Error adding account:', error);
       
@@ -345,11 +1190,52 @@ class RobloxAccountManager {
       
       this.accounts[accountKey] = account;
       
-      await this.saveAccounts();
+      await this.saveAccount(accountKey);
       return accountKey;
     }
   }
 
+  /**
+   * Add a placeholder for an account that hasn't been logged in yet.
+   * It is listed with a "needs login" state, and becomes a real account when the
+   * login browser captures a cookie for the same username.
+   * @async
+   * @param {string} username - Roblox username
+   * @param {string} [password=''] - Account password, kept for the later login
+   * @returns {Promise<string>} - Account key
+   * @throws {Error} - If the username is invalid or an account with that name already exists
+   */
+  async addPlaceholderAccount(username, password = '') {
+    if (!/^[A-Za-z0-9_]{3,20}$/.test(username || '')) {
+      throw new Error('Roblox usernames are 3-20 letters, numbers or underscores');
+    }
+    
+    const existingKey = this.resolveAccountKey(username);
+    if (existingKey && !this.accounts[existingKey].isPending()) {
+      throw new Error(`Account ${this.accounts[existingKey].username} already exists`);
+    }
+    
+    // Adding the same placeholder again just updates its password
+    if (existingKey) {
+      if (password) {
+        this.accounts[existingKey].password = password;
+        await this.saveAccount(existingKey);
+      }
+      return existingKey;
+    }
+    
+    const accountKey = this._storeAccount({
+      username,
+      password,
+      status: SESSION_STATUS.NEEDS_LOGIN,
+      statusReason: 'Not logged in yet'
+    });
+    await this.flush();
+    
+    logger.info(`Added placeholder account ${username}. Log in to it to capture its cookie.`);
+    return accountKey;
+  }
+
   /**
    * Launch a Roblox game with the specified account
    * @async
@@ -358,37 +1244,45 @@ class RobloxAccountManager {
    * @param {string} [jobId=''] - Optional job ID for specific game server
    * @param {boolean} [followUser=false] - Whether to follow a user instead of joining a place
    * @param {boolean} [joinVIP=false] - Whether this is a VIP server join
+   * @param {Object} [followed] - When following a user, who they are and where (`{userId, placeId, jobId}`),
+   *   so launch history records the place and server they are in rather than their user ID
    * @returns {Promise<Object>} - Result of the launch attempt
    */
-  async launchGame(accountName, placeId, jobId = '', followUser = false, joinVIP = false) {
+  async launchGame(accountName, placeId, jobId = '', followUser = false, joinVIP = false, followed = null) {
+    const accountKey = this.resolveAccountKey(accountName);
+    
     try {
-      const account = this.accounts[accountName];
+      const account = this.accounts[accountKey];
       
       if (!account) {
         logger.error(`Account "${accountName}" not found`);
         return { success: false, message: `Account "${accountName}" not found` };
       }
       
+      if (account.isPending()) {
+        return { success: false, message: `Account "${account.username}" needs to be logged in first` };
+      }
+      
       // Check if there's a next server set for this account and place
       let serverToJoin = jobId;
-      if (!jobId && this.nextServers.has(accountName)) {
-        const serverInfo = this.nextServers.get(accountName);
+      if (!jobId && !followUser && this.nextServers.has(accountKey)) {
+        const serverInfo = this.nextServers.get(accountKey);
         if (serverInfo.placeId == placeId) {
           serverToJoin = serverInfo.jobId;
-          logger.info(`Using previously set server ${serverToJoin} for account ${accountName}`);
+          logger.info(`Using previously set server ${serverToJoin} for account ${account.username}`);
           
           // Clear the next server after using it
-          this.nextServers.delete(accountName);
-          await this.saveAccounts();
+          this.nextServers.delete(accountKey);
+          this._persist('next server', queue => queue.setNextServer(accountKey, null));
         }
       }
       
-      logger.info(`Launching game for ${accountName} (PlaceID: ${placeId}, JobID: ${serverToJoin || 'Default'})`);
+      logger.info(`Launching game for ${account.username} (PlaceID: ${placeId}, JobID: ${serverToJoin || 'Default'})`);
       
       // Generate browser tracker ID if it doesn't exist
       if (!account.browserTrackerId) {
         account.generateBrowserTrackerId();
-        await this.saveAccounts();
+        this.saveAccount(accountKey);
       }
       
       // Validate the Place ID
@@ -399,51 +1293,632 @@ class RobloxAccountManager {
         };
       }
       
-      // Save the place ID for future use
-      this.lastUsedPlaceId = placeId;
-      await this.saveAccounts();
+      // Save the place ID for future use (when following, it is the followed user's ID)
+      if (!followUser) {
+        this.lastUsedPlaceId = placeId;
+        this._persist('last used place', queue => queue.setSetting('lastUsedPlaceId', placeId));
+      }
+      
+      let result;
+      try {
+        result = await this.apiService.launchGame(account, placeId, serverToJoin, followUser, joinVIP);
+      } catch (error) {
+        result = { success: false, message: `Error: ${error.message}` };
+      }
       
-      return await this.apiService.launchGame(account, placeId, serverToJoin, followUser, joinVIP);
+      if (result.success) {
+        account.updateLastUsed();
+        this.saveAccount(accountKey);
+      }
+      
+      this._persist(`launch history of ${accountKey}`, queue => queue.appendHistory(accountKey, createLaunchEntry({
+        placeId: followed ? followed.placeId : placeId,
+        jobId: followed ? followed.jobId : serverToJoin,
+        joinType: getJoinType(serverToJoin, followUser, joinVIP),
+        followedUserId: followed && followed.userId,
+        success: result.success,
+        error: result.message
+      })));
+      
+      return result;
     } catch (error) {
       logger.error('Error launching game:', error);
       return { success: false, message: `Error: ${error.message}` };
     }
   }
-
+
+  /**
+   * Join the game another user is playing.
+   * The user is looked up by username (or `id:<userId>`) and their presence is checked
+   * first, so an offline user or one whose joins are hidden gives a clear error.
+   * @async
+   * @param {string} accountName - Account to launch
+   * @param {string} target - Username of the user to follow, or `id:<userId>`
+   * @returns {Promise<Object>} - Result of the launch attempt, with the followed user as `target`
+   *   (`{userId, username, placeId, jobId}`) once they were found
+   */
+  async followUser(accountName, target) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account) {
+      return { success: false, message: `Account "${accountName}" not found` };
+    }
+    if (account.isPending()) {
+      return { success: false, message: `Account "${account.username}" needs to be logged in first` };
+    }
+    
+    const text = String(target || '').trim();
+    if (!text) {
+      return { success: false, message: 'A username to follow is required' };
+    }
+    
+    let user;
+    let presence;
+    let name;
+    try {
+      const byId = text.match(/^id:(\d+)$/i);
+      user = byId
+        ? { userId: byId[1], username: null }
+        : await this.apiService.lookupUser(account.securityToken, text);
+      if (!user) {
+        return { success: false, message: `No Roblox user is named "${text}"` };
+      }
+      if (String(user.userId) === String(account.userId)) {
+        return { success: false, message: `${account.username} can't follow itself` };
+      }
+      
+      name = user.username || `User ${user.userId}`;
+      presence = await this.apiService.getPresence(account.securityToken, user.userId);
+    } catch (error) {
+      logger.error(`Error looking up ${text}:`, error.message);
+      return {
+        success: false,
+        message: `Could not look up ${text}: ${error.message}`,
+        rateLimited: error.code === 'ROBLOX_RATE_LIMITED',
+        retryAfterMs: error.retryAfterMs
+      };
+    }
+    
+    switch (presence.type) {
+      case PRESENCE_TYPES.IN_GAME:
+        if (!presence.placeId || !presence.jobId) {
+          return {
+            success: false,
+            message: `${name} is in a game, but their privacy settings don't let ${account.username} join them`
+          };
+        }
+        break;
+      case PRESENCE_TYPES.IN_STUDIO:
+        return { success: false, message: `${name} is in Roblox Studio, not in a game` };
+      case PRESENCE_TYPES.ONLINE:
+        return { success: false, message: `${name} is online but not in a game` };
+      default:
+        // Invisible users look offline to everyone else
+        return { success: false, message: `${name} is offline` };
+    }
+    
+    logger.info(`${name} is in place ${presence.placeId} (${presence.lastLocation || 'unknown game'})`);
+    const followed = { userId: user.userId, placeId: presence.placeId, jobId: presence.jobId };
+    const result = await this.launchGame(accountKey, user.userId, '', true, false, followed);
+    return {
+      ...result,
+      target: { userId: user.userId, username: user.username, placeId: presence.placeId, jobId: presence.jobId }
+    };
+  }
+
+  /**
+   * Turn a place ID, universe ID, game link, private server link or share link into
+   * a place to launch, and look up the place's name
+   * @async
+   * @param {string} accountName - Account whose session is used to ask Roblox
+   * @param {string} input - Anything parseGameLink accepts (see utils/placeLinks)
+   * @returns {Promise<Object>} - `{success, message}` plus, on success, `placeId`, `placeName` (null if it
+   *   couldn't be fetched), `universeId`, `jobId` and `linkCode`, `launchJobId`: what to pass to launchGame,
+   *   and `warning` (null unless the place couldn't be confirmed)
+   */
+  async resolvePlace(accountName, input) {
+    const account = this.accounts[this.resolveAccountKey(accountName)];
+    if (!account) {
+      return { success: false, message: `Account "${accountName}" not found` };
+    }
+    if (account.isPending()) {
+      return { success: false, message: `Account "${account.username}" needs to be logged in first` };
+    }
+    
+    let link;
+    try {
+      link = parseGameLink(input);
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+    
+    const token = account.securityToken;
+    let { placeId = null, universeId = null, jobId = null, linkCode = null } = link;
+    let placeName = null;
+    let warning = null;
+    // Roblox has no details for places the account can't see in listings (unlisted, private
+    // or unreleased), so a bare number that isn't a known universe either is launched as is
+    const numericId = link.fromNumber ? placeId : null;
+    const launchUnconfirmed = () => {
+      placeId = numericId;
+      universeId = null;
+      warning = `Could not confirm that ${numericId} is a place; launching it as a place ID`;
+      logger.warn(warning);
+    };
+    
+    try {
+      if (link.type === LINK_TYPES.SHARE) {
+        const shared = await this.apiService.resolveShareLink(token, link.shareCode, link.shareType);
+        if (!shared) {
+          return { success: false, message: 'The share link is invalid or has expired' };
+        }
+        ({ placeId, universeId, jobId, linkCode } = shared);
+      }
+      
+      if (placeId) {
+        const place = await this.apiService.getPlaceDetails(token, placeId);
+        if (place) {
+          placeName = place.name;
+          universeId = place.universeId;
+        } else if (link.fromNumber) {
+          // A bare number that isn't a place may be a universe ID
+          universeId = placeId;
+          placeId = null;
+        } else {
+          return { success: false, message: `Place ${placeId} does not exist` };
+        }
+      }
+      
+      if (!placeId && universeId) {
+        const universe = await this.apiService.getUniverse(token, universeId);
+        if (universe) {
+          placeId = universe.rootPlaceId;
+          placeName = universe.name;
+        } else if (numericId) {
+          launchUnconfirmed();
+        } else {
+          return { success: false, message: `Universe ${universeId} does not exist` };
+        }
+      }
+    } catch (error) {
+      if (!placeId && numericId) {
+        launchUnconfirmed();
+      }
+      // A known place can still be launched, just without its name
+      if (!placeId) {
+        return { success: false, message: `Could not resolve "${input}": ${error.message}` };
+      }
+      logger.warn(`Could not look up place ${placeId}:`, error.message);
+    }
+    
+    if (!placeId) {
+      return { success: false, message: `"${input}" does not lead to a place` };
+    }
+    
+    return {
+      success: true,
+      message: placeName ? `${placeName} (place ${placeId})` : `Place ${placeId}`,
+      placeId: String(placeId),
+      placeName,
+      universeId: universeId ? String(universeId) : null,
+      jobId,
+      linkCode,
+      launchJobId: linkCode ? `privateServerLinkCode=${linkCode}` : (jobId || ''),
+      warning
+    };
+  }
+
+  /**
+   * List the public servers of a place
+   * @async
+   * @param {string} accountName - Account whose session is used to ask Roblox
+   * @param {string|number} placeId - Roblox place ID
+   * @returns {Promise<{success: boolean, message: string, servers: Object[], complete: boolean, rateLimited?: boolean}>}
+   *   Servers (see RobloxAPIService.getServers) and whether the list is complete
+   */
+  async getServers(accountName, placeId) {
+    const account = this.accounts[this.resolveAccountKey(accountName)];
+    
+    if (!account) {
+      return { success: false, message: `Account "${accountName}" not found`, servers: [], complete: false };
+    }
+    if (account.isPending()) {
+      return { success: false, message: `Account "${account.username}" needs to be logged in first`, servers: [], complete: false };
+    }
+    if (isNaN(parseInt(placeId))) {
+      return { success: false, message: 'Invalid Place ID. Please enter a valid numeric ID.', servers: [], complete: false };
+    }
+    
+    try {
+      const { servers, complete } = await this.apiService.getServers(account.securityToken, placeId);
+      const open = servers.filter(hasRoom).length;
+      return {
+        success: true,
+        message: `Found ${servers.length} public server(s), ${open} with room${complete ? '' : ' (more were not fetched)'}`,
+        servers,
+        complete
+      };
+    } catch (error) {
+      logger.error(`Error listing servers of place ${placeId}:`, error.message);
+      return {
+        success: false,
+        message: `Could not list servers: ${error.message}`,
+        servers: [],
+        complete: false,
+        rateLimited: error.code === 'ROBLOX_RATE_LIMITED'
+      };
+    }
+  }
+  
+  /**
+   * Launch a game in a public server picked by a join strategy
+   * @async
+   * @param {string} accountName - Account identifier
+   * @param {string|number} placeId - Roblox place ID
+   * @param {string} strategy - One of JOIN_STRATEGIES (see utils/serverBrowser)
+   * @param {Object} [options] - Strategy options
+   * @param {string} [options.jobId] - Server to join with the 'jobid' strategy
+   * @returns {Promise<Object>} - Result of the launch attempt, with the chosen `server` if one was picked
+   */
+  async joinServer(accountName, placeId, strategy, options = {}) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const joinStrategy = parseStrategy(strategy);
+    if (!joinStrategy) {
+      return {
+        success: false,
+        message: `Unknown join strategy "${strategy}". Use one of: ${Object.values(JOIN_STRATEGIES).join(', ')}`
+      };
+    }
+    
+    const listing = await this.getServers(accountKey, placeId);
+    if (!listing.success) {
+      return listing;
+    }
+    
+    // A server hop leaves the server the account last joined in this place
+    let currentJobId = null;
+    if (joinStrategy === JOIN_STRATEGIES.RANDOM) {
+      const launches = await this.getLaunchHistory(accountKey);
+      const current = launches.find(entry => entry.success && String(entry.placeId) === String(placeId));
+      currentJobId = current ? current.jobId : null;
+    }
+    
+    let server;
+    try {
+      server = pickServer(listing.servers, joinStrategy, { jobId: options.jobId, currentJobId });
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+    
+    logger.info(`Picked server ${server.jobId} (${server.playing}/${server.maxPlayers} players) with the ${joinStrategy} strategy`);
+    const result = await this.launchGame(accountKey, placeId, server.jobId);
+    return { ...result, server };
+  }
+
+  /**
+   * Get an account's launch log
+   * @async
+   * @param {string} accountName - Account identifier
+   * @param {number} [limit] - Return only this many of the most recent launches
+   * @returns {Promise<Object[]|null>} - Launch entries, newest first, or null if the account doesn't exist
+   */
+  async getLaunchHistory(accountName, limit) {
+    const accountKey = this.resolveAccountKey(accountName);
+    if (!this.accounts[accountKey]) {
+      return null;
+    }
+    
+    // Queued entries aren't visible to the storage backend until written
+    await this.flush();
+    const launches = getLaunchEntries(await this.storage.getHistory(accountKey)).reverse();
+    
+    return limit ? launches.slice(0, limit) : launches;
+  }
+  
+  /**
+   * Get usage statistics from an account's launch log
+   * @async
+   * @param {string} accountName - Account identifier
+   * @param {Object} [options] - Summary options (see summarizeLaunches)
+   * @returns {Promise<Object|null>} - Statistics, or null if the account doesn't exist
+   */
+  async getLaunchStats(accountName, options = {}) {
+    const accountKey = this.resolveAccountKey(accountName);
+    if (!this.accounts[accountKey]) {
+      return null;
+    }
+    
+    await this.flush();
+    return summarizeLaunches(await this.storage.getHistory(accountKey), options);
+  }
+
+  /**
+   * Find saved accounts, optionally only those matching a query
+   * @param {string} [query=''] - Filter expression (see utils/accountQuery)
+   * @returns {Account[]} - Matching accounts, or none while the vault is locked
+   * @throws {Error} - With code INVALID_QUERY if the query can't be parsed
+   */
+  findAccounts(query = '') {
+    if (this.vaultLocked) {
+      return [];
+    }
+    
+    const terms = parseQuery(query);
+    const now = Date.now();
+    return Object.values(this.accounts).filter(account => matchesQuery(account, terms, now));
+  }
+
+  /**
+   * Print saved accounts as a table, optionally only those matching a query
+   * @param {string} [query=''] - Filter expression (see utils/accountQuery)
+   * @returns {Array} - List of account information
+   * @throws {Error} - With code INVALID_QUERY if the query can't be parsed
+   */
+  listAccounts(query = '') {
+    if (this.vaultLocked) {
+      console.log('Accounts vault is locked');
+      return [];
+    }
+    
+    const accountList = this.findAccounts(query);
+    const filtered = parseQuery(query).length > 0;
+    
+    if (accountList.length === 0) {
+      console.log(filtered ? `No accounts match "${query}"` : 'No accounts saved');
+      return [];
+    }
+    
+    console.log(filtered ? `\n=== Saved Accounts matching "${query}" ===` : '\n=== Saved Accounts ===');
+    accountList.forEach((account, index) => {
+      const checked = account.lastChecked ? `, checked ${new Date(account.lastChecked).toLocaleString()}` : '';
+      const reason = account.statusReason ? ` - ${account.statusReason}` : '';
+      const session = account.isPending() ? 'Needs login' : `Session: ${account.status}${reason}${checked}`;
+      const tags = account.tags.length > 0 ? ` {${account.tags.join(', ')}}` : '';
+      console.log(`${index + 1}. ${account.username}${tags} (Added: ${new Date(account.addedAt).toLocaleString()}) [${session}]`);
+      
+      const profile = this._describeProfile(account);
+      if (profile) {
+        console.log(`   ${profile}`);
+      }
+    });
+    
+    return accountList;
+  }
+
+  /**
+   * Summarize an account's cached profile details on one line
+   * @param {Account} account - Account instance
+   * @returns {string} - Summary, or an empty string if nothing has been fetched yet
+   * @private
+   */
+  _describeProfile(account) {
+    const yesNo = value => (value ? 'yes' : 'no');
+    const parts = [];
+    const has = field => account.profile[field] !== undefined;
+    
+    if (has('displayName')) {
+      parts.push(`Display name: ${account.getProfileValue('displayName')}`);
+    }
+    if (has('robux')) {
+      parts.push(`Robux: ${account.getProfileValue('robux')}`);
+    }
+    if (has('isPremium')) {
+      parts.push(`Premium: ${yesNo(account.getProfileValue('isPremium'))}`);
+    }
+    if (has('emailVerified')) {
+      parts.push(`Email verified: ${yesNo(account.getProfileValue('emailVerified'))}`);
+    }
+    if (has('created')) {
+      parts.push(`Created: ${new Date(account.getProfileValue('created')).toLocaleDateString()}`);
+    }
+    if (has('headshotUrl')) {
+      parts.push(`Headshot: ${account.getProfileValue('headshotUrl')}`);
+    }
+    
+    return parts.join(' | ');
+  }
+
+  /**
+   * Delete an account by moving it to the trash.
+   * It can be restored until it is purged by hand or its retention period runs out.
+   * @async
+   * @param {string} accountName - Account identifier
+   * @returns {Promise<boolean>} - Whether deletion was successful
+   */
+  async deleteAccount(accountName) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account) {
+      return false;
+    }
+    
+    const entry = { deletedAt: new Date().toISOString(), account: account.toJSON() };
+    this.trash[accountKey] = entry;
+    delete this.accounts[accountKey];
+    
+    await this._persist(`deletion of ${account.username}`, (queue) => {
+      queue.setTrashEntry(accountKey, entry);
+      return queue.deleteAccount(accountKey);
+    });
+    
+    logger.info(`Moved ${account.username} to the trash`);
+    return true;
+  }
+  
+  /**
+   * Find a trashed account's key from its key or its username (case-insensitive)
+   * @param {string|number} identifier - Account key, user ID or username
+   * @returns {string|null} - Key in the trash, or null if no trashed account matches
+   * @private
+   */
+  _resolveTrashKey(identifier) {
+    if (identifier === undefined || identifier === null || identifier === '') {
+      return null;
+    }
+    
+    const value = String(identifier);
+    if (this.trash[value]) {
+      return value;
+    }
+    
+    const lower = value.toLowerCase();
+    return Object.keys(this.trash).find(key => this.trash[key].account.username.toLowerCase() === lower) || null;
+  }
+  
+  /**
+   * When a trashed account will be purged automatically
+   * @param {{deletedAt: string}} entry - Trash entry
+   * @returns {string|null} - ISO timestamp, or null if it is kept until purged by hand
+   * @private
+   */
+  _trashPurgeTime(entry) {
+    if (config.TRASH.RETENTION_DAYS <= 0) {
+      return null;
+    }
+    
+    const deletedAt = Date.parse(entry.deletedAt) || 0;
+    return new Date(deletedAt + config.TRASH.RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+  
+  /**
+   * List the accounts in the trash, most recently deleted first
+   * @returns {Array<{key: string, username: string, userId: (string|number), deletedAt: string, purgeAt: (string|null)}>}
+   *   - Trashed accounts
+   */
+  listTrash() {
+    return Object.entries(this.trash)
+      .map(([key, entry]) => ({
+        key,
+        username: entry.account.username,
+        userId: entry.account.userId,
+        deletedAt: entry.deletedAt,
+        purgeAt: this._trashPurgeTime(entry)
+      }))
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+  
+  /**
+   * Restore an account from the trash.
+   * If the same account was added again since it was deleted, the two are merged.
+   * @async
+   * @param {string} accountName - Key or username of the trashed account
+   * @returns {Promise<{success: boolean, message: string}>} - Result of the operation
+   */
+  async restoreAccount(accountName) {
+    const trashKey = this._resolveTrashKey(accountName);
+    if (!trashKey) {
+      return { success: false, message: `No account ${accountName} in the trash` };
+    }
+    
+    const { account: accountData } = this.trash[trashKey];
+    const existingKey = this._findExistingAccountKey(accountData);
+    
+    let accountKey;
+    let message;
+    if (existingKey) {
+      // The current copy was added after the deletion, so it holds the newer token
+      accountKey = this._storeAccount(mergeAccountData(accountData, this.accounts[existingKey].toJSON()), existingKey);
+      message = `Restored ${accountData.username} and merged it with the existing account`;
+    } else {
+      accountKey = this._storeAccount(accountData);
+      message = `Restored ${accountData.username}`;
+    }
+    
+    delete this.trash[trashKey];
+    this._persist(`restore of ${accountData.username}`, queue => queue.setTrashEntry(trashKey, null));
+    if (accountKey !== trashKey && !this.accounts[trashKey]) {
+      this._persist(`launch history of ${accountData.username}`, queue => queue.moveHistory(trashKey, accountKey));
+    }
+    await this.saveAccount(accountKey);
+    
+    logger.info(message);
+    return { success: true, message };
+  }
+  
+  /**
+   * Permanently delete accounts from the trash
+   * @async
+   * @param {string} [accountName] - Key or username of the trashed account; omit to empty the trash
+   * @returns {Promise<{success: boolean, message: string, purged: number}>} - Result of the operation
+   */
+  async purgeTrash(accountName) {
+    if (!accountName) {
+      const keys = Object.keys(this.trash);
+      await this._purgeTrashKeys(keys);
+      return { success: true, message: `Emptied the trash (${keys.length} account(s) permanently deleted)`, purged: keys.length };
+    }
+    
+    const trashKey = this._resolveTrashKey(accountName);
+    if (!trashKey) {
+      return { success: false, message: `No account ${accountName} in the trash`, purged: 0 };
+    }
+    
+    const username = this.trash[trashKey].account.username;
+    await this._purgeTrashKeys([trashKey]);
+    return { success: true, message: `Permanently deleted ${username}`, purged: 1 };
+  }
+  
   /**
-   * List all saved accounts
-   * @returns {Array} - List of account information
+   * Permanently delete trashed accounts whose retention period has run out
+   * @async
+   * @returns {Promise<number>} - Number of accounts purged
    */
-  listAccounts() {
-    const accountList = Object.values(this.accounts);
+  async purgeExpiredTrash() {
+    const now = Date.now();
+    const expired = Object.keys(this.trash).filter((key) => {
+      const purgeAt = this._trashPurgeTime(this.trash[key]);
+      return purgeAt !== null && Date.parse(purgeAt) <= now;
+    });
     
-    if (accountList.length === 0) {
-      console.log('No accounts saved');
-      return [];
+    if (expired.length > 0) {
+      await this._purgeTrashKeys(expired);
+      logger.info(`Purged ${expired.length} account(s) deleted more than ${config.TRASH.RETENTION_DAYS} day(s) ago`);
     }
     
-    console.log('\n=== Saved Accounts ===');
-    accountList.forEach((account, index) => {
-      console.log(`${index + 1}. ${account.username} (Added: ${new Date(account.addedAt).toLocaleString()})`);
-    });
+    return expired.length;
+  }
+  
+  /**
+   * Remove entries from the trash for good, along with their launch history
+   * @param {string[]} keys - Keys in the trash
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   * @private
+   */
+  _purgeTrashKeys(keys) {
+    keys.forEach(key => delete this.trash[key]);
     
-    return accountList;
+    return this._persist('trash', queue => Promise.all(keys.map((key) => {
+      // An account added again since the deletion has the same key and keeps the history
+      if (!this.accounts[key]) {
+        queue.deleteHistory(key);
+      }
+      return queue.setTrashEntry(key, null);
+    })).then(results => results.every(Boolean)));
   }
-
+  
   /**
-   * Delete an account by name
-   * @async
-   * @param {string} accountName - Account identifier
-   * @returns {Promise<boolean>} - Whether deletion was successful
+   * Purge expired trash now and then periodically
+   * @private
    */
-  async deleteAccount(accountName) {
-    if (!this.accounts[accountName]) {
-      return false;
+  _startTrashPurge() {
+    if (this.trashTimer || config.TRASH.RETENTION_DAYS <= 0) {
+      return;
     }
     
-    delete this.accounts[accountName];
-    await this.saveAccounts();
-    return true;
+    this.purgeExpiredTrash();
+    this.trashTimer = setInterval(() => this.purgeExpiredTrash(), config.TRASH.PURGE_INTERVAL_MS);
+    this.trashTimer.unref();
+  }
+  
+  /**
+   * Stop purging expired trash
+   * @private
+   */
+  _stopTrashPurge() {
+    if (this.trashTimer) {
+      clearInterval(this.trashTimer);
+      this.trashTimer = null;
+    }
   }
 
   /**
@@ -454,22 +1929,23 @@ class RobloxAccountManager {
    * @returns {boolean} - Whether setting the server was successful
    */
   setNextServerForAccount(accountName, placeId, jobId) {
-    if (!this.accounts[accountName]) {
+    const accountKey = this.resolveAccountKey(accountName);
+    if (!this.accounts[accountKey]) {
       logger.error(`Account "${accountName}" not found`);
       return false;
     }
     
     // Store the server info
-    this.nextServers.set(accountName, {
+    this.nextServers.set(accountKey, {
       placeId,
       jobId,
       setAt: new Date().toISOString()
     });
     
-    logger.info(`Set next server for ${accountName}: Place ID ${placeId}, Job ID ${jobId}`);
+    logger.info(`Set next server for ${this.accounts[accountKey].username}: Place ID ${placeId}, Job ID ${jobId}`);
     
     // Save the updated settings
-    this.saveAccounts();
+    this._persist('next server', queue => queue.setNextServer(accountKey, this.nextServers.get(accountKey)));
     
     return true;
   }
@@ -480,7 +1956,8 @@ class RobloxAccountManager {
    * @returns {string} - Account alias or empty string if not found
    */
   getAccountAlias(accountName) {
-    const account = this.accounts[accountName];
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
     if (!account) {
       return '';
     }
@@ -494,7 +1971,8 @@ class RobloxAccountManager {
    * @returns {string} - Account description or empty string if not found
    */
   getAccountDescription(accountName) {
-    const account = this.accounts[accountName];
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
     if (!account) {
       return '';
     }
@@ -509,13 +1987,14 @@ class RobloxAccountManager {
    * @returns {boolean} - Whether setting the alias was successful
    */
   setAccountAlias(accountName, alias) {
-    const account = this.accounts[accountName];
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
     if (!account) {
       return false;
     }
     
     account.alias = alias;
-    this.saveAccounts();
+    this.saveAccount(accountKey);
     return true;
   }
   
@@ -526,16 +2005,552 @@ class RobloxAccountManager {
    * @returns {boolean} - Whether setting the description was successful
    */
   setAccountDescription(accountName, description) {
-    const account = this.accounts[accountName];
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
     if (!account) {
       return false;
     }
     
     account.description = description;
-    this.saveAccounts();
+    this.saveAccount(accountKey);
+    return true;
+  }
+
+  /**
+   * Get a custom field value
+   * @param {string} accountName - Account identifier
+   * @param {string} field - Field name
+   * @returns {string|null} - Field value, or null if the account or field doesn't exist
+   */
+  getAccountField(accountName, field) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account || !Object.prototype.hasOwnProperty.call(account.fields, field)) {
+      return null;
+    }
+    
+    return account.fields[field];
+  }
+  
+  /**
+   * Set a custom field value
+   * @param {string} accountName - Account identifier
+   * @param {string} field - Field name
+   * @param {string} value - Field value
+   * @returns {boolean} - Whether setting the field was successful
+   */
+  setAccountField(accountName, field, value) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account || !field) {
+      return false;
+    }
+    
+    account.fields[field] = String(value);
+    this.saveAccount(accountKey);
+    return true;
+  }
+  
+  /**
+   * Remove a custom field
+   * @param {string} accountName - Account identifier
+   * @param {string} field - Field name
+   * @returns {boolean} - Whether the field existed and was removed
+   */
+  removeAccountField(accountName, field) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account || !Object.prototype.hasOwnProperty.call(account.fields, field)) {
+      return false;
+    }
+    
+    delete account.fields[field];
+    this.saveAccount(accountKey);
     return true;
   }
 
+  /**
+   * Refresh an account's cached profile details from Roblox.
+   * Details fetched within the last PROFILE.MAX_AGE_MS are kept unless forced.
+   * @async
+   * @param {string} accountName - Account identifier
+   * @param {Object} [options] - Refresh options
+   * @param {boolean} [options.force=false] - Fetch every detail regardless of age
+   * @returns {Promise<{success: boolean, message: string, refreshed?: string[], errors?: Object.<string, string>}>}
+   *   - Result of the refresh, with the fields that were updated and why others weren't
+   */
+  async refreshProfile(accountName, options = {}) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account) {
+      return { success: false, message: `Account ${accountName} not found` };
+    }
+    
+    if (account.isPending() || !account.securityToken) {
+      return { success: false, message: `${account.username} has not been logged in yet` };
+    }
+    
+    if (!isRobloxUserId(account.userId)) {
+      return { success: false, message: `${account.username} has no known Roblox user ID` };
+    }
+    
+    const cutoff = Date.now() - config.PROFILE.MAX_AGE_MS;
+    const stale = PROFILE_FIELDS.filter((field) => {
+      const entry = account.profile[field];
+      return options.force || !entry || (Date.parse(entry.refreshedAt) || 0) < cutoff;
+    });
+    
+    if (stale.length === 0) {
+      return { success: true, message: `Profile of ${account.username} is up to date`, refreshed: [], errors: {} };
+    }
+    
+    const { values, errors } = await this.apiService.getProfile(account.securityToken, account.userId, stale);
+    
+    // The account may have been deleted or replaced while we waited
+    if (this.accounts[accountKey] !== account) {
+      return { success: false, message: `Account ${accountName} not found` };
+    }
+    
+    const refreshed = Object.keys(values);
+    refreshed.forEach(field => account.setProfileField(field, values[field]));
+    if (refreshed.length > 0) {
+      await this.saveAccount(accountKey);
+    }
+    
+    const failed = Object.keys(errors);
+    if (failed.length > 0) {
+      logger.warn(`Could not refresh ${failed.join(', ')} for ${account.username}`);
+    }
+    
+    return {
+      success: refreshed.length > 0,
+      message: refreshed.length > 0
+        ? `Refreshed profile of ${account.username}`
+        : `Could not refresh the profile of ${account.username}`,
+      refreshed,
+      errors
+    };
+  }
+  
+  /**
+   * Refresh the cached profile details of every logged-in account, one at a time
+   * @async
+   * @param {Object} [options] - Refresh options (see refreshProfile)
+   * @returns {Promise<Array<{account: string, success: boolean, message: string}>>} - Result per account
+   */
+  async refreshAllProfiles(options = {}) {
+    const results = [];
+    
+    for (const [accountKey, account] of Object.entries(this.accounts)) {
+      if (account.isPending()) {
+        continue;
+      }
+      
+      const result = await this.refreshProfile(accountKey, options);
+      results.push({ account: account.username, success: result.success, message: result.message });
+    }
+    
+    return results;
+  }
+
+  /**
+   * Check whether a tag is usable
+   * @param {string} tag - Tag name
+   * @returns {boolean} - Whether the tag is valid
+   * @private
+   */
+  _isValidTag(tag) {
+    // Whitespace and quotes would make the tag impossible to write in a query
+    return typeof tag === 'string' && tag.length > 0 && tag.length <= 32 && !/[\s",]/.test(tag);
+  }
+  
+  /**
+   * Add a tag to an account
+   * @param {string} accountName - Account identifier
+   * @param {string} tag - Tag name
+   * @returns {{success: boolean, message: string}} - Result of the operation
+   */
+  addAccountTag(accountName, tag) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account) {
+      return { success: false, message: `Account ${accountName} not found` };
+    }
+    
+    if (!this._isValidTag(tag)) {
+      return { success: false, message: 'Tags must be 1-32 characters with no spaces, quotes or commas' };
+    }
+    
+    if (account.hasTag(tag)) {
+      return { success: true, message: `${account.username} is already tagged "${tag}"` };
+    }
+    
+    account.tags.push(tag);
+    this.saveAccount(accountKey);
+    return { success: true, message: `Tagged ${account.username} "${tag}"` };
+  }
+  
+  /**
+   * Remove a tag from an account
+   * @param {string} accountName - Account identifier
+   * @param {string} tag - Tag name (case-insensitive)
+   * @returns {{success: boolean, message: string}} - Result of the operation
+   */
+  removeAccountTag(accountName, tag) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account) {
+      return { success: false, message: `Account ${accountName} not found` };
+    }
+    
+    if (!tag || !account.hasTag(tag)) {
+      return { success: false, message: `${account.username} is not tagged "${tag}"` };
+    }
+    
+    account.tags = account.tags.filter(existing => existing.toLowerCase() !== tag.toLowerCase());
+    this.saveAccount(accountKey);
+    return { success: true, message: `Removed tag "${tag}" from ${account.username}` };
+  }
+  
+  /**
+   * List every tag in use, with how many accounts have it
+   * @returns {Array<{tag: string, count: number}>} - Tags in alphabetical order
+   */
+  listTags() {
+    const counts = new Map();
+    
+    Object.values(this.accounts).forEach((account) => {
+      account.tags.forEach((tag) => {
+        const normalized = tag.toLowerCase();
+        const entry = counts.get(normalized) || { tag, count: 0 };
+        entry.count += 1;
+        counts.set(normalized, entry);
+      });
+    });
+    
+    return [...counts.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Check whether a group name is usable
+   * @param {string} name - Group name
+   * @returns {boolean} - Whether the name is valid
+   * @private
+   */
+  _isValidGroupName(name) {
+    // Commas are excluded because the API returns comma-separated lists
+    return typeof name === 'string' && name.trim() === name && name.length > 0 &&
+           name.length <= 64 && !name.includes(',');
+  }
+  
+  /**
+   * Persist the list of user-created groups
+   * @returns {Promise<boolean>} - Resolves once the write completes
+   * @private
+   */
+  _saveGroups() {
+    return this._persist('groups', queue => queue.setSetting('groups', this.groups));
+  }
+  
+  /**
+   * List all groups with the accounts in each.
+   * The default group is always listed first.
+   * @returns {Array<{name: string, accounts: string[]}>} - Groups and their account keys
+   */
+  listGroups() {
+    const names = new Set([DEFAULT_GROUP, ...this.groups]);
+    Object.values(this.accounts).forEach(account => names.add(account.group));
+    
+    return [...names]
+      .sort((a, b) => (a === DEFAULT_GROUP ? -1 : b === DEFAULT_GROUP ? 1 : a.localeCompare(b)))
+      .map(name => ({ name, accounts: this.getGroupAccounts(name) }));
+  }
+  
+  /**
+   * Get the keys of all accounts in a group
+   * @param {string} name - Group name
+   * @returns {string[]} - Account keys
+   */
+  getGroupAccounts(name) {
+    return Object.keys(this.accounts).filter(key => this.accounts[key].group === name);
+  }
+  
+  /**
+   * Check whether a group exists
+   * @param {string} name - Group name
+   * @returns {boolean} - Whether the group exists
+   */
+  hasGroup(name) {
+    return name === DEFAULT_GROUP || this.groups.includes(name) ||
+           Object.values(this.accounts).some(account => account.group === name);
+  }
+  
+  /**
+   * Create an empty group
+   * @param {string} name - Group name
+   * @returns {{success: boolean, message: string}} - Result of the operation
+   */
+  createGroup(name) {
+    if (!this._isValidGroupName(name)) {
+      return { success: false, message: 'Group names must be 1-64 characters without commas or surrounding spaces' };
+    }
+    
+    if (this.hasGroup(name)) {
+      return { success: false, message: `Group "${name}" already exists` };
+    }
+    
+    this.groups.push(name);
+    this._saveGroups();
+    logger.info(`Created group "${name}"`);
+    return { success: true, message: `Created group "${name}"` };
+  }
+  
+  /**
+   * Rename a group, moving all of its accounts
+   * @param {string} name - Current group name
+   * @param {string} newName - New group name
+   * @returns {{success: boolean, message: string}} - Result of the operation
+   */
+  renameGroup(name, newName) {
+    if (name === DEFAULT_GROUP) {
+      return { success: false, message: `The ${DEFAULT_GROUP} group can't be renamed` };
+    }
+    
+    if (!this.hasGroup(name)) {
+      return { success: false, message: `Group "${name}" not found` };
+    }
+    
+    if (!this._isValidGroupName(newName)) {
+      return { success: false, message: 'Group names must be 1-64 characters without commas or surrounding spaces' };
+    }
+    
+    if (this.hasGroup(newName)) {
+      return { success: false, message: `Group "${newName}" already exists` };
+    }
+    
+    this.getGroupAccounts(name).forEach((key) => {
+      this.accounts[key].group = newName;
+      this.saveAccount(key);
+    });
+    this.groups = [...this.groups.filter(group => group !== name), newName];
+    this._saveGroups();
+    
+    logger.info(`Renamed group "${name}" to "${newName}"`);
+    return { success: true, message: `Renamed group "${name}" to "${newName}"` };
+  }
+  
+  /**
+   * Delete a group. Its accounts are moved to the default group, not deleted.
+   * @param {string} name - Group name
+   * @returns {{success: boolean, message: string}} - Result of the operation
+   */
+  deleteGroup(name) {
+    if (name === DEFAULT_GROUP) {
+      return { success: false, message: `The ${DEFAULT_GROUP} group can't be deleted` };
+    }
+    
+    if (!this.hasGroup(name)) {
+      return { success: false, message: `Group "${name}" not found` };
+    }
+    
+    const moved = this.getGroupAccounts(name);
+    moved.forEach((key) => {
+      this.accounts[key].group = DEFAULT_GROUP;
+      this.saveAccount(key);
+    });
+    this.groups = this.groups.filter(group => group !== name);
+    this._saveGroups();
+    
+    logger.info(`Deleted group "${name}" (${moved.length} account(s) moved to ${DEFAULT_GROUP})`);
+    return { success: true, message: `Deleted group "${name}"; ${moved.length} account(s) moved to ${DEFAULT_GROUP}` };
+  }
+  
+  /**
+   * Move an account to a group, creating the group if it doesn't exist
+   * @param {string} accountName - Account identifier
+   * @param {string} group - Group name
+   * @returns {{success: boolean, message: string}} - Result of the operation
+   */
+  setAccountGroup(accountName, group) {
+    const accountKey = this.resolveAccountKey(accountName);
+    const account = this.accounts[accountKey];
+    if (!account) {
+      return { success: false, message: `Account "${accountName}" not found` };
+    }
+    
+    if (!this._isValidGroupName(group)) {
+      return { success: false, message: 'Group names must be 1-64 characters without commas or surrounding spaces' };
+    }
+    
+    if (group !== DEFAULT_GROUP && !this.groups.includes(group)) {
+      this.groups.push(group);
+      this._saveGroups();
+    }
+    
+    account.group = group;
+    this.saveAccount(accountKey);
+    return { success: true, message: `Moved ${account.username} to group "${group}"` };
+  }
+  
+  /**
+   * Launch a game with every account in a group, one after another.
+   * Stops at the first account Roblox rate limits, since the rest would be too.
+   * @async
+   * @param {string} group - Group name
+   * @param {string|number} placeId - Roblox place ID
+   * @param {string} [jobId=''] - Optional job ID for specific game server
+   * @returns {Promise<{success: boolean, message: string, rateLimited: boolean, results: Array<{account: string, success: boolean, message: string}>}>}
+   *   Overall result, whether launching stopped because of rate limiting, and the result for each account tried
+   */
+  async launchGroup(group, placeId, jobId = '') {
+    const accountNames = this.getGroupAccounts(group);
+    if (accountNames.length === 0) {
+      return { success: false, message: `Group "${group}" has no accounts`, rateLimited: false, results: [] };
+    }
+    
+    const results = [];
+    let rateLimited = false;
+    for (const accountName of accountNames) {
+      const result = await this.launchGame(accountName, placeId, jobId);
+      results.push({ account: this.accounts[accountName].username, success: result.success, message: result.message });
+      
+      if (result.rateLimited) {
+        rateLimited = true;
+        break;
+      }
+    }
+    
+    const launched = results.filter(result => result.success).length;
+    let message = `Launched ${launched} of ${accountNames.length} account(s) in group "${group}"`;
+    if (rateLimited) {
+      message += '; stopped because Roblox is rate limiting requests';
+    }
+    
+    return {
+      success: launched > 0,
+      message,
+      rateLimited,
+      results
+    };
+  }
+
+  /**
+   * Import accounts from Roblox Account Manager JSON, CSV or a cookie list.
+   * Entries without a username (cookie lists, token-only CSV rows) are looked up
+   * on Roblox, and rejected if Roblox doesn't accept the cookie.
+   * @async
+   * @param {string} content - Raw import content
+   * @param {Object} [options] - Import options
+   * @param {string} [options.format] - 'ram', 'csv' or 'cookies'; detected from the content if omitted
+   * @param {boolean} [options.dryRun=false] - Report what would change without changing anything
+   * @param {string} [options.onDuplicate='skip'] - 'skip' keeps existing accounts, 'overwrite' replaces
+   *   their fields with the imported ones, 'merge' keeps the newest token and combines metadata
+   * @returns {Promise<Object>} - Summary with added, updated, skipped and invalid entries (by username)
+   */
+  async importAccounts(content, options = {}) {
+    const dryRun = !!options.dryRun;
+    const onDuplicate = options.onDuplicate || 'skip';
+    
+    if (!['skip', 'overwrite', 'merge'].includes(onDuplicate)) {
+      return { success: false, message: `Unknown duplicate policy "${onDuplicate}". Use skip, overwrite or merge.` };
+    }
+    
+    if (this.vaultLocked) {
+      return { success: false, message: 'Vault is locked. Unlock it before importing accounts.' };
+    }
+    
+    const format = options.format || detectFormat(content);
+    let parsed;
+    try {
+      parsed = parseAccounts(content, format);
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+    
+    const summary = {
+      success: true,
+      format,
+      dryRun,
+      added: [],
+      updated: [],
+      skipped: [],
+      invalid: parsed.errors
+    };
+    const seen = new Set();
+    
+    for (const { source, data: entryData } of parsed.entries) {
+      let data = entryData;
+      
+      if (!data.username) {
+        const accountInfo = await this.apiService.getAccountInfo(data.securityToken);
+        if (!accountInfo.id) {
+          summary.invalid.push({ source, reason: this._describeCookieFailure(accountInfo) });
+          continue;
+        }
+        data = { ...data, username: accountInfo.name, userId: accountInfo.id };
+      }
+      
+      const identity = getAccountKey(data).toLowerCase();
+      if (seen.has(identity)) {
+        summary.skipped.push({ source, username: data.username, reason: 'Duplicate within import' });
+        continue;
+      }
+      seen.add(identity);
+      
+      const existingKey = this._findExistingAccountKey(data);
+      if (existingKey && onDuplicate === 'skip') {
+        const existingName = this.accounts[existingKey].username;
+        summary.skipped.push({ source, username: data.username, reason: `Already exists as ${existingName}` });
+        continue;
+      }
+      
+      if (!dryRun) {
+        if (existingKey) {
+          const existing = this.accounts[existingKey].toJSON();
+          const merged = onDuplicate === 'merge' ? mergeDuplicateAccounts(existing, data) : { ...existing, ...data };
+          this._storeAccount(merged, existingKey);
+        } else {
+          this._storeAccount(data);
+        }
+      }
+      
+      (existingKey ? summary.updated : summary.added).push(data.username);
+    }
+    
+    if (!dryRun) {
+      await this.flush();
+      logger.info(`Imported accounts (${format}): ${summary.added.length} added, ${summary.updated.length} updated, ` +
+        `${summary.skipped.length} skipped, ${summary.invalid.length} invalid`);
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Export accounts as Roblox Account Manager JSON, CSV or a cookie list
+   * @param {string} [format='ram'] - 'ram', 'csv' or 'cookies'
+   * @param {string[]} [accountNames] - Accounts to export; all accounts if omitted
+   * @returns {{success: boolean, message?: string, content?: string}} - Exported content
+   */
+  exportAccounts(format = 'ram', accountNames) {
+    if (this.vaultLocked) {
+      return { success: false, message: 'Vault is locked. Unlock it before exporting accounts.' };
+    }
+    
+    const names = accountNames || Object.keys(this.accounts);
+    const missing = names.filter(name => !this.resolveAccountKey(name));
+    if (missing.length > 0) {
+      return { success: false, message: `Account(s) not found: ${missing.join(', ')}` };
+    }
+    
+    try {
+      const content = serializeAccounts(names.map(name => this.accounts[this.resolveAccountKey(name)]), format);
+      return { success: true, content };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
   /**
    * Clean up resources
    * @async
@@ -547,7 +2562,13 @@ class RobloxAccountManager {
       await this.stopApiServer();
     }
     
+    this.sessionMonitor.stop();
+    this._stopTrashPurge();
+    
+    // Make sure queued saves reach storage before anything else can fail
+    await this.flush();
     await this.browserService.closeBrowser();
+    await this.storage.close();
   }
 }
 
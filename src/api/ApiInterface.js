@@ -68,7 +68,8 @@ class ApiInterface {
     async initialize() {
         // Configure Express
         this.app.use(cors());
-        this.app.use(express.json());
+        this.app.use(express.json({ limit: '5mb' }));
+        this.app.use(express.text({ type: ['text/*', 'application/csv'], limit: '5mb' }));
 
         // Add authentication middleware if password is set
         if (this.password) {
@@ -113,6 +114,19 @@ class ApiInterface {
         next();
     }
 
+    /**
+     * Answer HTTP 429 for a launch or lookup Roblox rate limited, passing on how long to wait
+     * @param {Object} res - Express response object
+     * @param {Object} result - Launch result with `rateLimited` set
+     * @private
+     */
+    _sendRateLimited(res, result) {
+        if (result.retryAfterMs !== null && result.retryAfterMs !== undefined) {
+            res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+        }
+        res.status(429).send(result.message);
+    }
+
     /**
      * Register API routes
      * @private
@@ -121,10 +135,13 @@ class ApiInterface {
         // Get accounts (returns comma-separated list of account names)
         this.app.get('/GetAccounts', (req, res) => {
             try {
-                const accounts = this.accountManager.listAccounts();
+                const accounts = this.accountManager.findAccounts(req.query.Query);
                 const accountNames = accounts.map(account => account.username);
                 res.send(accountNames.join(','));
             } catch (error) {
+                if (error.code === 'INVALID_QUERY') {
+                    return res.status(400).send(error.message);
+                }
                 logger.error('Error in GetAccounts:', error);
                 res.status(500).send('Internal server error');
             }
@@ -133,7 +150,7 @@ class ApiInterface {
         // Get accounts with detailed information (JSON format)
         this.app.get('/GetAccountsJson', (req, res) => {
             try {
-                const accounts = this.accountManager.listAccounts();
+                const accounts = this.accountManager.findAccounts(req.query.Query);
                 const group = req.query.Group;
 
                 // If group is specified, filter accounts by group
@@ -141,21 +158,161 @@ class ApiInterface {
                     accounts.filter(account => account.group === group) :
                     accounts;
 
+                // Stable keys (user IDs) that scripts can use instead of usernames
+                const keys = new Map(Object.entries(this.accountManager.accounts).map(([key, account]) => [account, key]));
+
                 // Format accounts for response
                 const formattedAccounts = filteredAccounts.map(account => ({
+                    Key: keys.get(account),
                     Username: account.username,
+                    UserId: account.userId,
                     Alias: account.alias || '',
                     Description: account.description || '',
-                    Group: account.group || 'Default'
+                    Group: account.group,
+                    Fields: account.fields,
+                    Tags: account.tags,
+                    Status: account.status,
+                    StatusReason: account.statusReason,
+                    LastChecked: account.lastChecked
                 }));
 
                 res.json(formattedAccounts);
             } catch (error) {
+                if (error.code === 'INVALID_QUERY') {
+                    return res.status(400).send(error.message);
+                }
                 logger.error('Error in GetAccountsJson:', error);
                 res.status(500).send('Internal server error');
             }
         });
 
+        // Move an account to the trash
+        this.app.get('/DeleteAccount', async (req, res) => {
+            try {
+                const { Account } = req.query;
+
+                if (!Account) {
+                    return res.status(400).send('Account is required');
+                }
+
+                const deleted = await this.accountManager.deleteAccount(Account);
+
+                if (deleted) {
+                    res.send(`Account ${Account} moved to the trash`);
+                } else {
+                    res.status(404).send(`Account ${Account} not found`);
+                }
+            } catch (error) {
+                logger.error('Error in DeleteAccount:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // List deleted accounts that can still be restored
+        this.app.get('/GetTrash', (req, res) => {
+            try {
+                res.json(this.accountManager.listTrash().map(entry => ({
+                    Key: entry.key,
+                    Username: entry.username,
+                    UserId: entry.userId,
+                    DeletedAt: entry.deletedAt,
+                    PurgeAt: entry.purgeAt
+                })));
+            } catch (error) {
+                logger.error('Error in GetTrash:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Restore an account from the trash
+        this.app.get('/RestoreAccount', async (req, res) => {
+            try {
+                const { Account } = req.query;
+
+                if (!Account) {
+                    return res.status(400).send('Account is required');
+                }
+
+                const result = await this.accountManager.restoreAccount(Account);
+                res.status(result.success ? 200 : 404).send(result.message);
+            } catch (error) {
+                logger.error('Error in RestoreAccount:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Permanently delete an account from the trash, or empty it with All=true
+        this.app.get('/PurgeAccount', async (req, res) => {
+            try {
+                const { Account, All } = req.query;
+
+                if (!Account && All !== 'true') {
+                    return res.status(400).send('Account (or All=true) is required');
+                }
+
+                const result = await this.accountManager.purgeTrash(All === 'true' ? undefined : Account);
+                res.status(result.success ? 200 : 404).send(result.message);
+            } catch (error) {
+                logger.error('Error in PurgeAccount:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Get an account's cached profile details, refreshing stale ones if asked to
+        this.app.get('/GetProfile', async (req, res) => {
+            try {
+                const { Account, Refresh, Force } = req.query;
+
+                if (!Account) {
+                    return res.status(400).send('Account is required');
+                }
+
+                const accountKey = this.accountManager.resolveAccountKey(Account);
+                const account = this.accountManager.accounts[accountKey];
+                if (!account) {
+                    return res.status(404).send(`Account ${Account} not found`);
+                }
+
+                let errors = {};
+                if (Refresh === 'true' || Force === 'true') {
+                    const result = await this.accountManager.refreshProfile(accountKey, { force: Force === 'true' });
+                    errors = result.errors || {};
+
+                    // Nothing could be fetched at all, e.g. a placeholder account
+                    if (!result.success && Object.keys(errors).length === 0) {
+                        return res.status(400).send(result.message);
+                    }
+                }
+
+                const profile = account.profile;
+                const refreshedAt = field => (profile[field] ? profile[field].refreshedAt : null);
+
+                res.json({
+                    Key: accountKey,
+                    Username: account.username,
+                    UserId: account.userId,
+                    DisplayName: account.getProfileValue('displayName'),
+                    HeadshotUrl: account.getProfileValue('headshotUrl'),
+                    IsPremium: account.getProfileValue('isPremium'),
+                    EmailVerified: account.getProfileValue('emailVerified'),
+                    Created: account.getProfileValue('created'),
+                    Robux: account.getProfileValue('robux'),
+                    RefreshedAt: {
+                        DisplayName: refreshedAt('displayName'),
+                        HeadshotUrl: refreshedAt('headshotUrl'),
+                        IsPremium: refreshedAt('isPremium'),
+                        EmailVerified: refreshedAt('emailVerified'),
+                        Created: refreshedAt('created'),
+                        Robux: refreshedAt('robux')
+                    },
+                    Errors: errors
+                });
+            } catch (error) {
+                logger.error('Error in GetProfile:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
         // Launch account in game
         this.app.get('/LaunchAccount', async (req, res) => {
             try {
@@ -165,14 +322,22 @@ class ApiInterface {
                     return res.status(400).send('Account and PlaceId are required');
                 }
 
+                // PlaceId may also be a game, private server or share link, or a universe ID
+                const place = await this.accountManager.resolvePlace(Account, PlaceId);
+                if (!place.success) {
+                    return res.status(400).send(place.message);
+                }
+
                 const result = await this.accountManager.launchGame(
                     Account,
-                    PlaceId,
-                    JobId || ''
+                    place.placeId,
+                    JobId || place.launchJobId
                 );
 
                 if (result.success) {
                     res.send('Game launch initiated');
+                } else if (result.rateLimited) {
+                    this._sendRateLimited(res, result);
                 } else {
                     res.status(400).send(result.message);
                 }
@@ -182,6 +347,177 @@ class ApiInterface {
             }
         });
 
+        // Resolve a place ID, universe ID, game link or share link to a place
+        this.app.get('/ResolvePlace', async (req, res) => {
+            try {
+                const { Account, Link } = req.query;
+
+                if (!Account || !Link) {
+                    return res.status(400).send('Account and Link are required');
+                }
+
+                const place = await this.accountManager.resolvePlace(Account, Link);
+
+                if (!place.success) {
+                    return res.status(400).send(place.message);
+                }
+
+                res.json({
+                    PlaceId: place.placeId,
+                    Name: place.placeName,
+                    UniverseId: place.universeId,
+                    JobId: place.jobId,
+                    LinkCode: place.linkCode,
+                    Warning: place.warning
+                });
+            } catch (error) {
+                logger.error('Error in ResolvePlace:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // List the public servers of a place, busiest first
+        this.app.get('/GetServers', async (req, res) => {
+            try {
+                const { Account, PlaceId } = req.query;
+
+                if (!Account || !PlaceId) {
+                    return res.status(400).send('Account and PlaceId are required');
+                }
+
+                const result = await this.accountManager.getServers(Account, PlaceId);
+
+                if (!result.success) {
+                    if (result.rateLimited) {
+                        return res.status(429).send(result.message);
+                    }
+                    return res.status(400).send(result.message);
+                }
+
+                res.json({
+                    Complete: result.complete,
+                    Servers: result.servers.map(server => ({
+                        JobId: server.jobId,
+                        Playing: server.playing,
+                        MaxPlayers: server.maxPlayers,
+                        Ping: server.ping,
+                        Fps: server.fps
+                    }))
+                });
+            } catch (error) {
+                logger.error('Error in GetServers:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Launch account in a public server picked by a join strategy
+        this.app.get('/JoinServer', async (req, res) => {
+            try {
+                const { Account, PlaceId, Strategy, JobId } = req.query;
+
+                if (!Account || !PlaceId || !Strategy) {
+                    return res.status(400).send('Account, PlaceId and Strategy are required');
+                }
+
+                const result = await this.accountManager.joinServer(Account, PlaceId, Strategy, { jobId: JobId });
+
+                if (result.success) {
+                    res.json({
+                        Message: result.message,
+                        JobId: result.server.jobId,
+                        Playing: result.server.playing,
+                        MaxPlayers: result.server.maxPlayers
+                    });
+                } else if (result.rateLimited) {
+                    this._sendRateLimited(res, result);
+                } else {
+                    res.status(400).send(result.message);
+                }
+            } catch (error) {
+                logger.error('Error in JoinServer:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Get an account's launch log, newest first
+        this.app.get('/GetLaunchHistory', async (req, res) => {
+            try {
+                const { Account, Limit } = req.query;
+
+                if (!Account) {
+                    return res.status(400).send('Account is required');
+                }
+
+                const limit = Limit ? parseInt(Limit, 10) : undefined;
+                if (Limit && (isNaN(limit) || limit <= 0)) {
+                    return res.status(400).send('Limit must be a positive number');
+                }
+
+                const launches = await this.accountManager.getLaunchHistory(Account, limit);
+                if (!launches) {
+                    return res.status(404).send(`Account ${Account} not found`);
+                }
+
+                res.json(launches.map(entry => ({
+                    Timestamp: entry.timestamp,
+                    PlaceId: entry.placeId,
+                    JobId: entry.jobId,
+                    JoinType: entry.joinType,
+                    FollowedUserId: entry.followedUserId || null,
+                    Success: entry.success,
+                    Error: entry.error
+                })));
+            } catch (error) {
+                logger.error('Error in GetLaunchHistory:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Get usage statistics from an account's launch log
+        this.app.get('/GetLaunchStats', async (req, res) => {
+            try {
+                const { Account, Days } = req.query;
+
+                if (!Account) {
+                    return res.status(400).send('Account is required');
+                }
+
+                const days = Days ? parseInt(Days, 10) : 30;
+                if (isNaN(days) || days <= 0 || days > 366) {
+                    return res.status(400).send('Days must be a number from 1 to 366');
+                }
+
+                const stats = await this.accountManager.getLaunchStats(Account, { days });
+                if (!stats) {
+                    return res.status(404).send(`Account ${Account} not found`);
+                }
+
+                const last = stats.lastSuccessfulLaunch;
+                res.json({
+                    TotalLaunches: stats.totalLaunches,
+                    SuccessfulLaunches: stats.successfulLaunches,
+                    FailedLaunches: stats.failedLaunches,
+                    MostPlayedPlaces: stats.mostPlayedPlaces.map(place => ({
+                        PlaceId: place.placeId,
+                        Launches: place.launches
+                    })),
+                    LaunchesPerDay: stats.launchesPerDay.map(day => ({
+                        Date: day.date,
+                        Launches: day.launches
+                    })),
+                    LastSuccessfulLaunch: last ? {
+                        Timestamp: last.timestamp,
+                        PlaceId: last.placeId,
+                        JobId: last.jobId,
+                        JoinType: last.joinType
+                    } : null
+                });
+            } catch (error) {
+                logger.error('Error in GetLaunchStats:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
         // Set server to join
         this.app.get('/SetServer', async (req, res) => {
             try {
@@ -293,25 +629,15 @@ class ApiInterface {
                     return res.status(400).send('Account and Username are required');
                 }
 
-                // Get user ID from username using Roblox API
-                try {
-                    // Follow user is a special case of launching game
-                    // where placeId is actually userId and followUser flag is true
-                    const result = await this.accountManager.launchGame(
-                        Account,
-                        Username, // This will be resolved to user ID by Roblox
-                        '', // No job ID needed
-                        true // Set follow user flag
-                    );
-
-                    if (result.success) {
-                        res.send(`Following user ${Username}`);
-                    } else {
-                        res.status(400).send(result.message);
-                    }
-                } catch (error) {
-                    logger.error(`Error following user ${Username}:`, error);
-                    res.status(400).send(`Error following user: ${error.message}`);
+                // Looks the username up and checks the user is in a joinable game first
+                const result = await this.accountManager.followUser(Account, Username);
+
+                if (result.success) {
+                    res.send(`Following user ${result.target.username || result.target.userId}`);
+                } else if (result.rateLimited) {
+                    this._sendRateLimited(res, result);
+                } else {
+                    res.status(400).send(result.message);
                 }
             } catch (error) {
                 logger.error('Error in FollowUser:', error);
@@ -322,18 +648,21 @@ class ApiInterface {
         // Add a new account
         this.app.get('/AddAccount', async (req, res) => {
             try {
-                const { Username, Password } = req.query;
+                const { Username, Password, AccountPassword } = req.query;
 
-                if (!Username || !Password) {
-                    return res.status(400).send('Username and Password are required');
+                if (!Username) {
+                    return res.status(400).send('Username is required');
                 }
 
+                // With API protection on, Password is the API password, so the account's goes in AccountPassword
+                const accountPassword = AccountPassword || (this.password ? '' : Password) || '';
+
                 // Add account to manager
                 try {
                     // This would normally log in and add the account
                     // Since we can't actually log in programmatically on macOS easily,
                     // we can add a placeholder account that will need to be logged in manually
-                    const accountKey = await this.accountManager.addPlaceholderAccount(Username, Password);
+                    const accountKey = await this.accountManager.addPlaceholderAccount(Username, accountPassword);
 
                     if (accountKey) {
                         res.send(`Account ${Username} added successfully. Please log in manually.`);
@@ -350,10 +679,460 @@ class ApiInterface {
             }
         });
 
+        // Add an account from a .ROBLOSECURITY value (Cookie query parameter)
+        this.app.get('/ImportCookie', async (req, res) => {
+            try {
+                const { Cookie } = req.query;
+
+                if (!Cookie) {
+                    return res.status(400).send('Cookie is required');
+                }
+
+                const result = await this.accountManager.importCookie(Cookie);
+
+                if (result.success) {
+                    res.send(result.message);
+                } else {
+                    res.status(400).send(result.message);
+                }
+            } catch (error) {
+                logger.error('Error in ImportCookie:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Add accounts from a list of .ROBLOSECURITY values, one per line (request body)
+        this.app.post('/ImportCookie', async (req, res) => {
+            try {
+                const content = typeof req.body === 'string' ? req.body : '';
+
+                if (!content.trim()) {
+                    return res.status(400).send('Request body with one cookie per line is required');
+                }
+
+                const summary = await this.accountManager.importCookies(content);
+
+                if (!summary.success) {
+                    return res.status(400).send(summary.message);
+                }
+
+                res.json({
+                    Added: summary.added,
+                    Updated: summary.updated,
+                    Skipped: summary.skipped,
+                    Invalid: summary.invalid
+                });
+            } catch (error) {
+                logger.error('Error in ImportCookie:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Get vault status
+        this.app.get('/VaultStatus', (req, res) => {
+            try {
+                const status = this.accountManager.getVaultStatus();
+                res.json({
+                    Enabled: status.enabled,
+                    Locked: status.locked
+                });
+            } catch (error) {
+                logger.error('Error in VaultStatus:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Unlock the account vault
+        this.app.get('/UnlockVault', async (req, res) => {
+            try {
+                const { Passphrase } = req.query;
+
+                if (!Passphrase) {
+                    return res.status(400).send('Passphrase is required');
+                }
+
+                const success = await this.accountManager.unlockVault(Passphrase);
+
+                if (success) {
+                    res.send('Vault unlocked');
+                } else {
+                    res.status(403).send('Failed to unlock vault');
+                }
+            } catch (error) {
+                logger.error('Error in UnlockVault:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Lock the account vault
+        this.app.get('/LockVault', async (req, res) => {
+            try {
+                const success = await this.accountManager.lockVault();
+
+                if (success) {
+                    res.send('Vault locked');
+                } else if (!this.accountManager.getVaultStatus().enabled) {
+                    res.status(400).send('Vault is not enabled');
+                } else {
+                    res.status(500).send('Could not save accounts; the vault was not locked');
+                }
+            } catch (error) {
+                logger.error('Error in LockVault:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // List workspaces
+        this.app.get('/GetWorkspaces', async (req, res) => {
+            try {
+                res.json({
+                    Active: this.accountManager.getWorkspace(),
+                    Workspaces: await this.accountManager.listWorkspaces()
+                });
+            } catch (error) {
+                logger.error('Error in GetWorkspaces:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Switch the active workspace
+        this.app.get('/SetWorkspace', async (req, res) => {
+            try {
+                const { Name, Passphrase } = req.query;
+
+                if (!Name) {
+                    return res.status(400).send('Workspace name is required');
+                }
+
+                const success = await this.accountManager.switchWorkspace(Name, Passphrase);
+
+                if (success) {
+                    res.send(`Active workspace: ${Name}`);
+                } else {
+                    res.status(400).send(`Failed to switch to workspace ${Name}`);
+                }
+            } catch (error) {
+                logger.error('Error in SetWorkspace:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Open the login browser to refresh an existing account's cookie
+        this.app.get('/ReauthenticateAccount', async (req, res) => {
+            try {
+                const { Account } = req.query;
+
+                if (!Account) {
+                    return res.status(400).send('Account name is required');
+                }
+
+                const result = await this.accountManager.reauthenticateAccount(Account);
+
+                if (result.success) {
+                    res.send(result.message);
+                } else {
+                    res.status(400).send(result.message);
+                }
+            } catch (error) {
+                logger.error('Error in ReauthenticateAccount:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Get a custom field of an account
+        this.app.get('/GetField', (req, res) => {
+            try {
+                const { Account, Field } = req.query;
+
+                if (!Account || !Field) {
+                    return res.status(400).send('Account and Field are required');
+                }
+
+                if (!this.accountManager.resolveAccountKey(Account)) {
+                    return res.status(404).send(`Account ${Account} not found`);
+                }
+
+                const value = this.accountManager.getAccountField(Account, Field);
+                res.send(value || '');
+            } catch (error) {
+                logger.error('Error in GetField:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Set a custom field of an account
+        this.app.get('/SetField', (req, res) => {
+            try {
+                const { Account, Field, Value } = req.query;
+
+                if (!Account || !Field) {
+                    return res.status(400).send('Account and Field are required');
+                }
+
+                const success = this.accountManager.setAccountField(Account, Field, Value || '');
+
+                if (success) {
+                    res.send(`Field ${Field} set for account ${Account}`);
+                } else {
+                    res.status(404).send(`Account ${Account} not found`);
+                }
+            } catch (error) {
+                logger.error('Error in SetField:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Remove a custom field from an account
+        this.app.get('/RemoveField', (req, res) => {
+            try {
+                const { Account, Field } = req.query;
+
+                if (!Account || !Field) {
+                    return res.status(400).send('Account and Field are required');
+                }
+
+                if (!this.accountManager.resolveAccountKey(Account)) {
+                    return res.status(404).send(`Account ${Account} not found`);
+                }
+
+                const success = this.accountManager.removeAccountField(Account, Field);
+
+                if (success) {
+                    res.send(`Field ${Field} removed from account ${Account}`);
+                } else {
+                    res.status(404).send(`Field ${Field} not found on account ${Account}`);
+                }
+            } catch (error) {
+                logger.error('Error in RemoveField:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // List tags in use and how many accounts have each
+        this.app.get('/GetTags', (req, res) => {
+            try {
+                res.json(this.accountManager.listTags().map(entry => ({
+                    Tag: entry.tag,
+                    Accounts: entry.count
+                })));
+            } catch (error) {
+                logger.error('Error in GetTags:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Add a tag to an account
+        this.app.get('/AddTag', (req, res) => {
+            try {
+                const { Account, Tag } = req.query;
+
+                if (!Account || !Tag) {
+                    return res.status(400).send('Account and Tag are required');
+                }
+
+                if (!this.accountManager.resolveAccountKey(Account)) {
+                    return res.status(404).send(`Account ${Account} not found`);
+                }
+
+                const result = this.accountManager.addAccountTag(Account, Tag);
+                res.status(result.success ? 200 : 400).send(result.message);
+            } catch (error) {
+                logger.error('Error in AddTag:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Remove a tag from an account
+        this.app.get('/RemoveTag', (req, res) => {
+            try {
+                const { Account, Tag } = req.query;
+
+                if (!Account || !Tag) {
+                    return res.status(400).send('Account and Tag are required');
+                }
+
+                if (!this.accountManager.resolveAccountKey(Account)) {
+                    return res.status(404).send(`Account ${Account} not found`);
+                }
+
+                const result = this.accountManager.removeAccountTag(Account, Tag);
+                res.status(result.success ? 200 : 404).send(result.message);
+            } catch (error) {
+                logger.error('Error in RemoveTag:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // List groups and the accounts in each
+        this.app.get('/GetGroups', (req, res) => {
+            try {
+                res.json(this.accountManager.listGroups().map(group => ({
+                    Name: group.name,
+                    Accounts: group.accounts.map(key => this.accountManager.accounts[key].username)
+                })));
+            } catch (error) {
+                logger.error('Error in GetGroups:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Create an empty group
+        this.app.get('/CreateGroup', (req, res) => {
+            try {
+                const { Name } = req.query;
+
+                if (!Name) {
+                    return res.status(400).send('Group name is required');
+                }
+
+                const result = this.accountManager.createGroup(Name);
+                res.status(result.success ? 200 : 400).send(result.message);
+            } catch (error) {
+                logger.error('Error in CreateGroup:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Rename a group
+        this.app.get('/RenameGroup', (req, res) => {
+            try {
+                const { Name, NewName } = req.query;
+
+                if (!Name || !NewName) {
+                    return res.status(400).send('Name and NewName are required');
+                }
+
+                const result = this.accountManager.renameGroup(Name, NewName);
+                res.status(result.success ? 200 : 400).send(result.message);
+            } catch (error) {
+                logger.error('Error in RenameGroup:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Delete a group (its accounts move to the default group)
+        this.app.get('/DeleteGroup', (req, res) => {
+            try {
+                const { Name } = req.query;
+
+                if (!Name) {
+                    return res.status(400).send('Group name is required');
+                }
+
+                const result = this.accountManager.deleteGroup(Name);
+                res.status(result.success ? 200 : 400).send(result.message);
+            } catch (error) {
+                logger.error('Error in DeleteGroup:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Move an account to a group
+        this.app.get('/SetGroup', (req, res) => {
+            try {
+                const { Account, Group } = req.query;
+
+                if (!Account || !Group) {
+                    return res.status(400).send('Account and Group are required');
+                }
+
+                const result = this.accountManager.setAccountGroup(Account, Group);
+                res.status(result.success ? 200 : 400).send(result.message);
+            } catch (error) {
+                logger.error('Error in SetGroup:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Launch every account in a group
+        this.app.get('/LaunchGroup', async (req, res) => {
+            try {
+                const { Group, PlaceId, JobId } = req.query;
+
+                if (!Group || !PlaceId) {
+                    return res.status(400).send('Group and PlaceId are required');
+                }
+
+                const result = await this.accountManager.launchGroup(Group, PlaceId, JobId || '');
+
+                let status = result.success ? 200 : 400;
+                if (!result.success && result.rateLimited) {
+                    status = 429;
+                }
+
+                res.status(status).json({
+                    Message: result.message,
+                    RateLimited: result.rateLimited,
+                    Results: result.results.map(entry => ({
+                        Account: entry.account,
+                        Success: entry.success,
+                        Message: entry.message
+                    }))
+                });
+            } catch (error) {
+                logger.error('Error in LaunchGroup:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Import accounts from Roblox Account Manager JSON, CSV or a cookie list (request body)
+        this.app.post('/ImportAccounts', async (req, res) => {
+            try {
+                const { Format, DryRun, OnDuplicate } = req.query;
+                const content = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+
+                if (!content || !content.trim() || content === '{}') {
+                    return res.status(400).send('Request body with accounts to import is required');
+                }
+
+                const summary = await this.accountManager.importAccounts(content, {
+                    format: Format ? Format.toLowerCase() : undefined,
+                    dryRun: DryRun === 'true',
+                    onDuplicate: OnDuplicate ? OnDuplicate.toLowerCase() : undefined
+                });
+
+                if (!summary.success) {
+                    return res.status(400).send(summary.message);
+                }
+
+                res.json({
+                    Format: summary.format,
+                    DryRun: summary.dryRun,
+                    Added: summary.added,
+                    Updated: summary.updated,
+                    Skipped: summary.skipped,
+                    Invalid: summary.invalid
+                });
+            } catch (error) {
+                logger.error('Error in ImportAccounts:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
+        // Export accounts as Roblox Account Manager JSON, CSV or a cookie list
+        this.app.get('/ExportAccounts', (req, res) => {
+            try {
+                const format = (req.query.Format || 'ram').toLowerCase();
+                const accountNames = req.query.Accounts ? req.query.Accounts.split(',') : undefined;
+                const result = this.accountManager.exportAccounts(format, accountNames);
+
+                if (!result.success) {
+                    return res.status(400).send(result.message);
+                }
+
+                res.type(format === 'ram' ? 'application/json' : (format === 'csv' ? 'text/csv' : 'text/plain'));
+                res.send(result.content);
+            } catch (error) {
+                logger.error('Error in ExportAccounts:', error);
+                res.status(500).send('Internal server error');
+            }
+        });
+
         // API health check
         this.app.get('/health', (req, res) => {
             res.json({
                 status: 'ok',
+                workspace: this.accountManager.getWorkspace(),
                 accounts: Object.keys(this.accountManager.accounts).length,
                 password_protected: !!this.password
             });
@@ -6,9 +6,12 @@
  * 
  */
 
+const fs = require('fs/promises');
 const readline = require('readline');
 const { RobloxAccountManager } = require('../RobloxAccountManager');
 const { logger } = require('../utils/logger');
+const { JOIN_STRATEGIES } = require('../utils/serverBrowser');
+const { questionMasked } = require('../utils/prompt');
 
 /**
  * Class handling command-line interface interactions
@@ -30,12 +33,22 @@ class CommandLineInterface {
       output: process.stdout
     });
     
+    // Exit cleanly on Ctrl+C so queued saves are flushed
+    this.rl.on('SIGINT', () => this.exit());
+    
     /**
      * RobloxAccountManager instance
      * @type {RobloxAccountManager}
      * @private
      */
     this.manager = null;
+    
+    /**
+     * Filter expression applied to account lists and pickers (empty shows every account)
+     * @type {string}
+     * @private
+     */
+    this.accountFilter = '';
   }
   
   /**
@@ -76,13 +89,26 @@ class CommandLineInterface {
    * Display the main menu
    */
   showMenu() {
-    console.log('\n=== Roblox Account Manager ===');
+    const filter = this.accountFilter ? `, filter: ${this.accountFilter}` : '';
+    console.log(`\n=== Roblox Account Manager (workspace: ${this.manager.getWorkspace()}${filter}) ===`);
     console.log('1. Add new account (login)');
     console.log('2. Launch saved account in browser');
     console.log('3. Launch game with account');
-    console.log('4. List all accounts');
+    console.log(this.accountFilter ? '4. List matching accounts' : '4. List all accounts');
     console.log('5. Delete account');
-    console.log('6. Exit');
+    console.log('6. Vault settings');
+    console.log('7. Switch workspace');
+    console.log('8. Import / export accounts');
+    console.log('9. Manage groups');
+    console.log('10. Log in to existing account (re-authenticate or finish a placeholder)');
+    console.log('11. Add account from cookie (value or file)');
+    console.log('12. Refresh account profiles');
+    console.log('13. Launch history and statistics');
+    console.log('14. Filter accounts');
+    console.log('15. Edit account tags');
+    console.log('16. Trash (restore or purge deleted accounts)');
+    console.log('17. Follow a user into their game');
+    console.log('18. Exit');
     this.rl.question('Select an option: ', (option) => this.handleOption(option));
   }
 
@@ -139,6 +165,91 @@ class CommandLineInterface {
         break;
         
       case '6':
+        // Vault settings
+        this.showVaultMenu();
+        break;
+        
+      case '7':
+        // Switch workspace
+        try {
+          await this.switchWorkspace();
+        } catch (error) {
+          logger.error('Error switching workspace:', error);
+          this.showMenu();
+        }
+        break;
+        
+      case '8':
+        // Import / export accounts
+        this.showImportExportMenu();
+        break;
+        
+      case '9':
+        // Manage groups
+        this.showGroupMenu();
+        break;
+        
+      case '10':
+        // Re-authenticate account
+        try {
+          await this.reauthenticateAccount();
+        } catch (error) {
+          logger.error('Error re-authenticating account:', error);
+          this.showMenu();
+        }
+        break;
+        
+      case '11':
+        // Add account from cookie
+        try {
+          await this.importCookie();
+        } catch (error) {
+          logger.error('Error importing cookie:', error);
+          this.showMenu();
+        }
+        break;
+        
+      case '12':
+        // Refresh account profiles
+        try {
+          await this.refreshProfiles();
+        } catch (error) {
+          logger.error('Error refreshing profiles:', error);
+          this.showMenu();
+        }
+        break;
+        
+      case '13':
+        // Launch history and statistics
+        try {
+          await this.showLaunchStats();
+        } catch (error) {
+          logger.error('Error showing launch history:', error);
+          this.showMenu();
+        }
+        break;
+        
+      case '14':
+        // Filter accounts
+        this.setAccountFilter();
+        break;
+        
+      case '15':
+        // Edit account tags
+        this.editAccountTags();
+        break;
+        
+      case '16':
+        // Trash
+        this.showTrashMenu();
+        break;
+        
+      case '17':
+        // Follow a user
+        this.followUser();
+        break;
+        
+      case '18':
         // Exit
         await this.exit();
         break;
@@ -171,7 +282,7 @@ class CommandLineInterface {
    * @returns {Promise<void>}
    */
   async launchAccountBrowser() {
-    const accounts = this.manager.listAccounts();
+    const accounts = this.manager.listAccounts(this.accountFilter);
     if (accounts.length === 0) {
       this.showMenu();
       return;
@@ -185,14 +296,18 @@ class CommandLineInterface {
         return;
       }
       
-      const accountName = Object.keys(this.manager.accounts)[accountIndex];
+      const accountName = this._accountKeyAt(accounts, accountIndex);
       console.log(`Launching account: ${accountName}`);
       
-      // Get the browser service from the manager to open a browser with this account
-      const browserService = this.manager.browserService;
-      await browserService.openAccountBrowser(this.manager.accounts[accountName]);
-      
-      console.log('Account launched successfully. Browser window opened.');
+      try {
+        // Get the browser service from the manager to open a browser with this account
+        const browserService = this.manager.browserService;
+        await browserService.openAccountBrowser(this.manager.accounts[accountName]);
+        
+        console.log('Account launched successfully. Browser window opened.');
+      } catch (error) {
+        logger.error('Error launching account browser:', error);
+      }
       this.showMenu();
     });
   }
@@ -203,7 +318,7 @@ class CommandLineInterface {
    * @returns {Promise<void>}
    */
   async launchGame() {
-    const gameAccounts = this.manager.listAccounts();
+    const gameAccounts = this.manager.listAccounts(this.accountFilter);
     if (gameAccounts.length === 0) {
       this.showMenu();
       return;
@@ -217,48 +332,179 @@ class CommandLineInterface {
         return;
       }
       
-      const accountName = Object.keys(this.manager.accounts)[index];
+      const accountName = this._accountKeyAt(gameAccounts, index);
       
       // Default to the last used Place ID if available
       const defaultPlaceId = this.manager.lastUsedPlaceId || '';
       const placeIdPrompt = defaultPlaceId 
-        ? `Enter the Place ID to join (press Enter for ${defaultPlaceId}): `
-        : 'Enter the Place ID to join: ';
+        ? `Enter the Place ID or game link to join (press Enter for ${defaultPlaceId}): `
+        : 'Enter the Place ID or game link to join: ';
       
-      this.rl.question(placeIdPrompt, (placeId) => {
+      const launch = async (placeId, jobId) => {
+        const result = await this.manager.launchGame(accountName, parseInt(placeId), jobId);
+        
+        if (result.success) {
+          console.log(result.message);
+        } else {
+          console.error(result.message);
+        }
+        
+        this.showMenu();
+      };
+      
+      this.rl.question(placeIdPrompt, async (placeInput) => {
         // Use the last used Place ID if user just presses Enter
-        if (placeId === '' && defaultPlaceId) {
-          placeId = defaultPlaceId;
+        if (placeInput === '' && defaultPlaceId) {
+          placeInput = String(defaultPlaceId);
         }
         
-        if (!placeId || isNaN(parseInt(placeId))) {
+        if (!placeInput.trim()) {
           console.log('Invalid Place ID');
           this.showMenu();
           return;
         }
         
-        this.rl.question('Enter Job ID (optional, press Enter to skip): ', async (jobId) => {
-          const result = await this.manager.launchGame(accountName, parseInt(placeId), jobId);
+        // Links and universe IDs are turned into a place, and the place's name is shown for confirmation
+        const place = await this.manager.resolvePlace(accountName, placeInput);
+        if (!place.success) {
+          console.log(place.message);
+          this.showMenu();
+          return;
+        }
+        
+        this.rl.question(`Launch ${place.message}? (Y/n): `, (confirm) => {
+          if (confirm.trim().toLowerCase().startsWith('n')) {
+            console.log('Launch cancelled');
+            this.showMenu();
+            return;
+          }
           
-          if (result.success) {
-            console.log(result.message);
-          } else {
-            console.error(result.message);
+          // The link already says which server to join
+          if (place.launchJobId) {
+            launch(place.placeId, place.launchJobId);
+            return;
           }
           
-          this.showMenu();
+          this.rl.question('Enter Job ID, "b" to browse servers, or press Enter to skip: ', async (jobId) => {
+            if (jobId.trim().toLowerCase() === 'b') {
+              await this.browseServers(accountName, parseInt(place.placeId));
+              return;
+            }
+            
+            await launch(place.placeId, jobId);
+          });
         });
       });
     });
   }
 
+  /**
+   * Show the public servers of a place and join one by number or strategy
+   * @async
+   * @param {string} accountName - Account to launch
+   * @param {number} placeId - Roblox place ID
+   * @returns {Promise<void>}
+   */
+  async browseServers(accountName, placeId) {
+    const listing = await this.manager.getServers(accountName, placeId);
+    if (!listing.success) {
+      console.error(listing.message);
+      this.showMenu();
+      return;
+    }
+    
+    console.log(`\n${listing.message}`);
+    if (listing.servers.length === 0) {
+      this.showMenu();
+      return;
+    }
+    
+    // Busiest first, as Roblox lists them; only the first page fits on screen
+    const shown = listing.servers.slice(0, 20);
+    shown.forEach((server, index) => {
+      const ping = server.ping !== null ? `${server.ping} ms` : '?';
+      const full = server.playing >= server.maxPlayers ? ' (full)' : '';
+      console.log(`${index + 1}. ${server.playing}/${server.maxPlayers} players, ping ${ping}${full} - ${server.jobId}`);
+    });
+    if (listing.servers.length > shown.length) {
+      console.log(`... and ${listing.servers.length - shown.length} more`);
+    }
+    
+    this.rl.question('Join: server number, [s]mallest, [l]argest non-full, [r]andom other server, or Enter to cancel: ', async (choice) => {
+      const strategies = { s: JOIN_STRATEGIES.SMALLEST, l: JOIN_STRATEGIES.LARGEST, r: JOIN_STRATEGIES.RANDOM };
+      const answer = choice.trim().toLowerCase();
+      const index = parseInt(answer) - 1;
+      let result;
+      
+      if (!answer) {
+        this.showMenu();
+        return;
+      } else if (strategies[answer]) {
+        result = await this.manager.joinServer(accountName, placeId, strategies[answer]);
+      } else if (!isNaN(index) && index >= 0 && index < shown.length) {
+        result = await this.manager.joinServer(accountName, placeId, JOIN_STRATEGIES.JOB_ID, { jobId: shown[index].jobId });
+      } else {
+        console.log('Invalid choice');
+        this.showMenu();
+        return;
+      }
+      
+      if (result.success) {
+        console.log(`${result.message} (server ${result.server.jobId}, ${result.server.playing}/${result.server.maxPlayers} players)`);
+      } else {
+        console.error(result.message);
+      }
+      
+      this.showMenu();
+    });
+  }
+
+  /**
+   * Launch an account into the game another user is playing
+   */
+  followUser() {
+    const accounts = this.manager.listAccounts(this.accountFilter);
+    if (accounts.length === 0) {
+      this.showMenu();
+      return;
+    }
+    
+    this.rl.question('Enter account number to use: ', (accountIndex) => {
+      const index = parseInt(accountIndex) - 1;
+      if (isNaN(index) || index < 0 || index >= accounts.length) {
+        console.log('Invalid account number');
+        this.showMenu();
+        return;
+      }
+      
+      const accountName = this._accountKeyAt(accounts, index);
+      
+      this.rl.question('Enter the username to follow: ', async (username) => {
+        if (!username.trim()) {
+          this.showMenu();
+          return;
+        }
+        
+        const result = await this.manager.followUser(accountName, username);
+        
+        if (result.success) {
+          console.log(`Following ${result.target.username || username.trim()} into place ${result.target.placeId}. ${result.message}`);
+        } else {
+          console.error(result.message);
+        }
+        
+        this.showMenu();
+      });
+    });
+  }
+
   /**
    * List all saved accounts
    */
   listAccounts() {
-    const accounts = this.manager.listAccounts();
+    const accounts = this.manager.listAccounts(this.accountFilter);
     
-    if (accounts.length === 0) {
+    if (accounts.length === 0 && !this.accountFilter) {
       console.log('\nNo accounts have been saved yet. Use option 1 to add a new account.');
     }
     
@@ -274,7 +520,7 @@ class CommandLineInterface {
    * @returns {Promise<void>}
    */
   async deleteAccount() {
-    const accountsToDelete = this.manager.listAccounts();
+    const accountsToDelete = this.manager.listAccounts(this.accountFilter);
     if (accountsToDelete.length === 0) {
       this.showMenu();
       return;
@@ -288,19 +534,709 @@ class CommandLineInterface {
         return;
       }
       
-      const accountName = Object.keys(this.manager.accounts)[accountIndex];
+      const accountName = this._accountKeyAt(accountsToDelete, accountIndex);
+      const username = accountsToDelete[accountIndex].username;
       const deleted = await this.manager.deleteAccount(accountName);
       
       if (deleted) {
-        console.log(`Deleted account: ${accountName}`);
+        console.log(`Moved ${username} to the trash. Restore it from "Trash" in the menu.`);
       } else {
-        console.log(`Failed to delete account: ${accountName}`);
+        console.log(`Failed to delete account: ${username}`);
+      }
+      
+      this.showMenu();
+    });
+  }
+
+  /**
+   * Log in again to refresh an existing account's cookie
+   * @async
+   * @returns {Promise<void>}
+   */
+  async reauthenticateAccount() {
+    const accounts = this.manager.listAccounts(this.accountFilter);
+    if (accounts.length === 0) {
+      this.showMenu();
+      return;
+    }
+    
+    this.rl.question('Enter account number to re-authenticate: ', async (index) => {
+      const accountIndex = parseInt(index) - 1;
+      if (isNaN(accountIndex) || accountIndex < 0 || accountIndex >= accounts.length) {
+        console.log('Invalid account number');
+        this.showMenu();
+        return;
+      }
+      
+      const accountName = this._accountKeyAt(accounts, accountIndex);
+      const result = await this.manager.reauthenticateAccount(accountName);
+      
+      if (!result.success) {
+        console.error(result.message);
+        this.showMenu();
+        return;
+      }
+      
+      console.log(result.message);
+      console.log('Only the cookie is replaced; alias, description, group and fields are kept.');
+      this.rl.question('Press Enter to return to the menu once done...', () => {
+        this.showMenu();
+      });
+    });
+  }
+
+  /**
+   * Add accounts from a pasted .ROBLOSECURITY value or a file with one per line
+   * @async
+   * @returns {Promise<void>}
+   */
+  async importCookie() {
+    this.rl.question('Paste a .ROBLOSECURITY value, or the path to a file with one per line: ', async (answer) => {
+      const input = answer.trim();
+      if (!input) {
+        this.showMenu();
+        return;
+      }
+      
+      let fileContent = null;
+      try {
+        fileContent = await fs.readFile(input, 'utf8');
+      } catch (error) {
+        // Not a readable file, so treat the input as a cookie value
+      }
+      
+      if (fileContent !== null) {
+        const summary = await this.manager.importCookies(fileContent);
+        if (summary.success) {
+          this._printImportSummary(summary);
+        } else {
+          console.error(`Import failed: ${summary.message}`);
+        }
+      } else {
+        const result = await this.manager.importCookie(input);
+        if (result.success) {
+          console.log(result.message);
+        } else {
+          console.error(`Could not add account: ${result.message}`);
+        }
+      }
+      
+      this.showMenu();
+    });
+  }
+
+  /**
+   * Refresh the cached profile details of one account, or of all of them
+   * @async
+   * @returns {Promise<void>}
+   */
+  async refreshProfiles() {
+    const accounts = this.manager.listAccounts(this.accountFilter);
+    if (accounts.length === 0) {
+      this.showMenu();
+      return;
+    }
+    
+    this.rl.question('Enter account number to refresh (leave blank for all): ', async (answer) => {
+      const input = answer.trim();
+      
+      if (!input) {
+        console.log('Refreshing profiles...');
+        const results = await this.manager.refreshAllProfiles({ force: true });
+        results.forEach(result => console.log(`${result.success ? '' : 'Failed: '}${result.message}`));
+        this.showMenu();
+        return;
+      }
+      
+      const index = parseInt(input, 10) - 1;
+      if (isNaN(index) || index < 0 || index >= accounts.length) {
+        console.log('Invalid account number');
+        this.showMenu();
+        return;
+      }
+      
+      const accountName = this._accountKeyAt(accounts, index);
+      const result = await this.manager.refreshProfile(accountName, { force: true });
+      console.log(result.message);
+      Object.entries(result.errors || {}).forEach(([field, reason]) => console.log(`  ${field}: ${reason}`));
+      
+      this.showMenu();
+    });
+  }
+
+  /**
+   * Show an account's recent launches and usage statistics
+   * @async
+   * @returns {Promise<void>}
+   */
+  async showLaunchStats() {
+    const accounts = this.manager.listAccounts(this.accountFilter);
+    if (accounts.length === 0) {
+      this.showMenu();
+      return;
+    }
+    
+    this.rl.question('Enter account number: ', async (answer) => {
+      const index = parseInt(answer, 10) - 1;
+      if (isNaN(index) || index < 0 || index >= accounts.length) {
+        console.log('Invalid account number');
+        this.showMenu();
+        return;
+      }
+      
+      const accountName = this._accountKeyAt(accounts, index);
+      const stats = await this.manager.getLaunchStats(accountName, { days: 7 });
+      const recent = await this.manager.getLaunchHistory(accountName, 10);
+      
+      console.log(`\n=== Launches of ${accounts[index].username} ===`);
+      console.log(`Total: ${stats.totalLaunches} (${stats.successfulLaunches} successful, ${stats.failedLaunches} failed)`);
+      
+      const last = stats.lastSuccessfulLaunch;
+      console.log(`Last successful launch: ${last ? `${new Date(last.timestamp).toLocaleString()} (Place ${last.placeId})` : 'never'}`);
+      
+      if (stats.mostPlayedPlaces.length > 0) {
+        console.log('\nMost played places:');
+        stats.mostPlayedPlaces.forEach(place => console.log(`  ${place.placeId}: ${place.launches} launch(es)`));
+      }
+      
+      console.log('\nLaunches per day (last 7 days, UTC):');
+      stats.launchesPerDay.forEach(day => console.log(`  ${day.date}: ${day.launches}`));
+      
+      if (recent.length > 0) {
+        console.log('\nRecent launches:');
+        recent.forEach((entry) => {
+          const server = entry.jobId ? ` ${entry.jobId}` : '';
+          const followed = entry.followedUserId ? ` (following user ${entry.followedUserId})` : '';
+          const outcome = entry.success ? 'OK' : `FAILED - ${entry.error}`;
+          console.log(`  ${new Date(entry.timestamp).toLocaleString()} ${entry.joinType} ${entry.placeId}${server}${followed}: ${outcome}`);
+        });
+      }
+      
+      this.showMenu();
+    });
+  }
+
+  /**
+   * Get the key of an account picked from a list returned by listAccounts
+   * @param {Account[]} accounts - Accounts as listed
+   * @param {number} index - Zero-based position in the list
+   * @returns {string|undefined} - Account key
+   * @private
+   */
+  _accountKeyAt(accounts, index) {
+    return Object.keys(this.manager.accounts).find(key => this.manager.accounts[key] === accounts[index]);
+  }
+
+  /**
+   * Set the filter applied to account lists and pickers
+   */
+  setAccountFilter() {
+    console.log('\nFilter by tag:, group:, status:, name: or age (lastUsed<7d, addedAt>30d); prefix a term with - to exclude.');
+    console.log('Example: tag:farm group:Main status:valid lastUsed<7d');
+    
+    this.rl.question('Filter (leave blank to show every account): ', (answer) => {
+      const query = answer.trim();
+      
+      try {
+        const matches = this.manager.listAccounts(query);
+        this.accountFilter = query;
+        if (query) {
+          console.log(`${matches.length} account(s) match. Account lists now only show these.`);
+        }
+      } catch (error) {
+        if (error.code !== 'INVALID_QUERY') {
+          throw error;
+        }
+        console.error(`Invalid filter: ${error.message}`);
       }
       
       this.showMenu();
     });
   }
 
+  /**
+   * Add or remove tags on an account
+   */
+  editAccountTags() {
+    const tags = this.manager.listTags();
+    if (tags.length > 0) {
+      console.log(`\nTags in use: ${tags.map(entry => `${entry.tag} (${entry.count})`).join(', ')}`);
+    }
+    
+    const accounts = this.manager.listAccounts(this.accountFilter);
+    if (accounts.length === 0) {
+      this.showMenu();
+      return;
+    }
+    
+    this.rl.question('Enter account number to tag: ', (index) => {
+      const accountIndex = parseInt(index) - 1;
+      if (isNaN(accountIndex) || accountIndex < 0 || accountIndex >= accounts.length) {
+        console.log('Invalid account number');
+        this.showMenu();
+        return;
+      }
+      
+      const accountName = this._accountKeyAt(accounts, accountIndex);
+      this.rl.question('Tags to add, or to remove with a leading - (e.g. "farm -alt"): ', (answer) => {
+        answer.trim().split(/\s+/).filter(Boolean).forEach((entry) => {
+          const result = entry.startsWith('-')
+            ? this.manager.removeAccountTag(accountName, entry.slice(1))
+            : this.manager.addAccountTag(accountName, entry);
+          console.log(result.success ? result.message : `Error: ${result.message}`);
+        });
+        
+        this.showMenu();
+      });
+    });
+  }
+
+  /**
+   * List deleted accounts and restore or purge them
+   */
+  showTrashMenu() {
+    const trash = this.manager.listTrash();
+    if (trash.length === 0) {
+      console.log('\nThe trash is empty');
+      this.showMenu();
+      return;
+    }
+    
+    console.log('\n=== Trash ===');
+    trash.forEach((entry, index) => {
+      const purge = entry.purgeAt ? `, purged ${new Date(entry.purgeAt).toLocaleString()}` : '';
+      console.log(`${index + 1}. ${entry.username} (Deleted: ${new Date(entry.deletedAt).toLocaleString()}${purge})`);
+    });
+    
+    this.rl.question('[r]estore, [p]urge one, [e]mpty the trash, or press Enter to go back: ', (choice) => {
+      const action = choice.trim().toLowerCase();
+      
+      if (action === 'e') {
+        this.rl.question(`Permanently delete ${trash.length} account(s)? (y/N): `, async (answer) => {
+          if (answer.trim().toLowerCase() === 'y') {
+            console.log((await this.manager.purgeTrash()).message);
+          }
+          this.showMenu();
+        });
+        return;
+      }
+      
+      if (action !== 'r' && action !== 'p') {
+        this.showMenu();
+        return;
+      }
+      
+      this.rl.question('Enter trash number: ', async (index) => {
+        const trashIndex = parseInt(index) - 1;
+        if (isNaN(trashIndex) || trashIndex < 0 || trashIndex >= trash.length) {
+          console.log('Invalid trash number');
+          this.showMenu();
+          return;
+        }
+        
+        const key = trash[trashIndex].key;
+        const result = action === 'r'
+          ? await this.manager.restoreAccount(key)
+          : await this.manager.purgeTrash(key);
+        console.log(result.success ? result.message : `Error: ${result.message}`);
+        
+        this.showMenu();
+      });
+    });
+  }
+
+  /**
+   * Switch to another workspace, or create a new one
+   * @async
+   * @returns {Promise<void>}
+   */
+  async switchWorkspace() {
+    const workspaces = await this.manager.listWorkspaces();
+    const current = this.manager.getWorkspace();
+    
+    console.log('\n=== Workspaces ===');
+    workspaces.forEach((name, index) => {
+      console.log(`${index + 1}. ${name}${name === current ? ' (active)' : ''}`);
+    });
+    
+    this.rl.question('Enter workspace number, or a new name to create one: ', async (answer) => {
+      const input = answer.trim();
+      const index = /^\d+$/.test(input) ? parseInt(input) - 1 : -1;
+      const name = workspaces[index] || input;
+      
+      if (!name) {
+        this.showMenu();
+        return;
+      }
+      
+      const switched = await this.manager.switchWorkspace(name);
+      console.log(switched ? `Active workspace: ${name}` : `Failed to switch to workspace: ${name}`);
+      this.showMenu();
+    });
+  }
+
+  /**
+   * Display the group management submenu
+   */
+  showGroupMenu() {
+    console.log('\n=== Groups ===');
+    console.log('1. List groups');
+    console.log('2. Create group');
+    console.log('3. Rename group');
+    console.log('4. Delete group');
+    console.log('5. Move account to group');
+    console.log('6. Launch game with every account in a group');
+    console.log('7. Back');
+    this.rl.question('Select an option: ', async (option) => {
+      try {
+        await this.handleGroupOption(option);
+      } catch (error) {
+        logger.error('Error managing groups:', error);
+        this.showMenu();
+      }
+    });
+  }
+
+  /**
+   * Print groups with their accounts
+   * @returns {Array<{name: string, accounts: string[]}>} - Listed groups
+   * @private
+   */
+  _printGroups() {
+    const groups = this.manager.listGroups();
+    console.log('\n=== Groups ===');
+    groups.forEach((group, index) => {
+      const usernames = group.accounts.map(key => this.manager.accounts[key].username);
+      const members = usernames.length > 0 ? usernames.join(', ') : 'no accounts';
+      console.log(`${index + 1}. ${group.name} (${members})`);
+    });
+    return groups;
+  }
+
+  /**
+   * Ask for a group by number
+   * @param {string} prompt - Question to show
+   * @param {Function} callback - Called with the chosen group name, or null if the answer was invalid
+   * @private
+   */
+  _selectGroup(prompt, callback) {
+    const groups = this._printGroups();
+    this.rl.question(prompt, (answer) => {
+      const index = parseInt(answer) - 1;
+      if (isNaN(index) || index < 0 || index >= groups.length) {
+        console.log('Invalid group number');
+        callback(null);
+        return;
+      }
+      callback(groups[index].name);
+    });
+  }
+
+  /**
+   * Print the result of a group operation and return to the menu
+   * @param {{success: boolean, message: string}} result - Operation result
+   * @private
+   */
+  _showGroupResult(result) {
+    if (result.success) {
+      console.log(result.message);
+    } else {
+      console.error(result.message);
+    }
+    this.showMenu();
+  }
+
+  /**
+   * Handle group submenu option selection
+   * @async
+   * @param {string} option - Selected menu option
+   * @returns {Promise<void>}
+   */
+  async handleGroupOption(option) {
+    switch (option) {
+      case '1':
+        this._printGroups();
+        this.showMenu();
+        break;
+        
+      case '2':
+        this.rl.question('New group name: ', (name) => {
+          this._showGroupResult(this.manager.createGroup(name.trim()));
+        });
+        break;
+        
+      case '3':
+        this._selectGroup('Enter group number to rename: ', (group) => {
+          if (!group) {
+            this.showMenu();
+            return;
+          }
+          this.rl.question('New group name: ', (newName) => {
+            this._showGroupResult(this.manager.renameGroup(group, newName.trim()));
+          });
+        });
+        break;
+        
+      case '4':
+        this._selectGroup('Enter group number to delete: ', (group) => {
+          if (!group) {
+            this.showMenu();
+            return;
+          }
+          this._showGroupResult(this.manager.deleteGroup(group));
+        });
+        break;
+        
+      case '5': {
+        const accounts = this.manager.listAccounts(this.accountFilter);
+        if (accounts.length === 0) {
+          this.showMenu();
+          return;
+        }
+        
+        this.rl.question('Enter account number to move: ', (index) => {
+          const accountIndex = parseInt(index) - 1;
+          if (isNaN(accountIndex) || accountIndex < 0 || accountIndex >= accounts.length) {
+            console.log('Invalid account number');
+            this.showMenu();
+            return;
+          }
+          
+          const accountName = this._accountKeyAt(accounts, accountIndex);
+          this.rl.question('Group name (an unknown name creates the group): ', (group) => {
+            this._showGroupResult(this.manager.setAccountGroup(accountName, group.trim()));
+          });
+        });
+        break;
+      }
+        
+      case '6':
+        this._selectGroup('Enter group number to launch: ', (group) => {
+          if (!group) {
+            this.showMenu();
+            return;
+          }
+          
+          this.rl.question('Enter the Place ID to join: ', (placeId) => {
+            if (!placeId || isNaN(parseInt(placeId))) {
+              console.log('Invalid Place ID');
+              this.showMenu();
+              return;
+            }
+            
+            this.rl.question('Enter Job ID (optional, press Enter to skip): ', async (jobId) => {
+              const result = await this.manager.launchGroup(group, parseInt(placeId), jobId);
+              result.results.forEach((entry) => {
+                console.log(`  ${entry.account}: ${entry.success ? 'launched' : entry.message}`);
+              });
+              this._showGroupResult(result);
+            });
+          });
+        });
+        break;
+        
+      default:
+        this.showMenu();
+        break;
+    }
+  }
+
+  /**
+   * Display the import/export submenu
+   */
+  showImportExportMenu() {
+    console.log('\n=== Import / Export ===');
+    console.log('1. Import accounts from file');
+    console.log('2. Export accounts to file');
+    console.log('3. Back');
+    this.rl.question('Select an option: ', async (option) => {
+      try {
+        if (option === '1') {
+          await this.importAccounts();
+        } else if (option === '2') {
+          await this.exportAccounts();
+        } else {
+          this.showMenu();
+        }
+      } catch (error) {
+        logger.error('Error importing or exporting accounts:', error);
+        this.showMenu();
+      }
+    });
+  }
+
+  /**
+   * Print an import summary
+   * @param {Object} summary - Summary returned by RobloxAccountManager.importAccounts
+   * @private
+   */
+  _printImportSummary(summary) {
+    console.log(`\n=== Import summary (${summary.format}${summary.dryRun ? ', dry run' : ''}) ===`);
+    console.log(`${summary.dryRun ? 'Would add' : 'Added'}: ${summary.added.length}${summary.added.length ? ` (${summary.added.join(', ')})` : ''}`);
+    console.log(`${summary.dryRun ? 'Would update' : 'Updated'}: ${summary.updated.length}${summary.updated.length ? ` (${summary.updated.join(', ')})` : ''}`);
+    console.log(`Skipped: ${summary.skipped.length}`);
+    summary.skipped.forEach(entry => console.log(`  ${entry.source}: ${entry.username} - ${entry.reason}`));
+    console.log(`Invalid: ${summary.invalid.length}`);
+    summary.invalid.forEach(entry => console.log(`  ${entry.source}: ${entry.reason}`));
+  }
+
+  /**
+   * Import accounts from a file, showing a dry run before anything is changed
+   * @async
+   * @returns {Promise<void>}
+   */
+  async importAccounts() {
+    this.rl.question('Path to import file (RAM AccountData.json, CSV or cookie list): ', (filePath) => {
+      this.rl.question('Existing accounts: [s]kip, [o]verwrite or [m]erge? (default skip): ', async (answer) => {
+        const choice = answer.trim().toLowerCase();
+        const onDuplicate = choice.startsWith('o') ? 'overwrite' : (choice.startsWith('m') ? 'merge' : 'skip');
+        
+        let content;
+        try {
+          content = await fs.readFile(filePath.trim(), 'utf8');
+        } catch (error) {
+          console.log(`Could not read file: ${error.message}`);
+          this.showMenu();
+          return;
+        }
+        
+        const preview = await this.manager.importAccounts(content, { dryRun: true, onDuplicate });
+        if (!preview.success) {
+          console.log(`Import failed: ${preview.message}`);
+          this.showMenu();
+          return;
+        }
+        
+        this._printImportSummary(preview);
+        if (preview.added.length + preview.updated.length === 0) {
+          console.log('Nothing to import.');
+          this.showMenu();
+          return;
+        }
+        
+        this.rl.question('Apply this import? (y/N): ', async (confirm) => {
+          if (confirm.trim().toLowerCase() === 'y') {
+            const result = await this.manager.importAccounts(content, { format: preview.format, onDuplicate });
+            if (result.success) {
+              this._printImportSummary(result);
+            } else {
+              console.log(`Import failed: ${result.message}`);
+            }
+          } else {
+            console.log('Import cancelled.');
+          }
+          this.showMenu();
+        });
+      });
+    });
+  }
+
+  /**
+   * Export all accounts to a file
+   * @async
+   * @returns {Promise<void>}
+   */
+  async exportAccounts() {
+    this.rl.question('Format: [r]am JSON, [c]sv or cookie [l]ist (default ram): ', (answer) => {
+      const choice = answer.trim().toLowerCase();
+      const format = choice.startsWith('c') ? 'csv' : (choice.startsWith('l') ? 'cookies' : 'ram');
+      const defaultPath = { ram: 'AccountData.json', csv: 'accounts.csv', cookies: 'cookies.txt' }[format];
+      
+      this.rl.question(`Output file (press Enter for ${defaultPath}): `, async (filePath) => {
+        const result = this.manager.exportAccounts(format);
+        if (!result.success) {
+          console.log(`Export failed: ${result.message}`);
+          this.showMenu();
+          return;
+        }
+        
+        const outputPath = filePath.trim() || defaultPath;
+        try {
+          await fs.writeFile(outputPath, result.content, { encoding: 'utf8', mode: 0o600 });
+          console.log(`Exported ${Object.keys(this.manager.accounts).length} account(s) to ${outputPath}`);
+          console.log('This file contains login cookies. Keep it private.');
+        } catch (error) {
+          console.log(`Could not write file: ${error.message}`);
+        }
+        this.showMenu();
+      });
+    });
+  }
+
+  /**
+   * Display the vault submenu
+   */
+  showVaultMenu() {
+    const status = this.manager.getVaultStatus();
+    const statusText = !status.enabled ? 'disabled (plaintext)' : (status.locked ? 'locked' : 'unlocked');
+    
+    console.log(`\n=== Vault (${statusText}) ===`);
+    console.log('1. Unlock vault');
+    console.log('2. Lock vault');
+    console.log('3. Encrypt accounts file (convert to vault)');
+    console.log('4. Decrypt accounts file (convert to plaintext)');
+    console.log('5. Back');
+    this.rl.question('Select an option: ', async (option) => {
+      try {
+        await this.handleVaultOption(option);
+      } catch (error) {
+        logger.error('Error updating vault:', error);
+        this.showMenu();
+      }
+    });
+  }
+
+  /**
+   * Handle vault submenu option selection
+   * @async
+   * @param {string} option - Selected menu option
+   * @returns {Promise<void>}
+   */
+  async handleVaultOption(option) {
+    switch (option) {
+      case '1': {
+        const passphrase = await questionMasked(this.rl, 'Enter vault passphrase: ');
+        const unlocked = await this.manager.unlockVault(passphrase);
+        console.log(unlocked ? 'Vault unlocked.' : 'Failed to unlock vault.');
+        this.showMenu();
+        break;
+      }
+        
+      case '2': {
+        const locked = await this.manager.lockVault();
+        console.log(locked ? 'Vault locked.' : 'Vault was not locked.');
+        this.showMenu();
+        break;
+      }
+        
+      case '3': {
+        const passphrase = await questionMasked(this.rl, 'Enter new vault passphrase: ');
+        const confirmation = await questionMasked(this.rl, 'Confirm passphrase: ');
+        if (!passphrase || passphrase !== confirmation) {
+          console.log('Passphrases do not match');
+          this.showMenu();
+          break;
+        }
+        
+        const enabled = await this.manager.enableVault(passphrase);
+        console.log(enabled ? 'Accounts file is now encrypted.' : 'Failed to encrypt accounts file.');
+        this.showMenu();
+        break;
+      }
+        
+      case '4': {
+        const disabled = await this.manager.disableVault();
+        console.log(disabled ? 'Accounts file is now stored in plaintext.' : 'Failed to decrypt accounts file.');
+        this.showMenu();
+        break;
+      }
+        
+      default:
+        this.showMenu();
+        break;
+    }
+  }
+
   /**
    * Exit the application
    * @async
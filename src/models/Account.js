@@ -6,6 +6,29 @@
  * 
  */
 
+/**
+ * Group that accounts belong to unless moved elsewhere
+ * @type {string}
+ */
+const DEFAULT_GROUP = 'Default';
+
+/**
+ * Possible results of a session check
+ * @type {Object.<string, string>}
+ */
+const SESSION_STATUS = {
+  VALID: 'valid',
+  EXPIRED: 'expired',
+  UNKNOWN: 'unknown',
+  NEEDS_LOGIN: 'needs_login'
+};
+
+/**
+ * Profile details cached from Roblox
+ * @type {string[]}
+ */
+const PROFILE_FIELDS = ['displayName', 'headshotUrl', 'isPremium', 'emailVerified', 'created', 'robux'];
+
 /**
  * Class representing a Roblox account
  * @class
@@ -22,6 +45,17 @@ class Account {
      * @param {string} [accountData.addedAt] - ISO timestamp when account was added
      * @param {string} [accountData.lastUsed] - ISO timestamp when account was last used
      * @param {string} [accountData.browserTrackerId] - Browser tracker ID for game launch
+     * @param {string} [accountData.alias] - User-defined alias
+     * @param {string} [accountData.description] - User-defined description
+     * @param {string} [accountData.group='Default'] - Group the account belongs to
+     * @param {Object.<string, string>} [accountData.fields] - Custom key/value fields
+     * @param {string[]} [accountData.tags] - Free-form tags
+     * @param {string} [accountData.status='unknown'] - Result of the last session check, or
+     *   'needs_login' for a placeholder that has no cookie yet
+     * @param {string} [accountData.statusReason] - Why the session is expired or unknown
+     * @param {string} [accountData.lastChecked] - ISO timestamp of the last session check
+     * @param {Object.<string, {value: *, refreshedAt: string}>} [accountData.profile] - Cached
+     *   profile details, keyed by field name
      */
     constructor(accountData) {
       /**
@@ -65,6 +99,61 @@ class Account {
        * @type {string}
        */
       this.browserTrackerId = accountData.browserTrackerId || null;
+      
+      /**
+       * User-defined alias
+       * @type {string}
+       */
+      this.alias = accountData.alias || '';
+      
+      /**
+       * User-defined description
+       * @type {string}
+       */
+      this.description = accountData.description || '';
+      
+      /**
+       * Group the account belongs to
+       * @type {string}
+       */
+      this.group = accountData.group || DEFAULT_GROUP;
+      
+      /**
+       * Custom key/value fields
+       * @type {Object.<string, string>}
+       */
+      this.fields = { ...(accountData.fields || {}) };
+      
+      /**
+       * Free-form tags
+       * @type {string[]}
+       */
+      this.tags = [...(accountData.tags || [])];
+      
+      /**
+       * Result of the last session check: 'valid', 'expired' or 'unknown'.
+       * 'needs_login' marks a placeholder account that has never been logged in.
+       * @type {string}
+       */
+      this.status = accountData.status || SESSION_STATUS.UNKNOWN;
+      
+      /**
+       * Why the session is expired or unknown
+       * @type {string}
+       */
+      this.statusReason = accountData.statusReason || '';
+      
+      /**
+       * ISO timestamp of the last session check
+       * @type {string|null}
+       */
+      this.lastChecked = accountData.lastChecked || null;
+      
+      /**
+       * Profile details cached from Roblox, each with the time it was last refreshed
+       * @type {Object.<string, {value: *, refreshedAt: string}>}
+       */
+      this.profile = { ...(accountData.profile || {}) };
     }
   
     /**
@@ -87,6 +176,55 @@ class Account {
       return this.lastUsed;
     }
   
+    /**
+     * Check whether this is a placeholder waiting for its first login
+     * @returns {boolean} - Whether the account needs to be logged in
+     */
+    isPending() {
+      return this.status === SESSION_STATUS.NEEDS_LOGIN;
+    }
+  
+    /**
+     * Record the result of a session check
+     * @param {string} status - 'valid', 'expired' or 'unknown'
+     * @param {string} [reason=''] - Why the session is expired or unknown
+     * @returns {string} - The previous status
+     */
+    setSessionStatus(status, reason = '') {
+      const previous = this.status;
+      this.status = status;
+      this.statusReason = reason;
+      this.lastChecked = new Date().toISOString();
+      return previous;
+    }
+  
+    /**
+     * Check whether the account has a tag (case-insensitive)
+     * @param {string} tag - Tag name
+     * @returns {boolean} - Whether the account has the tag
+     */
+    hasTag(tag) {
+      return this.tags.some(existing => existing.toLowerCase() === tag.toLowerCase());
+    }
+  
+    /**
+     * Cache a profile detail fetched from Roblox
+     * @param {string} field - One of PROFILE_FIELDS
+     * @param {*} value - Value reported by Roblox
+     */
+    setProfileField(field, value) {
+      this.profile[field] = { value, refreshedAt: new Date().toISOString() };
+    }
+  
+    /**
+     * Get a cached profile detail
+     * @param {string} field - One of PROFILE_FIELDS
+     * @returns {*} - Cached value, or null if it has never been fetched
+     */
+    getProfileValue(field) {
+      return this.profile[field] ? this.profile[field].value : null;
+    }
+  
     /**
      * Convert the account instance to a plain object for serialization
      * @returns {Object} - Plain JavaScript object representation
@@ -102,9 +240,15 @@ class Account {
         browserTrackerId: this.browserTrackerId,
         alias: this.alias,
         description: this.description,
-        group: this.group
+        group: this.group,
+        fields: this.fields,
+        tags: this.tags,
+        status: this.status,
+        statusReason: this.statusReason,
+        lastChecked: this.lastChecked,
+        profile: this.profile
       };
     }
   }
   
-  module.exports = { Account };
\ No newline at end of file
+  module.exports = { Account, DEFAULT_GROUP, SESSION_STATUS, PROFILE_FIELDS };
\ No newline at end of file
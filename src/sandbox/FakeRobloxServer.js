@@ -0,0 +1,708 @@
+/**
+ * FakeRobloxServer.js
+ *
+ * @fileoverview Local stand-in for the Roblox web APIs used by the manager.
+ * Every API is served under a path named after its subdomain
+ * (e.g. /users/v1/users/authenticated for users.roblox.com), which is how
+ * the ROBLOX_ENDPOINTS are set up in sandbox mode. Accounts are fixtures that
+ * sign in with made-up cookies, so nothing ever reaches Roblox.
+ *
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { logger } = require('../utils/logger');
+
+/**
+ * Accounts known to the fake server
+ * @type {Object[]}
+ */
+const DEFAULT_USERS = [
+  { id: 1000001, name: 'SandboxPlayer1', displayName: 'Sandbox Player 1', cookie: 'SANDBOX-COOKIE-1', robux: 250, isPremium: true, emailVerified: true },
+  { id: 1000002, name: 'SandboxPlayer2', displayName: 'Sandbox Player 2', cookie: 'SANDBOX-COOKIE-2', robux: 0, isPremium: false, emailVerified: false },
+  { id: 1000003, name: 'SandboxPlayer3', displayName: 'Sandbox Player 3', cookie: 'SANDBOX-COOKIE-3', robux: 40, isPremium: false, emailVerified: true },
+  // Players to follow: one in a public server, one hiding their joins, one on the website
+  { id: 1000004, name: 'SandboxFriend', playing: { placeId: 1818, server: 2 } },
+  { id: 1000005, name: 'SandboxHermit', playing: { placeId: 1818, server: 4 }, joinsDisabled: true },
+  { id: 1000006, name: 'SandboxBrowser', online: true }
+];
+
+/**
+ * Places known to the fake server, each with a number of public servers
+ * @type {Object[]}
+ */
+const DEFAULT_PLACES = [
+  { placeId: 1818, universeId: 18180, name: 'Sandbox Crossroads', maxPlayers: 12, servers: 30 },
+  { placeId: 4924922222, universeId: 1686885941, name: 'Sandbox Brookhaven', maxPlayers: 30, servers: 8 }
+];
+
+/**
+ * Private servers known to the fake server, by link code
+ * @type {Object[]}
+ */
+const DEFAULT_PRIVATE_SERVERS = [
+  { linkCode: 'SANDBOX-LINK', placeId: 1818, accessCode: '5a4c1bde-0000-4000-8000-000000000001' }
+];
+
+/**
+ * Share links known to the fake server, by code
+ * @type {Object[]}
+ */
+const DEFAULT_SHARE_LINKS = [
+  { code: 'SANDBOX-SHARE-SERVER', type: 'Server', placeId: 1818, linkCode: 'SANDBOX-LINK' },
+  { code: 'SANDBOX-SHARE-GAME', type: 'ExperienceDetails', placeId: 4924922222 }
+];
+
+/**
+ * Place launcher statuses, as returned by PlaceLauncher.ashx
+ * @type {Object.<string, number>}
+ */
+const JOIN_STATUS = {
+  JOINED: 2,
+  GAME_FULL: 6,
+  USER_LEFT: 10,
+  UNAUTHORIZED: 12
+};
+
+/**
+ * Build a Roblox-style error body
+ * @param {string} message - Error message
+ * @param {number} [code=0] - Roblox error code
+ * @returns {{errors: Array<{code: number, message: string}>}} - Error body
+ * @private
+ */
+function robloxErrors(message, code = 0) {
+  return { errors: [{ code, message }] };
+}
+
+/**
+ * Build the job ID of a generated public server
+ * @param {number} placeId - Place ID
+ * @param {number} index - Server number
+ * @returns {string} - Job ID in GUID form
+ * @private
+ */
+function serverJobId(placeId, index) {
+  const hex = crypto.createHash('md5').update(`${placeId}:${index}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-8${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Fake Roblox web server
+ * @class
+ */
+class FakeRobloxServer {
+  /**
+   * Create a new FakeRobloxServer instance
+   * @constructor
+   * @param {Object} [options] - Server options
+   * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+   * @param {Object[]} [options.users] - Accounts, replacing the default fixtures
+   * @param {Object[]} [options.places] - Places, replacing the default fixtures
+   * @param {Object[]} [options.privateServers] - Private servers, replacing the default fixtures
+   * @param {Object[]} [options.shareLinks] - Share links, replacing the default fixtures
+   */
+  constructor(options = {}) {
+    /**
+     * Port to listen on
+     * @type {number}
+     * @private
+     */
+    this.port = options.port || 0;
+
+    /**
+     * Accounts by user ID
+     * @type {Map<number, Object>}
+     * @private
+     */
+    this.users = new Map();
+
+    /**
+     * Places by place ID, with their generated public servers
+     * @type {Map<number, Object>}
+     * @private
+     */
+    this.places = new Map();
+
+    /**
+     * Private servers by link code
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this.privateServers = new Map();
+
+    /**
+     * Share links by code
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this.shareLinks = new Map();
+
+    /**
+     * CSRF token handed out to each session, by cookie
+     * @type {Map<string, string>}
+     * @private
+     */
+    this.csrfTokens = new Map();
+
+    /**
+     * Unredeemed authentication tickets, by ticket
+     * @type {Map<string, number>}
+     * @private
+     */
+    this.authTickets = new Map();
+
+    /**
+     * Every successful join, oldest first
+     * @type {Array<{userId: number, placeId: number, jobId: string, request: string, joinedAt: string}>}
+     */
+    this.joins = [];
+
+    /**
+     * Every request received, oldest first
+     * @type {Array<{method: string, path: string}>}
+     */
+    this.requests = [];
+
+    /**
+     * Requests to answer with HTTP 429, by path prefix
+     * @type {Array<{path: string, remaining: number, retryAfter: number|null}>}
+     * @private
+     */
+    this.rateLimits = [];
+
+    /**
+     * Express app instance
+     * @type {Object}
+     * @private
+     */
+    this.app = express();
+
+    /**
+     * HTTP server instance
+     * @type {Object|null}
+     * @private
+     */
+    this.server = null;
+
+    (options.users || DEFAULT_USERS).forEach(user => this.addUser(user));
+    (options.places || DEFAULT_PLACES).forEach(place => this.addPlace(place));
+    (options.privateServers || DEFAULT_PRIVATE_SERVERS).forEach((server) => {
+      this.privateServers.set(server.linkCode, { ...server });
+    });
+    (options.shareLinks || DEFAULT_SHARE_LINKS).forEach((link) => {
+      this.shareLinks.set(link.code, { ...link });
+    });
+
+    // Users who start out in a game are recorded as having joined it
+    [...this.users.values()].filter(user => user.playing).forEach((user) => {
+      const place = this.places.get(Number(user.playing.placeId));
+      const server = place && place.servers[user.playing.server || 0];
+      if (server) {
+        this.joins.push({ userId: user.id, placeId: place.placeId, jobId: server.id, request: 'RequestGame', joinedAt: new Date().toISOString() });
+      }
+    });
+
+    this.app.use(express.json());
+    this.registerRoutes();
+  }
+
+  /**
+   * Base URL the server is reachable at
+   * @type {string}
+   */
+  get baseUrl() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  /**
+   * Add an account
+   * @param {Object} user - Account fixture
+   * @param {number} user.id - User ID
+   * @param {string} user.name - Username
+   * @param {string} [user.cookie] - .ROBLOSECURITY cookie that signs in as this user
+   * @param {string} [user.displayName] - Display name (defaults to the username)
+   * @param {{placeId: number, server: number}} [user.playing] - Public server (by number) the user is in
+   * @param {boolean} [user.joinsDisabled=false] - Whether the user hides their game from others
+   * @param {boolean} [user.online=false] - Whether the user is on the website when not in a game
+   */
+  addUser(user) {
+    this.users.set(Number(user.id), {
+      displayName: user.name,
+      robux: 0,
+      isPremium: false,
+      emailVerified: false,
+      joinsDisabled: false,
+      online: false,
+      created: '2020-01-01T00:00:00.000Z',
+      ...user,
+      id: Number(user.id)
+    });
+  }
+
+  /**
+   * Add a place and generate its public servers
+   * @param {Object} place - Place fixture
+   * @param {number} place.placeId - Place ID
+   * @param {string} place.name - Place name
+   * @param {number} [place.universeId] - Universe ID
+   * @param {number} [place.maxPlayers=10] - Server capacity
+   * @param {number} [place.servers=5] - Number of public servers
+   */
+  addPlace(place) {
+    const maxPlayers = place.maxPlayers || 10;
+    const servers = [];
+
+    // Spread player counts and pings so every server looks different; every seventh one is full
+    for (let index = 0; index < (place.servers !== undefined ? place.servers : 5); index++) {
+      servers.push({
+        id: serverJobId(place.placeId, index),
+        maxPlayers,
+        playing: index % 7 === 6 ? maxPlayers : (index * 5) % maxPlayers,
+        fps: 59.9,
+        ping: 30 + ((index * 37) % 170)
+      });
+    }
+
+    this.places.set(Number(place.placeId), {
+      universeId: Number(place.placeId) * 10,
+      ...place,
+      placeId: Number(place.placeId),
+      maxPlayers,
+      servers
+    });
+  }
+
+  /**
+   * Start listening
+   * @async
+   * @returns {Promise<string>} - Base URL of the server
+   */
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, '127.0.0.1', resolve);
+      this.server.once('error', reject);
+    });
+
+    this.port = this.server.address().port;
+    logger.info(`Fake Roblox server listening on ${this.baseUrl}`);
+    return this.baseUrl;
+  }
+
+  /**
+   * Stop listening
+   * @async
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    logger.info('Fake Roblox server stopped');
+  }
+
+  /**
+   * Answer the next requests under a path with HTTP 429, as Roblox does when it rate limits
+   * @param {string} path - Path prefix, e.g. '/auth/v1/authentication-ticket'
+   * @param {Object} [options] - Rate limit options
+   * @param {number} [options.times=1] - How many requests to refuse (Infinity for all of them)
+   * @param {number|null} [options.retryAfter=null] - Retry-After header in seconds, or null to send none
+   */
+  rateLimit(path, options = {}) {
+    this.rateLimits.push({
+      path,
+      remaining: options.times !== undefined ? options.times : 1,
+      retryAfter: options.retryAfter !== undefined ? options.retryAfter : null
+    });
+  }
+
+  /**
+   * Forget every CSRF token handed out, as if they had all expired.
+   * The next write request is refused with a fresh token.
+   */
+  expireCsrfTokens() {
+    this.csrfTokens.clear();
+  }
+
+  /**
+   * Express middleware that records every request and applies rate limits set with rateLimit
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @private
+   */
+  _throttle(req, res, next) {
+    this.requests.push({ method: req.method, path: req.path });
+
+    const limit = this.rateLimits.find(candidate => candidate.remaining > 0 && req.path.startsWith(candidate.path));
+    if (!limit) {
+      return next();
+    }
+
+    limit.remaining -= 1;
+    if (limit.retryAfter !== null) {
+      res.set('retry-after', String(limit.retryAfter));
+    }
+    res.status(429).json(robloxErrors('Too many requests'));
+  }
+
+  /**
+   * Find the account a request's .ROBLOSECURITY cookie signs in as
+   * @param {Object} req - Express request object
+   * @returns {Object|null} - Account fixture, or null if the cookie is missing or unknown
+   * @private
+   */
+  _authenticate(req) {
+    const match = (req.headers.cookie || '').match(/\.ROBLOSECURITY=([^;]+)/);
+    if (!match) {
+      return null;
+    }
+
+    return [...this.users.values()].find(user => user.cookie && user.cookie === match[1]) || null;
+  }
+
+  /**
+   * Get the server a user last joined
+   * @param {number} userId - User ID
+   * @returns {Object|null} - Join entry, or null if the user hasn't joined a game
+   * @private
+   */
+  _currentJoin(userId) {
+    return [...this.joins].reverse().find(join => join.userId === userId) || null;
+  }
+
+  /**
+   * Express middleware that rejects requests without a valid cookie
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @private
+   */
+  _requireUser(req, res, next) {
+    req.user = this._authenticate(req);
+    if (!req.user) {
+      return res.status(401).json(robloxErrors('Authorization has been denied for this request.'));
+    }
+    next();
+  }
+
+  /**
+   * Express middleware that enforces Roblox's CSRF check on write requests.
+   * A missing or stale token is answered with 403 and a fresh token.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @private
+   */
+  _requireCsrf(req, res, next) {
+    const expected = this.csrfTokens.get(req.user.cookie);
+    if (expected && req.headers['x-csrf-token'] === expected) {
+      return next();
+    }
+
+    const token = crypto.randomBytes(6).toString('hex');
+    this.csrfTokens.set(req.user.cookie, token);
+    res.set('x-csrf-token', token);
+    res.status(403).json(robloxErrors('Token Validation Failed'));
+  }
+
+  /**
+   * Register routes for every emulated API
+   * @private
+   */
+  registerRoutes() {
+    const requireUser = this._requireUser.bind(this);
+    const requireCsrf = this._requireCsrf.bind(this);
+
+    this.app.use(this._throttle.bind(this));
+
+    // users.roblox.com
+    this.app.get('/users/v1/users/authenticated', requireUser, (req, res) => {
+      res.json({ id: req.user.id, name: req.user.name, displayName: req.user.displayName });
+    });
+
+    this.app.post('/users/v1/usernames/users', (req, res) => {
+      const usernames = ((req.body || {}).usernames || []).map(name => String(name).toLowerCase());
+      res.json({
+        data: [...this.users.values()]
+          .filter(user => usernames.includes(user.name.toLowerCase()))
+          .map(user => ({ requestedUsername: user.name, id: user.id, name: user.name, displayName: user.displayName, hasVerifiedBadge: false }))
+      });
+    });
+
+    this.app.get('/users/v1/users/:userId', (req, res) => {
+      const user = this.users.get(Number(req.params.userId));
+      if (!user) {
+        return res.status(404).json(robloxErrors('The user id is invalid.', 3));
+      }
+      res.json({
+        id: user.id,
+        name: user.name,
+        displayName: user.displayName,
+        created: user.created,
+        description: '',
+        isBanned: false,
+        hasVerifiedBadge: false
+      });
+    });
+
+    // auth.roblox.com
+    this.app.post('/auth/v1/authentication-ticket', requireUser, requireCsrf, (req, res) => {
+      const ticket = crypto.randomBytes(24).toString('hex');
+      this.authTickets.set(ticket, req.user.id);
+      res.set('rbx-authentication-ticket', ticket);
+      res.json({});
+    });
+
+    // www.roblox.com
+    this.app.get('/www/mobileapi/userinfo', requireUser, (req, res) => {
+      res.json({
+        UserID: req.user.id,
+        UserName: req.user.name,
+        RobuxBalance: req.user.robux,
+        IsAnyBuildersClubMember: false,
+        IsPremium: req.user.isPremium
+      });
+    });
+
+    this.app.get('/www/games/:placeId*', (req, res) => {
+      const place = this.places.get(Number(req.params.placeId));
+      if (!place) {
+        return res.status(404).send('<html><body>Page not found</body></html>');
+      }
+
+      const server = this.privateServers.get(req.query.privateServerLinkCode);
+      const launcher = server && server.placeId === place.placeId
+        ? `<script>Roblox.GameLauncher.joinPrivateGame(${place.placeId}, '${server.accessCode}', '${server.linkCode}')</script>`
+        : '';
+      res.send(`<html><head><title>${place.name} - Roblox</title></head><body>${launcher}</body></html>`);
+    });
+
+    // assetgame.roblox.com
+    this.app.get('/assetgame/game/PlaceLauncher.ashx', (req, res) => {
+      res.json(this._launch(req.query, req.headers['rbx-authentication-ticket']));
+    });
+
+    // games.roblox.com
+    this.app.get('/games/v1/games', (req, res) => {
+      const universeIds = String(req.query.universeIds || '').split(',').filter(Boolean).map(Number);
+      const places = [...this.places.values()].filter(place => universeIds.includes(place.universeId));
+      res.json({
+        data: places.map(place => ({
+          id: place.universeId,
+          rootPlaceId: place.placeId,
+          name: place.name,
+          maxPlayers: place.maxPlayers,
+          playing: place.servers.reduce((total, server) => total + server.playing, 0)
+        }))
+      });
+    });
+
+    this.app.get('/games/v1/games/multiget-place-details', requireUser, (req, res) => {
+      const placeIds = [].concat(req.query.placeIds || []).join(',').split(',').filter(Boolean).map(Number);
+      res.json(placeIds.filter(placeId => this.places.has(placeId)).map((placeId) => {
+        const place = this.places.get(placeId);
+        return {
+          placeId: place.placeId,
+          name: place.name,
+          universeId: place.universeId,
+          universeRootPlaceId: place.placeId,
+          isPlayable: true
+        };
+      }));
+    });
+
+    this.app.get('/games/v1/games/:placeId/servers/:serverType', (req, res) => {
+      const place = this.places.get(Number(req.params.placeId));
+      if (!place) {
+        return res.status(400).json(robloxErrors('The place is invalid.', 1));
+      }
+      if (req.params.serverType !== 'Public' && req.params.serverType !== '0') {
+        return res.json({ previousPageCursor: null, nextPageCursor: null, data: [] });
+      }
+
+      const limit = [10, 25, 50, 100].includes(Number(req.query.limit)) ? Number(req.query.limit) : 10;
+      const offset = req.query.cursor ? parseInt(Buffer.from(req.query.cursor, 'base64').toString(), 10) || 0 : 0;
+      const servers = req.query.sortOrder === 'Asc' ? [...place.servers].reverse() : place.servers;
+      const cursor = value => Buffer.from(String(value)).toString('base64');
+
+      res.json({
+        previousPageCursor: offset > 0 ? cursor(Math.max(0, offset - limit)) : null,
+        nextPageCursor: offset + limit < servers.length ? cursor(offset + limit) : null,
+        data: servers.slice(offset, offset + limit).map(server => ({
+          ...server,
+          playerTokens: [],
+          players: []
+        }))
+      });
+    });
+
+    // apis.roblox.com
+    this.app.post('/apis/sharelinks/v1/resolve-link', requireUser, requireCsrf, (req, res) => {
+      const link = this.shareLinks.get((req.body || {}).linkId);
+      const fields = { Server: 'privateServerInviteData', ExperienceDetails: 'experienceDetailsInviteData', ExperienceInvite: 'experienceInviteData' };
+      const field = fields[(req.body || {}).linkType];
+      if (!field) {
+        return res.status(400).json(robloxErrors('The link type is invalid.'));
+      }
+      if (!link || link.type !== req.body.linkType) {
+        return res.json({ [field]: { status: 'Invalid' } });
+      }
+
+      const place = this.places.get(link.placeId);
+      res.json({
+        [field]: {
+          status: 'Valid',
+          placeId: link.placeId,
+          universeId: place ? place.universeId : null,
+          ...(link.linkCode ? { linkCode: link.linkCode } : {}),
+          ...(link.jobId ? { instanceId: link.jobId } : {})
+        }
+      });
+    });
+
+    // presence.roblox.com
+    this.app.post('/presence/v1/presence/users', requireUser, requireCsrf, (req, res) => {
+      const userIds = ((req.body || {}).userIds || []).map(Number);
+      res.json({
+        userPresences: userIds.filter(userId => this.users.has(userId)).map((userId) => {
+          const user = this.users.get(userId);
+          const join = this._currentJoin(userId);
+          const place = join && this.places.get(join.placeId);
+          const visible = join && !user.joinsDisabled;
+
+          return {
+            userPresenceType: join ? 2 : (user.online ? 1 : 0),
+            lastLocation: join ? (place ? place.name : 'Private game') : (user.online ? 'Website' : ''),
+            placeId: visible ? join.placeId : null,
+            rootPlaceId: visible ? join.placeId : null,
+            gameId: visible ? join.jobId : null,
+            universeId: visible && place ? place.universeId : null,
+            userId
+          };
+        })
+      });
+    });
+
+    // thumbnails.roblox.com
+    this.app.get('/thumbnails/v1/users/avatar-headshot', (req, res) => {
+      const userIds = String(req.query.userIds || '').split(',').filter(Boolean);
+      res.json({
+        data: userIds.map(userId => ({
+          targetId: Number(userId),
+          state: this.users.has(Number(userId)) ? 'Completed' : 'Blocked',
+          imageUrl: this.users.has(Number(userId)) ? `${this.baseUrl}/thumbnails/headshots/${userId}.png` : null
+        }))
+      });
+    });
+
+    // premiumfeatures.roblox.com
+    this.app.get('/premiumfeatures/v1/users/:userId/validate-membership', requireUser, (req, res) => {
+      const user = this.users.get(Number(req.params.userId));
+      res.json(!!(user && user.isPremium));
+    });
+
+    // accountsettings.roblox.com
+    this.app.get('/accountsettings/v1/email', requireUser, (req, res) => {
+      res.json({
+        emailAddress: `${req.user.name.toLowerCase()}@sandbox.invalid`,
+        verified: req.user.emailVerified
+      });
+    });
+
+    // economy.roblox.com
+    this.app.get('/economy/v1/users/:userId/currency', requireUser, (req, res) => {
+      if (Number(req.params.userId) !== req.user.id) {
+        return res.status(403).json(robloxErrors('You are not authorized to view this user\'s currency.'));
+      }
+      res.json({ robux: req.user.robux });
+    });
+
+    // Anything else is not emulated; say so instead of hanging or returning HTML
+    this.app.use((req, res) => {
+      res.status(404).json(robloxErrors(`The sandbox does not emulate ${req.method} ${req.path}`));
+    });
+  }
+
+  /**
+   * Handle a place launcher request, redeeming the authentication ticket
+   * @param {Object} query - Place launcher query parameters
+   * @param {string} [ticket] - Authentication ticket
+   * @returns {Object} - Place launcher response
+   * @private
+   */
+  _launch(query, ticket) {
+    const userId = this.authTickets.get(ticket);
+    if (!userId) {
+      return { status: JOIN_STATUS.UNAUTHORIZED, message: 'Authentication failed' };
+    }
+    this.authTickets.delete(ticket);
+
+    let placeId = Number(query.placeId);
+    let jobId;
+
+    switch (query.request) {
+      case 'RequestGame':
+      case 'RequestGameJob': {
+        const place = this.places.get(placeId);
+        if (!place) {
+          return { status: JOIN_STATUS.USER_LEFT, message: 'The place is not available' };
+        }
+
+        const server = query.request === 'RequestGameJob'
+          ? place.servers.find(candidate => candidate.id === query.gameId)
+          : place.servers.find(candidate => candidate.playing < candidate.maxPlayers);
+        if (!server) {
+          return { status: JOIN_STATUS.USER_LEFT, message: 'The server you requested is no longer running' };
+        }
+        if (server.playing >= server.maxPlayers) {
+          return { status: JOIN_STATUS.GAME_FULL, message: 'The game you requested is currently full' };
+        }
+        jobId = server.id;
+        break;
+      }
+
+      case 'RequestPrivateGame': {
+        const server = [...this.privateServers.values()]
+          .find(candidate => candidate.accessCode === query.accessCode && candidate.placeId === placeId);
+        if (!server) {
+          return { status: JOIN_STATUS.UNAUTHORIZED, message: 'You do not have access to this private server' };
+        }
+        jobId = `private-${server.accessCode}`;
+        break;
+      }
+
+      case 'RequestFollowUser': {
+        // Following puts the account wherever the user last joined
+        const target = this._currentJoin(Number(query.userId));
+        if (!target) {
+          return { status: JOIN_STATUS.USER_LEFT, message: 'The user you are following is not in a game' };
+        }
+        if (this.users.get(target.userId).joinsDisabled) {
+          return { status: JOIN_STATUS.UNAUTHORIZED, message: 'The user you are following has joins disabled' };
+        }
+        placeId = target.placeId;
+        jobId = target.jobId;
+        break;
+      }
+
+      default:
+        return { status: JOIN_STATUS.USER_LEFT, message: `Unknown request "${query.request}"` };
+    }
+
+    this.joins.push({ userId, placeId, jobId, request: query.request, joinedAt: new Date().toISOString() });
+    return { jobId, status: JOIN_STATUS.JOINED, placeId, message: null };
+  }
+}
+
+module.exports = {
+  FakeRobloxServer,
+  DEFAULT_USERS,
+  DEFAULT_PLACES,
+  DEFAULT_PRIVATE_SERVERS,
+  DEFAULT_SHARE_LINKS,
+  JOIN_STATUS
+};
@@ -57,9 +57,11 @@ class BrowserService {
   /**
    * Launch a browser for login purposes
    * @async
+   * @param {Object} [options] - Login options
+   * @param {string} [options.username] - Username to prefill in the login form
    * @returns {Promise<Object>} - Browser page object
    */
-  async launchLoginBrowser() {
+  async launchLoginBrowser(options = {}) {
     try {
       // Launch browser if not already running
       if (!this.browser) {
@@ -81,7 +83,7 @@ class BrowserService {
       await this.currentPage.setUserAgent(this.userAgent);
       
       // Navigate to Roblox login page
-      await this.currentPage.goto('https://www.roblox.com/login', {
+      await this.currentPage.goto(`${config.ROBLOX_ENDPOINTS.WWW}/login`, {
         waitUntil: 'networkidle2',
         timeout: 60000
       });
@@ -92,6 +94,16 @@ class BrowserService {
         document.body.classList.add("dark-theme");
       });
 
+      if (options.username) {
+        try {
+          await this.currentPage.waitForSelector('#login-username', { timeout: 5000 });
+          await this.currentPage.type('#login-username', options.username);
+        } catch (error) {
+          // The form layout changed; the user can still type the username themselves
+          logger.warn('Could not prefill the username on the login page');
+        }
+      }
+
       return this.currentPage;
     } catch (error) {
       logger.error('Error launching login browser:', error);
@@ -106,8 +118,9 @@ class BrowserService {
    * @returns {Promise<Object>} - Browser instance
    */
   async openAccountBrowser(account) {
+    let browser = null;
     try {
-      const browser = await puppeteer.launch({
+      browser = await puppeteer.launch({
         headless: false,
         defaultViewport: null,
         args: [
@@ -120,19 +133,20 @@ class BrowserService {
       const page = await browser.newPage();
       await page.setUserAgent(this.userAgent);
       
-      // Set the security cookie
+      // Set the security cookie for the whole Roblox domain (www.roblox.com -> .roblox.com)
+      const site = new URL(config.ROBLOX_ENDPOINTS.WWW);
       await page.setCookie({
         name: '.ROBLOSECURITY',
         value: account.securityToken,
-        domain: '.roblox.com',
+        domain: site.hostname.replace(/^www\./, '.'),
         path: '/',
         httpOnly: true,
-        secure: true,
+        secure: site.protocol === 'https:',
         sameSite: 'Lax'
       });
       
       // Navigate to Roblox home page
-      await page.goto('https://www.roblox.com/home', {
+      await page.goto(`${config.ROBLOX_ENDPOINTS.WWW}/home`, {
         waitUntil: 'networkidle2',
         timeout: 60000
       });
@@ -148,6 +162,10 @@ class BrowserService {
       return browser;
     } catch (error) {
       logger.error('Error opening account browser:', error);
+      // Don't leave a half-set-up window behind
+      if (browser) {
+        await browser.close().catch(() => {});
+      }
       throw error;
     }
   }
@@ -6,9 +6,74 @@
  * 
  */
 
-const fetch = require('node-fetch');
 const { exec } = require('child_process');
+const { ENDPOINT_FAMILIES, RobloxHttpClient } = require('./RobloxHttpClient');
 const { logger } = require('../utils/logger');
+const { config } = require('../utils/config');
+const { RobloxRateLimitError } = require('../utils/robloxErrors');
+
+/**
+ * Referer sent with game-related requests, which Roblox expects to come from a game page
+ * @type {string}
+ */
+const GAME_REFERER = `${config.ROBLOX_ENDPOINTS.WWW}/games/4924922222/Brookhaven-RP`;
+
+/**
+ * Number of per-account HTTP clients to keep
+ * @type {number}
+ */
+const MAX_CLIENTS = 200;
+
+/**
+ * Presence types reported by the presence API
+ * @type {Object.<string, number>}
+ */
+const PRESENCE_TYPES = {
+  OFFLINE: 0,
+  ONLINE: 1,
+  IN_GAME: 2,
+  IN_STUDIO: 3,
+  INVISIBLE: 4
+};
+
+/**
+ * Where each profile detail comes from. Details served by the same endpoint are
+ * fetched together.
+ * @type {Array<{fields: string[], url: Function, read: Function}>}
+ */
+const PROFILE_SOURCES = [
+  {
+    fields: ['displayName', 'created'],
+    url: (endpoints, userId) => `${endpoints.USERS}/v1/users/${userId}`,
+    read: data => ({ displayName: data.displayName, created: data.created })
+  },
+  {
+    fields: ['headshotUrl'],
+    url: (endpoints, userId) => `${endpoints.THUMBNAILS}/v1/users/avatar-headshot?userIds=${userId}&size=150x150&format=Png&isCircular=false`,
+    read: (data) => {
+      const thumbnail = (data.data || [])[0];
+      if (!thumbnail || thumbnail.state !== 'Completed') {
+        throw new Error('Headshot is not available yet');
+      }
+      return { headshotUrl: thumbnail.imageUrl };
+    }
+  },
+  {
+    fields: ['isPremium'],
+    url: (endpoints, userId) => `${endpoints.PREMIUM_FEATURES}/v1/users/${userId}/validate-membership`,
+    read: data => ({ isPremium: data === true })
+  },
+  {
+    fields: ['emailVerified'],
+    url: endpoints => `${endpoints.ACCOUNT_SETTINGS}/v1/email`,
+    read: data => ({ emailVerified: !!(data.emailAddress && data.verified) })
+  },
+  {
+    fields: ['robux'],
+    url: (endpoints, userId) => `${endpoints.ECONOMY}/v1/users/${userId}/currency`,
+    read: data => ({ robux: data.robux })
+  }
+];
 
 /**
  * Service class for Roblox API interactions
@@ -25,91 +90,299 @@ class RobloxAPIService {
      * @type {string}
      * @private
      */
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/111.0.0.0 Safari/537.36';
+    this.userAgent = config.USER_AGENT;
+    
+    /**
+     * HTTP clients by .ROBLOSECURITY cookie value
+     * @type {Map<string, RobloxHttpClient>}
+     * @private
+     */
+    this.clients = new Map();
+    
+    /**
+     * Users found by username, by lowercase username, until `expiresAt`
+     * @type {Map<string, {user: Object, expiresAt: number}>}
+     * @private
+     */
+    this.userLookups = new Map();
+  }
+
+  /**
+   * Get the HTTP client for an account's cookie, creating it on first use.
+   * Clients are kept so each session's CSRF token is reused across calls.
+   * @param {string} securityToken - .ROBLOSECURITY cookie value
+   * @returns {RobloxHttpClient} - HTTP client
+   */
+  getClient(securityToken) {
+    let client = this.clients.get(securityToken);
+    
+    if (!client) {
+      client = new RobloxHttpClient(securityToken, { userAgent: this.userAgent });
+      
+      // Forget the least recently created client; replaced cookies are never used again
+      if (this.clients.size >= MAX_CLIENTS) {
+        this.clients.delete(this.clients.keys().next().value);
+      }
+      this.clients.set(securityToken, client);
+    }
+    
+    return client;
   }
 
   /**
    * Get account information using the security token
    * @async
    * @param {string} securityToken - .ROBLOSECURITY cookie value
-   * @returns {Promise<Object>} - Account information
+   * @returns {Promise<Object>} - Account information. On failure `id` is null, `httpStatus` holds
+   *   the status of the primary endpoint (401 means the cookie is no longer valid) and `reason` says why.
    */
   async getAccountInfo(securityToken) {
+    const client = this.getClient(securityToken);
+    let primaryError;
+    
     try {
-      // Make direct API request to get user info
-      const response = await fetch('https://users.roblox.com/v1/users/authenticated', {
-        headers: {
-          'Cookie': `.ROBLOSECURITY=${securityToken}`,
-          'User-Agent': this.userAgent
-        }
-      });
+      const data = await client.getJson(`${config.ROBLOX_ENDPOINTS.USERS}/v1/users/authenticated`);
+      logger.info(`Retrieved account info for ${data.name}`);
+      return {
+        name: data.name,
+        id: data.id,
+        displayName: data.displayName
+      };
+    } catch (error) {
+      primaryError = error;
+    }
+    
+    // Try alternative API endpoint
+    try {
+      const altData = await client.getJson(`${config.ROBLOX_ENDPOINTS.WWW}/mobileapi/userinfo`, { family: ENDPOINT_FAMILIES.WEB });
+      logger.info(`Retrieved account info from alternative API: ${altData.UserName}`);
+      return {
+        name: altData.UserName,
+        id: altData.UserID,
+        displayName: altData.UserName
+      };
+    } catch (error) {
+      logger.error('Failed to get account info from both API endpoints:', primaryError.message);
+      return {
+        name: 'Unknown',
+        id: null,
+        httpStatus: primaryError.status,
+        reason: primaryError.message
+      };
+    }
+  }
+
+  /**
+   * Fetch profile details for an account.
+   * Each endpoint is queried separately, so one failing doesn't lose the others.
+   * @async
+   * @param {string} securityToken - .ROBLOSECURITY cookie value
+   * @param {string|number} userId - Roblox user ID
+   * @param {string[]} fields - Profile fields to fetch (see PROFILE_FIELDS)
+   * @returns {Promise<{values: Object, errors: Object.<string, string>}>} - Fetched values and,
+   *   for fields that couldn't be fetched, why
+   */
+  async getProfile(securityToken, userId, fields) {
+    const client = this.getClient(securityToken);
+    const values = {};
+    const errors = {};
+    const sources = PROFILE_SOURCES.filter(source => source.fields.some(field => fields.includes(field)));
+    
+    await Promise.all(sources.map(async (source) => {
+      const wanted = source.fields.filter(field => fields.includes(field));
       
-      if (response.ok) {
-        const data = await response.json();
-        logger.info(`Retrieved account info for ${data.name}`);
-        return {
-          name: data.name,
-          id: data.id,
-          displayName: data.displayName
-        };
+      try {
+        const data = source.read(await client.getJson(source.url(config.ROBLOX_ENDPOINTS, userId)));
+        wanted.forEach((field) => {
+          values[field] = data[field];
+        });
+      } catch (error) {
+        logger.debug(`Could not fetch ${wanted.join(', ')} for user ${userId}:`, error.message);
+        wanted.forEach((field) => {
+          errors[field] = error.message;
+        });
       }
+    }));
+    
+    return { values, errors };
+  }
+
+  /**
+   * Get the public servers of a place, busiest first, paging through the games API
+   * @async
+   * @param {string} securityToken - .ROBLOSECURITY cookie value
+   * @param {string|number} placeId - Roblox place ID
+   * @param {Object} [options] - Listing options
+   * @param {number} [options.maxPages] - Most pages to fetch (defaults to config.SERVER_BROWSER.MAX_PAGES)
+   * @returns {Promise<{servers: Array<{jobId: string, playing: number, maxPlayers: number, ping: number|null, fps: number|null}>, complete: boolean}>}
+   *   Servers, and whether every page was fetched
+   * @throws {RobloxApiError} - If a page can't be fetched
+   */
+  async getServers(securityToken, placeId, options = {}) {
+    const client = this.getClient(securityToken);
+    const maxPages = options.maxPages || config.SERVER_BROWSER.MAX_PAGES;
+    const servers = [];
+    let cursor = null;
+    let pages = 0;
+    
+    do {
+      const query = `sortOrder=Desc&excludeFullGames=false&limit=${config.SERVER_BROWSER.PAGE_SIZE}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+      const data = await client.getJson(`${config.ROBLOX_ENDPOINTS.GAMES}/v1/games/${placeId}/servers/Public?${query}`);
       
-      // Try alternative API endpoint
-      const altResponse = await fetch('https://www.roblox.com/mobileapi/userinfo', {
-        headers: {
-          'Cookie': `.ROBLOSECURITY=${securityToken}`,
-          'User-Agent': this.userAgent
-        }
+      (data.data || []).forEach((server) => {
+        servers.push({
+          jobId: server.id,
+          playing: server.playing || 0,
+          maxPlayers: server.maxPlayers,
+          ping: server.ping !== undefined ? server.ping : null,
+          fps: server.fps !== undefined ? server.fps : null
+        });
       });
       
-      if (altResponse.ok) {
-        const altData = await altResponse.json();
-        logger.info(`Retrieved account info from alternative API: ${altData.UserName}`);
-        return {
-          name: altData.UserName,
-          id: altData.UserID,
-          displayName: altData.UserName
-        };
-      }
-      
-      logger.error('Failed to get account info from both API endpoints');
-      return { name: 'Unknown', id: null };
-    } catch (error) {
-      logger.error('Error getting account info:', error);
-      return { name: 'Unknown', id: null };
+      cursor = data.nextPageCursor;
+      pages++;
+    } while (cursor && pages < maxPages);
+    
+    return { servers, complete: !cursor };
+  }
+
+  /**
+   * Find a user by username. Found users are cached for config.USER_LOOKUP.CACHE_TTL_MS.
+   * @async
+   * @param {string} securityToken - .ROBLOSECURITY cookie value
+   * @param {string} username - Username, case-insensitive
+   * @returns {Promise<{userId: string, username: string, displayName: string}|null>} - User, or null if nobody has that name
+   * @throws {RobloxApiError} - If Roblox can't be asked
+   */
+  async lookupUser(securityToken, username) {
+    const cacheKey = username.toLowerCase();
+    const cached = this.userLookups.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.user;
+    }
+    
+    const { data } = await this.getClient(securityToken).postJson(
+      `${config.ROBLOX_ENDPOINTS.USERS}/v1/usernames/users`,
+      { usernames: [username], excludeBannedUsers: true }
+    );
+    const found = (data.data || [])[0];
+    if (!found) {
+      this.userLookups.delete(cacheKey);
+      return null;
+    }
+    
+    const user = { userId: String(found.id), username: found.name, displayName: found.displayName };
+    this.userLookups.set(cacheKey, { user, expiresAt: Date.now() + config.USER_LOOKUP.CACHE_TTL_MS });
+    return user;
+  }
+
+  /**
+   * Get where a user is on Roblox, as far as this account is allowed to see
+   * @async
+   * @param {string} securityToken - .ROBLOSECURITY cookie value
+   * @param {string|number} userId - Roblox user ID
+   * @returns {Promise<{type: number, placeId: string|null, jobId: string|null, lastLocation: string}>}
+   *   One of PRESENCE_TYPES, and the place and server if the user is in a game that can be joined
+   * @throws {RobloxApiError} - If Roblox can't be asked
+   */
+  async getPresence(securityToken, userId) {
+    const { data } = await this.getClient(securityToken).postJson(
+      `${config.ROBLOX_ENDPOINTS.PRESENCE}/v1/presence/users`,
+      { userIds: [Number(userId)] }
+    );
+    const presence = (data.userPresences || []).find(entry => String(entry.userId) === String(userId)) || {};
+    
+    // Roblox leaves out the place and server when the user's privacy settings hide them
+    return {
+      type: presence.userPresenceType !== undefined ? presence.userPresenceType : PRESENCE_TYPES.OFFLINE,
+      placeId: presence.placeId ? String(presence.placeId) : null,
+      jobId: presence.gameId || null,
+      lastLocation: presence.lastLocation || ''
+    };
+  }
+
+  /**
+   * Get a place's name and universe
+   * @async
+   * @param {string} securityToken - .ROBLOSECURITY cookie value
+   * @param {string|number} placeId - Roblox place ID
+   * @returns {Promise<{placeId: string, name: string, universeId: string}|null>} - Place details, or null if there is no such place
+   * @throws {RobloxApiError} - If Roblox can't be asked
+   */
+  async getPlaceDetails(securityToken, placeId) {
+    const places = await this.getClient(securityToken)
+      .getJson(`${config.ROBLOX_ENDPOINTS.GAMES}/v1/games/multiget-place-details?placeIds=${placeId}`);
+    const place = (Array.isArray(places) ? places : []).find(entry => String(entry.placeId) === String(placeId));
+    
+    return place ? { placeId: String(place.placeId), name: place.name, universeId: String(place.universeId) } : null;
+  }
+
+  /**
+   * Get a universe's name and root place
+   * @async
+   * @param {string} securityToken - .ROBLOSECURITY cookie value
+   * @param {string|number} universeId - Roblox universe ID
+   * @returns {Promise<{universeId: string, name: string, rootPlaceId: string}|null>} - Universe details, or null if there is no such universe
+   * @throws {RobloxApiError} - If Roblox can't be asked
+   */
+  async getUniverse(securityToken, universeId) {
+    const data = await this.getClient(securityToken)
+      .getJson(`${config.ROBLOX_ENDPOINTS.GAMES}/v1/games?universeIds=${universeId}`);
+    const universe = (data.data || []).find(entry => String(entry.id) === String(universeId));
+    
+    return universe ? { universeId: String(universe.id), name: universe.name, rootPlaceId: String(universe.rootPlaceId) } : null;
+  }
+
+  /**
+   * Resolve a share link (roblox.com/share?code=...&type=...) to the game it leads to
+   * @async
+   * @param {string} securityToken - .ROBLOSECURITY cookie value
+   * @param {string} code - Share link code
+   * @param {string} type - Share link type: 'Server', 'ExperienceDetails' or 'ExperienceInvite'
+   * @returns {Promise<{placeId: string|null, universeId: string|null, linkCode: string|null, jobId: string|null}|null>}
+   *   Where the link leads, or null if it is invalid or expired
+   * @throws {RobloxApiError} - If Roblox can't be asked
+   */
+  async resolveShareLink(securityToken, code, type) {
+    const { data } = await this.getClient(securityToken).postJson(
+      `${config.ROBLOX_ENDPOINTS.APIS}/sharelinks/v1/resolve-link`,
+      { linkId: code, linkType: type }
+    );
+    
+    // Each link type answers in its own field
+    const invite = data.privateServerInviteData || data.experienceDetailsInviteData || data.experienceInviteData;
+    if (!invite || invite.status !== 'Valid') {
+      return null;
     }
+    
+    return {
+      placeId: invite.placeId ? String(invite.placeId) : null,
+      universeId: invite.universeId ? String(invite.universeId) : null,
+      linkCode: invite.linkCode || null,
+      jobId: invite.instanceId || null
+    };
   }
 
   /**
-   * Get CSRF token required for many Roblox API calls
+   * Get CSRF token required for many Roblox API calls.
+   * The token is cached per account, so Roblox is only asked once per session.
    * @async
    * @param {string} securityToken - .ROBLOSECURITY cookie value
    * @returns {Promise<string|null>} - CSRF token or null if unsuccessful
+   * @throws {RobloxRateLimitError} - If Roblox is rate limiting requests
    */
   async getCSRFToken(securityToken) {
     try {
-      // Make a POST request to get the CSRF token
-      const response = await fetch('https://auth.roblox.com/v1/authentication-ticket/', {
-        method: 'POST',
-        headers: {
-          'Cookie': `.ROBLOSECURITY=${securityToken}`,
-          'Referer': 'https://www.roblox.com/games/4924922222/Brookhaven-RP',
-          'User-Agent': this.userAgent
-        }
-      });
-      
-      // CSRF token is returned in the x-csrf-token header when the request fails with 403 Forbidden
-      if (response.status === 403) {
-        const csrfToken = response.headers.get('x-csrf-token');
-        if (csrfToken) {
-          return csrfToken;
-        }
+      const csrfToken = await this.getClient(securityToken).getCsrfToken();
+      if (!csrfToken) {
+        logger.error('Roblox did not return a CSRF token');
       }
-      
-      logger.error(`Failed to get CSRF token, status: ${response.status}`);
-      return null;
+      return csrfToken;
     } catch (error) {
-      logger.error('Error getting CSRF token:', error);
+      if (error instanceof RobloxRateLimitError) {
+        throw error;
+      }
+      logger.error('Error getting CSRF token:', error.message);
       return null;
     }
   }
@@ -119,41 +392,19 @@ class RobloxAPIService {
    * @async
    * @param {string} securityToken - .ROBLOSECURITY cookie value
    * @returns {Promise<string|null>} - Authentication ticket or null if unsuccessful
+   * @throws {RobloxRateLimitError} - If Roblox is rate limiting requests
    */
   async getAuthTicket(securityToken) {
     try {
-      // Get CSRF token first
-      const csrfToken = await this.getCSRFToken(securityToken);
-      if (!csrfToken) {
-        logger.error('Failed to get CSRF token for auth ticket');
-        return null;
-      }
-      
-      logger.info('Got CSRF token:', csrfToken);
+      // The client fetches or refreshes the CSRF token if Roblox asks for one
+      const response = await this.getClient(securityToken).postJson(
+        `${config.ROBLOX_ENDPOINTS.AUTH}/v1/authentication-ticket/`,
+        {},
+        { headers: { 'Referer': GAME_REFERER }, family: ENDPOINT_FAMILIES.AUTH }
+      );
       
-      // Make request to get auth ticket
-      const response = await fetch('https://auth.roblox.com/v1/authentication-ticket/', {
-        method: 'POST',
-        headers: {
-          'Cookie': `.ROBLOSECURITY=${securityToken}`,
-          'Referer': 'https://www.roblox.com/games/4924922222/Brookhaven-RP',
-          'X-CSRF-TOKEN': csrfToken,
-          'User-Agent': this.userAgent,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({}) // Empty JSON body
-      });
-      
-      // Print headers for debugging
-      logger.debug('Response status:', response.status);
-      const headers = {};
-      response.headers.forEach((value, name) => {
-        headers[name.toLowerCase()] = value;
-      });
-      
-      // Auth ticket is in the response headers with lowercase name
-      const authTicket = headers['rbx-authentication-ticket'];
+      // Auth ticket is in the response headers
+      const authTicket = response.headers.get('rbx-authentication-ticket');
       
       if (!authTicket) {
         logger.error('No authentication ticket found in response headers');
@@ -162,7 +413,10 @@ class RobloxAPIService {
       
       return authTicket;
     } catch (error) {
-      logger.error('Error getting auth ticket:', error);
+      if (error instanceof RobloxRateLimitError) {
+        throw error;
+      }
+      logger.error('Error getting auth ticket:', error.message);
       return null;
     }
   }
@@ -174,30 +428,18 @@ class RobloxAPIService {
    * @param {string|number} placeId - Roblox place ID
    * @param {string} linkCode - VIP server link code
    * @returns {Promise<string|null>} - VIP server access code or null if unsuccessful
+   * @throws {RobloxRateLimitError} - If Roblox is rate limiting requests
    */
   async getPrivateServerAccessCode(securityToken, placeId, linkCode) {
     try {
-      // Get CSRF token first
-      const csrfToken = await this.getCSRFToken(securityToken);
-      if (!csrfToken) {
-        logger.error('Failed to get CSRF token for private server access');
-        return null;
-      }
-      
       // Make request to get private server page
-      const response = await fetch(`https://www.roblox.com/games/${placeId}?privateServerLinkCode=${linkCode}`, {
-        headers: {
-          'Cookie': `.ROBLOSECURITY=${securityToken}`,
-          'X-CSRF-TOKEN': csrfToken,
-          'Referer': 'https://www.roblox.com/games/4924922222/Brookhaven-RP',
-          'User-Agent': this.userAgent
-        }
-      });
-      
-      const html = await response.text();
+      const response = await this.getClient(securityToken).request(
+        `${config.ROBLOX_ENDPOINTS.WWW}/games/${placeId}?privateServerLinkCode=${linkCode}`,
+        { headers: { 'Referer': GAME_REFERER }, responseType: 'text', family: ENDPOINT_FAMILIES.WEB }
+      );
       
       // Parse the access code from the page content
-      const accessCodeMatch = html.match(/Roblox\.GameLauncher\.joinPrivateGame\(\d+\,\s*'(\w+\-\w+\-\w+\-\w+\-\w+)'/);
+      const accessCodeMatch = response.data.match(/Roblox\.GameLauncher\.joinPrivateGame\(\d+\,\s*'(\w+\-\w+\-\w+\-\w+\-\w+)'/);
       
       if (accessCodeMatch && accessCodeMatch[1]) {
         return accessCodeMatch[1];
@@ -206,7 +448,10 @@ class RobloxAPIService {
       logger.error('Could not find access code in response');
       return null;
     } catch (error) {
-      logger.error('Error getting private server access code:', error);
+      if (error instanceof RobloxRateLimitError) {
+        throw error;
+      }
+      logger.error('Error getting private server access code:', error.message);
       return null;
     }
   }
@@ -227,6 +472,31 @@ class RobloxAPIService {
     return `roblox-player:1+launchmode:play+gameinfo:${authTicket}+launchtime:${launchTime}+placelauncherurl:${encodedUrl}+browsertrackerid:${browserTrackerId}+robloxLocale:en_us+gameLocale:en_us+channel:+LaunchExp:InApp`;
   }
 
+  /**
+   * Join a game on the fake Roblox server, redeeming the authentication ticket
+   * at the place launcher the way the Roblox player would
+   * @async
+   * @param {Account} account - Account instance
+   * @param {string} placeLauncherUrl - Place launcher request
+   * @param {string} authTicket - Authentication ticket
+   * @returns {Promise<Object>} - Result of the join
+   * @throws {RobloxApiError} - If the fake server can't be reached
+   */
+  async joinSandboxGame(account, placeLauncherUrl, authTicket) {
+    const data = await this.getClient(account.securityToken).getJson(placeLauncherUrl, {
+      headers: { 'RBX-Authentication-Ticket': authTicket },
+      family: ENDPOINT_FAMILIES.WEB
+    });
+    
+    // Status 2 means the server is ready to join
+    if (data.status !== 2) {
+      return { success: false, message: `ERROR: ${data.message || 'Could not join the game'}` };
+    }
+    
+    logger.info(`Sandbox: ${account.username} joined server ${data.jobId} of place ${data.placeId}`);
+    return { success: true, message: `Sandbox: joined server ${data.jobId} of place ${data.placeId}.` };
+  }
+
   /**
    * Launch a Roblox game
    * @async
@@ -235,13 +505,11 @@ class RobloxAPIService {
    * @param {string} [jobId=''] - Optional job ID for specific game server
    * @param {boolean} [followUser=false] - Whether to follow a user instead of joining a place
    * @param {boolean} [joinVIP=false] - Whether this is a VIP server join
-   * @returns {Promise<Object>} - Result of the launch attempt
+   * @returns {Promise<Object>} - Result of the launch attempt. `rateLimited` is set, along with
+   *   `retryAfterMs` if Roblox said how long to wait, when Roblox is rate limiting requests.
    */
   async launchGame(account, placeId, jobId = '', followUser = false, joinVIP = false) {
     try {
-      // Update last use timestamp
-      account.updateLastUsed();
-      
       // Get authentication ticket (required for game launch)
       const authTicket = await this.getAuthTicket(account.securityToken);
       
@@ -270,34 +538,27 @@ class RobloxAPIService {
         }
       }
       
-      // Generate launch URL based on join type
-      const launchTime = Math.floor(Date.now() / 1000);
-      
-      let launchURL;
+      // Build the place launcher request for the join type
+      const placeLauncher = `${config.ROBLOX_ENDPOINTS.ASSETGAME}/game/PlaceLauncher.ashx`;
+      let placeLauncherUrl;
       
       if (joinVIP) {
-        launchURL = this.formatLaunchURL(
-          `https://assetgame.roblox.com/game/PlaceLauncher.ashx?request=RequestPrivateGame&placeId=${placeId}&accessCode=${accessCode}&linkCode=${linkCode}`,
-          authTicket,
-          account.browserTrackerId,
-          launchTime
-        );
+        placeLauncherUrl = `${placeLauncher}?request=RequestPrivateGame&placeId=${placeId}&accessCode=${accessCode}&linkCode=${linkCode}`;
       } else if (followUser) {
-        launchURL = this.formatLaunchURL(
-          `https://assetgame.roblox.com/game/PlaceLauncher.ashx?request=RequestFollowUser&userId=${placeId}`,
-          authTicket,
-          account.browserTrackerId,
-          launchTime
-        );
+        placeLauncherUrl = `${placeLauncher}?request=RequestFollowUser&userId=${placeId}`;
       } else {
-        launchURL = this.formatLaunchURL(
-          `https://assetgame.roblox.com/game/PlaceLauncher.ashx?request=RequestGame${jobId ? 'Job' : ''}&browserTrackerId=${account.browserTrackerId}&placeId=${placeId}${jobId ? '&gameId=' + jobId : ''}&isPlayTogetherGame=false`,
-          authTicket,
-          account.browserTrackerId,
-          launchTime
-        );
+        placeLauncherUrl = `${placeLauncher}?request=RequestGame${jobId ? 'Job' : ''}&browserTrackerId=${account.browserTrackerId}&placeId=${placeId}${jobId ? '&gameId=' + jobId : ''}&isPlayTogetherGame=false`;
       }
       
+      // There is no Roblox player to hand the sandbox launch to
+      if (config.SANDBOX.ENABLED) {
+        return await this.joinSandboxGame(account, placeLauncherUrl, authTicket);
+      }
+      
+      // Generate launch URL for the Roblox protocol
+      const launchTime = Math.floor(Date.now() / 1000);
+      const launchURL = this.formatLaunchURL(placeLauncherUrl, authTicket, account.browserTrackerId, launchTime);
+      
       // Launch the game using the protocol handler
       logger.info(`Launching with URL: ${launchURL}`);
       
@@ -322,10 +583,22 @@ class RobloxAPIService {
       
       return { success: true, message: "Game launch initiated. Roblox should start momentarily." };
     } catch (error) {
+      if (error instanceof RobloxRateLimitError) {
+        logger.warn(`Launch for ${account.username} was rate limited: ${error.message}`);
+        return {
+          success: false,
+          rateLimited: true,
+          retryAfterMs: error.retryAfterMs,
+          message: `ERROR: ${error.message}`
+        };
+      }
       logger.error('Error launching game:', error);
       return { success: false, message: `Error: ${error.message}` };
     }
   }
 }
 
-module.exports = { RobloxAPIService };
\ No newline at end of file
+module.exports = {
+  PRESENCE_TYPES,
+  RobloxAPIService
+};
\ No newline at end of file
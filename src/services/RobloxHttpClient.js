@@ -0,0 +1,279 @@
+/**
+ * RobloxHttpClient.js
+ *
+ * @fileoverview HTTP client for Roblox web APIs, bound to one account's cookie.
+ * Builds the cookie and common headers, applies a timeout, caches the
+ * X-CSRF-TOKEN that Roblox requires for write requests, rate limits requests
+ * per endpoint family, backs off when Roblox answers HTTP 429 and turns failed
+ * responses into typed errors.
+ *
+ */
+
+const fetch = require('node-fetch');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+const { RateLimiter, sleep } = require('../utils/rateLimiter');
+const {
+  RobloxNetworkError,
+  RobloxTimeoutError,
+  parseRetryAfter,
+  errorFromResponse
+} = require('../utils/robloxErrors');
+
+/**
+ * Endpoint families, each rate limited separately (see config.ROBLOX_HTTP.RATE_LIMITS)
+ * @type {Object.<string, string>}
+ */
+const ENDPOINT_FAMILIES = {
+  AUTH: 'AUTH',
+  WEB: 'WEB',
+  API: 'API'
+};
+
+/**
+ * Endpoint that hands out a CSRF token when called without one.
+ * Without a token the request is refused, so it has no side effects.
+ * @type {string}
+ */
+const CSRF_URL = `${config.ROBLOX_ENDPOINTS.AUTH}/v1/authentication-ticket/`;
+
+/**
+ * Roblox HTTP client for a single account
+ * @class
+ */
+class RobloxHttpClient {
+  /**
+   * Create a new RobloxHttpClient instance
+   * @constructor
+   * @param {string} securityToken - .ROBLOSECURITY cookie value
+   * @param {Object} [options] - Client options
+   * @param {string} [options.userAgent] - User agent sent with every request
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {Object} [options.rateLimits] - Token-bucket limits by endpoint family
+   */
+  constructor(securityToken, options = {}) {
+    /**
+     * .ROBLOSECURITY cookie value
+     * @type {string}
+     * @private
+     */
+    this.securityToken = securityToken;
+
+    /**
+     * User agent sent with every request
+     * @type {string}
+     * @private
+     */
+    this.userAgent = options.userAgent || config.USER_AGENT;
+
+    /**
+     * Request timeout in milliseconds
+     * @type {number}
+     * @private
+     */
+    this.timeout = options.timeout || config.ROBLOX_HTTP.TIMEOUT_MS;
+
+    /**
+     * Last X-CSRF-TOKEN handed out by Roblox for this session
+     * @type {string|null}
+     * @private
+     */
+    this.csrfToken = null;
+
+    /**
+     * Token buckets by endpoint family
+     * @type {RateLimiter}
+     * @private
+     */
+    this.limiter = new RateLimiter(options.rateLimits || config.ROBLOX_HTTP.RATE_LIMITS);
+  }
+
+  /**
+   * Send a request.
+   * Write requests carry the cached CSRF token; if Roblox rejects it with a
+   * 403 and a new token, the request is retried once with the new one.
+   * Requests answered with HTTP 429 are retried after the Retry-After delay,
+   * or an exponential backoff if Roblox doesn't send one.
+   * @async
+   * @param {string} url - Request URL
+   * @param {Object} [options] - Request options
+   * @param {string} [options.method='GET'] - HTTP method
+   * @param {Object} [options.headers] - Extra headers
+   * @param {*} [options.json] - Body to send as JSON
+   * @param {string} [options.responseType='json'] - 'json' or 'text'
+   * @param {string} [options.family='API'] - Endpoint family the request counts against (see ENDPOINT_FAMILIES)
+   * @returns {Promise<{status: number, headers: Object, data: *}>} - Response status, headers and parsed body
+   * @throws {RobloxApiError} - If the request fails or Roblox responds with an error status
+   *   (RobloxRateLimitError if it is still rate limited after backing off)
+   */
+  async request(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    let response = await this._sendWithBackoff(url, method, options);
+
+    const newToken = response.headers.get('x-csrf-token');
+    if (response.status === 403 && newToken && newToken !== this.csrfToken && method !== 'GET') {
+      logger.debug(`Refreshed CSRF token for ${method} ${url}`);
+      this.csrfToken = newToken;
+      response = await this._sendWithBackoff(url, method, options);
+    }
+
+    const data = await this._readBody(response, options.responseType || 'json', url);
+    if (!response.ok) {
+      throw errorFromResponse(response.status, url, data, response.headers);
+    }
+
+    return { status: response.status, headers: response.headers, data };
+  }
+
+  /**
+   * Send a GET request and return the parsed JSON body
+   * @async
+   * @param {string} url - Request URL
+   * @param {Object} [options] - Request options (see request)
+   * @returns {Promise<*>} - Parsed body
+   * @throws {RobloxApiError} - If the request fails
+   */
+  async getJson(url, options = {}) {
+    return (await this.request(url, { ...options, method: 'GET' })).data;
+  }
+
+  /**
+   * Send a POST request with a JSON body
+   * @async
+   * @param {string} url - Request URL
+   * @param {*} [body={}] - Body to send as JSON
+   * @param {Object} [options] - Request options (see request)
+   * @returns {Promise<{status: number, headers: Object, data: *}>} - Response
+   * @throws {RobloxApiError} - If the request fails
+   */
+  async postJson(url, body = {}, options = {}) {
+    return this.request(url, { ...options, method: 'POST', json: body });
+  }
+
+  /**
+   * Get a CSRF token for this session, fetching one only if none is cached
+   * @async
+   * @returns {Promise<string|null>} - CSRF token, or null if Roblox didn't hand one out
+   * @throws {RobloxApiError} - If Roblox can't be reached or is rate limiting requests
+   */
+  async getCsrfToken() {
+    if (!this.csrfToken) {
+      const response = await this._sendWithBackoff(CSRF_URL, 'POST', { family: ENDPOINT_FAMILIES.AUTH });
+      if (response.status === 429) {
+        throw errorFromResponse(response.status, CSRF_URL, null, response.headers);
+      }
+      this.csrfToken = response.headers.get('x-csrf-token') || null;
+    }
+
+    return this.csrfToken;
+  }
+
+  /**
+   * Send a request once the rate limiter allows it, retrying while Roblox answers HTTP 429
+   * @async
+   * @param {string} url - Request URL
+   * @param {string} method - HTTP method
+   * @param {Object} options - Request options (see request)
+   * @returns {Promise<Object>} - node-fetch response; still HTTP 429 if retrying didn't help
+   * @throws {RobloxTimeoutError|RobloxNetworkError} - If no response was received
+   * @private
+   */
+  async _sendWithBackoff(url, method, options) {
+    const family = options.family || ENDPOINT_FAMILIES.API;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.limiter.take(family);
+      const response = await this._send(url, method, options);
+
+      if (response.status !== 429 || attempt >= config.ROBLOX_HTTP.MAX_RETRIES) {
+        return response;
+      }
+
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      const delay = retryAfter !== null ? retryAfter : config.ROBLOX_HTTP.BACKOFF_BASE_MS * 2 ** attempt;
+      if (delay > config.ROBLOX_HTTP.MAX_BACKOFF_MS) {
+        return response;
+      }
+
+      // Drain the body so the connection can be reused
+      await response.text().catch(() => {});
+      logger.warn(`Roblox is rate limiting ${method} ${url}; retrying in ${delay} ms`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Send a single request without retrying
+   * @async
+   * @param {string} url - Request URL
+   * @param {string} method - HTTP method
+   * @param {Object} options - Request options (see request)
+   * @returns {Promise<Object>} - node-fetch response
+   * @throws {RobloxTimeoutError|RobloxNetworkError} - If no response was received
+   * @private
+   */
+  async _send(url, method, options) {
+    const headers = {
+      'Cookie': `.ROBLOSECURITY=${this.securityToken}`,
+      'User-Agent': this.userAgent,
+      'Accept': 'application/json',
+      ...(options.headers || {})
+    };
+
+    if (method !== 'GET' && this.csrfToken) {
+      headers['X-CSRF-TOKEN'] = this.csrfToken;
+    }
+
+    let body;
+    if (options.json !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(options.json);
+    }
+
+    try {
+      return await fetch(url, { method, headers, body, timeout: this.timeout, redirect: 'follow' });
+    } catch (error) {
+      if (error.type === 'request-timeout') {
+        throw new RobloxTimeoutError(`Roblox did not respond within ${this.timeout} ms`, { url });
+      }
+      throw new RobloxNetworkError(`Could not reach Roblox: ${error.message}`, { url });
+    }
+  }
+
+  /**
+   * Read a response body
+   * @async
+   * @param {Object} response - node-fetch response
+   * @param {string} responseType - 'json' or 'text'
+   * @param {string} url - Requested URL, for error messages
+   * @returns {Promise<*>} - Parsed JSON (or the raw text if it isn't JSON), or text
+   * @throws {RobloxTimeoutError|RobloxNetworkError} - If the body can't be read
+   * @private
+   */
+  async _readBody(response, responseType, url) {
+    let text;
+    try {
+      text = await response.text();
+    } catch (error) {
+      if (error.type === 'body-timeout') {
+        throw new RobloxTimeoutError(`Roblox did not finish responding within ${this.timeout} ms`, { url });
+      }
+      throw new RobloxNetworkError(`Could not read the response from Roblox: ${error.message}`, { url });
+    }
+
+    if (responseType === 'text' || !text) {
+      return text;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+}
+
+module.exports = {
+  ENDPOINT_FAMILIES,
+  RobloxHttpClient
+};
@@ -0,0 +1,209 @@
+/**
+ * SessionMonitor.js
+ * 
+ * @fileoverview Background validator for account sessions.
+ * Periodically asks Roblox who each stored .ROBLOSECURITY cookie belongs to and
+ * records whether the session is still valid, so dead cookies are noticed before
+ * a game launch fails.
+ * 
+ */
+
+const { EventEmitter } = require('events');
+const { SESSION_STATUS } = require('../models/Account');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Periodic session checker.
+ * Emits 'statusChange' ({account, username, previous, status, reason}) whenever a check changes an
+ * account's status, and 'expired' ({account, username, reason}) when an account's session stops working.
+ * `account` is the account key at the time of the check.
+ * @class
+ * @extends EventEmitter
+ */
+class SessionMonitor extends EventEmitter {
+  /**
+   * Create a new SessionMonitor instance
+   * @constructor
+   * @param {RobloxAccountManager} accountManager - Manager whose accounts are checked
+   * @param {Object} [options] - Monitor options
+   * @param {number} [options.intervalMs] - Milliseconds between full checks
+   * @param {number} [options.concurrency] - Maximum number of accounts checked at once
+   */
+  constructor(accountManager, options = {}) {
+    super();
+    
+    /**
+     * Manager whose accounts are checked
+     * @type {RobloxAccountManager}
+     * @private
+     */
+    this.accountManager = accountManager;
+    
+    /**
+     * Milliseconds between full checks
+     * @type {number}
+     * @private
+     */
+    this.intervalMs = options.intervalMs || config.SESSION_MONITOR.INTERVAL_MS;
+    
+    /**
+     * Maximum number of accounts checked at once
+     * @type {number}
+     * @private
+     */
+    this.concurrency = Math.max(1, options.concurrency || config.SESSION_MONITOR.CONCURRENCY);
+    
+    /**
+     * Timer for the periodic check
+     * @type {Object|null}
+     * @private
+     */
+    this.timer = null;
+    
+    /**
+     * Check currently in progress, if any
+     * @type {Promise<Object>|null}
+     * @private
+     */
+    this.running = null;
+  }
+  
+  /**
+   * Start checking sessions periodically. The first check runs right away.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    
+    this.timer = setInterval(() => this.checkAll(), this.intervalMs);
+    // Don't keep the process alive just for session checks
+    this.timer.unref();
+    this.checkAll();
+  }
+  
+  /**
+   * Stop periodic checks. A check already in progress finishes on its own.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  /**
+   * Check every account, a few at a time.
+   * Calls made while a check is running share that check.
+   * @async
+   * @returns {Promise<Object.<string, number>>} - Number of accounts per status
+   */
+  async checkAll() {
+    if (!this.running) {
+      this.running = this._checkAccounts(Object.keys(this.accountManager.accounts))
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    
+    return this.running;
+  }
+  
+  /**
+   * Check a list of accounts with at most `concurrency` checks in flight
+   * @async
+   * @param {string[]} accountNames - Account identifiers
+   * @returns {Promise<Object.<string, number>>} - Number of accounts per status
+   * @private
+   */
+  async _checkAccounts(accountNames) {
+    const counts = { [SESSION_STATUS.VALID]: 0, [SESSION_STATUS.EXPIRED]: 0, [SESSION_STATUS.UNKNOWN]: 0 };
+    const queue = [...accountNames];
+    
+    const worker = async () => {
+      while (queue.length > 0) {
+        const status = await this.checkAccount(queue.shift());
+        if (status) {
+          counts[status]++;
+        }
+      }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+    
+    if (accountNames.length > 0) {
+      logger.debug(`Session check: ${counts.valid} valid, ${counts.expired} expired, ${counts.unknown} unknown`);
+    }
+    
+    return counts;
+  }
+  
+  /**
+   * Check a single account's session and record the result on the account
+   * @async
+   * @param {string} accountName - Account identifier
+   * @returns {Promise<string|null>} - New status, or null if the account no longer exists or is a placeholder
+   */
+  async checkAccount(accountName) {
+    const account = this.accountManager.accounts[accountName];
+    // Placeholders have no cookie to check until they are logged in
+    if (!account || account.isPending()) {
+      return null;
+    }
+    
+    let status;
+    let reason = '';
+    let info = null;
+    
+    if (!account.securityToken) {
+      status = SESSION_STATUS.UNKNOWN;
+      reason = 'No security token stored';
+    } else {
+      try {
+        info = await this.accountManager.apiService.getAccountInfo(account.securityToken);
+        
+        if (info.id) {
+          status = SESSION_STATUS.VALID;
+        } else if (info.httpStatus === 401) {
+          status = SESSION_STATUS.EXPIRED;
+          reason = 'Roblox no longer accepts the security token';
+        } else {
+          status = SESSION_STATUS.UNKNOWN;
+          reason = info.reason || 'Could not reach Roblox';
+        }
+      } catch (error) {
+        status = SESSION_STATUS.UNKNOWN;
+        reason = error.message;
+      }
+    }
+    
+    // The account may have been deleted or replaced (e.g. workspace switch) while we waited
+    if (this.accountManager.accounts[accountName] !== account) {
+      return null;
+    }
+    
+    const previous = account.setSessionStatus(status, reason);
+    if (status === SESSION_STATUS.VALID && info.displayName) {
+      account.setProfileField('displayName', info.displayName);
+    }
+    this.accountManager.saveAccount(accountName);
+    
+    // Pick up username changes made on Roblox
+    if (status === SESSION_STATUS.VALID) {
+      this.accountManager.syncAccountIdentity(accountName, info);
+    }
+    
+    if (previous !== status) {
+      this.emit('statusChange', { account: accountName, username: account.username, previous, status, reason });
+      
+      if (status === SESSION_STATUS.EXPIRED) {
+        this.emit('expired', { account: accountName, username: account.username, reason });
+      }
+    }
+    
+    return status;
+  }
+}
+
+module.exports = { SessionMonitor };
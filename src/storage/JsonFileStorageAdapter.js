@@ -0,0 +1,361 @@
+/**
+ * JsonFileStorageAdapter.js
+ * 
+ * @fileoverview Storage backend that keeps all data in a single JSON file.
+ * Every change rewrites the whole document through fileStorage, which handles
+ * locking, atomic writes, backups, schema migrations and the encrypted vault.
+ * 
+ */
+
+const fs = require('fs');
+const { StorageAdapter } = require('./StorageAdapter');
+const { mergeDocuments } = require('./documentMerge');
+const { combineHistories } = require('../utils/launchHistory');
+const {
+  useAccountsFile,
+  saveAccountsToFile,
+  loadAccountsFromFile,
+  hasAccountsFileChanged
+} = require('../utils/fileStorage');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+/**
+ * JSON file storage backend
+ * @class
+ * @extends StorageAdapter
+ */
+class JsonFileStorageAdapter extends StorageAdapter {
+  /**
+   * Create a new JsonFileStorageAdapter instance
+   * @constructor
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.filePath] - Path to the accounts file
+   * @param {string} [options.backupDirectory] - Directory for backups of the accounts file
+   */
+  constructor(options = {}) {
+    super();
+    
+    /**
+     * Path to the accounts file
+     * @type {string}
+     * @private
+     */
+    this.filePath = options.filePath || config.ACCOUNTS_FILE;
+    
+    /**
+     * Directory for backups of the accounts file
+     * @type {string}
+     * @private
+     */
+    this.backupDirectory = options.backupDirectory || config.BACKUP.DIRECTORY;
+    
+    /**
+     * Last loaded or saved document
+     * @type {Object|null}
+     * @private
+     */
+    this.document = null;
+    
+    /**
+     * Document as last read from or written to disk, used as the merge base
+     * @type {Object|null}
+     * @private
+     */
+    this.base = null;
+    
+    /**
+     * fs.watchFile listener while watching
+     * @type {Function|null}
+     * @private
+     */
+    this.watchListener = null;
+  }
+  
+  get name() {
+    return 'json';
+  }
+  
+  get supportsVault() {
+    return true;
+  }
+  
+  async open() {
+    useAccountsFile(this.filePath, this.backupDirectory);
+  }
+  
+  async load() {
+    const data = await loadAccountsFromFile();
+    this.document = data ? { ...this._emptyDocument(), ...data } : null;
+    this.base = this._clone(this.document);
+    return data;
+  }
+  
+  async saveAll(document) {
+    this._replaceDocument(document);
+    return this._write();
+  }
+  
+  async saveAccount(key, accountData) {
+    this._setAccount(key, accountData);
+    return this._write();
+  }
+  
+  async deleteAccount(key) {
+    this._setAccount(key, null);
+    return this._write();
+  }
+  
+  async setNextServer(key, serverInfo) {
+    this._setNextServer(key, serverInfo);
+    return this._write();
+  }
+  
+  async setTrashEntry(key, entry) {
+    this._setTrashEntry(key, entry);
+    return this._write();
+  }
+  
+  async setSetting(name, value) {
+    this._getDocument()[name] = value;
+    return this._write();
+  }
+  
+  async appendHistory(key, entry) {
+    this._appendHistory(key, entry);
+    return this._write();
+  }
+  
+  async deleteHistory(key) {
+    this._applyHistoryChange({ type: 'delete', key });
+    return this._write();
+  }
+  
+  async moveHistory(key, toKey) {
+    this._applyHistoryChange({ type: 'move', key, toKey });
+    return this._write();
+  }
+  
+  async applyChanges(batch) {
+    // Apply everything to the cached document, then write the file once
+    if (batch.document) {
+      this._replaceDocument(batch.document);
+    }
+    
+    Object.entries(batch.accounts).forEach(([key, accountData]) => this._setAccount(key, accountData));
+    Object.entries(batch.nextServers).forEach(([key, serverInfo]) => this._setNextServer(key, serverInfo));
+    Object.entries(batch.trash).forEach(([key, entry]) => this._setTrashEntry(key, entry));
+    Object.assign(this._getDocument(), batch.settings);
+    batch.historyChanges.forEach(change => this._applyHistoryChange(change));
+    batch.history.forEach(({ key, entry }) => this._appendHistory(key, entry));
+    
+    return this._write();
+  }
+  
+  async getHistory(key) {
+    return [...(this._getDocument().history[key] || [])];
+  }
+  
+  watch() {
+    if (this.watchListener) {
+      return;
+    }
+    
+    this.watchListener = async (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs || !await hasAccountsFileChanged()) {
+        return;
+      }
+      
+      try {
+        const remote = await loadAccountsFromFile();
+        if (remote) {
+          this._mergeRemote(remote);
+        }
+      } catch (error) {
+        logger.warn('Could not reload accounts changed by another instance:', error.message);
+      }
+    };
+    
+    fs.watchFile(this.filePath, {
+      interval: config.STORAGE.WATCH_INTERVAL_MS,
+      persistent: false
+    }, this.watchListener);
+  }
+  
+  unwatch() {
+    if (this.watchListener) {
+      fs.unwatchFile(this.filePath, this.watchListener);
+      this.watchListener = null;
+    }
+  }
+  
+  async close() {
+    this.unwatch();
+  }
+  
+  /**
+   * Merge a document written by another process into the cached one
+   * @param {Object} remote - Document read from disk
+   * @returns {Object} - Merged document
+   * @private
+   */
+  _mergeRemote(remote) {
+    const remoteDocument = { ...this._emptyDocument(), ...remote };
+    const result = mergeDocuments(this.base || this._emptyDocument(), this._getDocument(), remoteDocument);
+    
+    result.conflicts.forEach(({ section, key }) => {
+      logger.warn(`Conflict in ${section} "${key}": changed by another instance and by this one. Keeping this instance's version.`);
+    });
+    
+    this.document = result.document;
+    this.base = this._clone(remoteDocument);
+    this.emit('externalChange', result);
+    return this.document;
+  }
+  
+  /**
+   * Deep copy a JSON document
+   * @param {Object|null} document - Document to copy
+   * @returns {Object|null} - Copy
+   * @private
+   */
+  _clone(document) {
+    return document ? JSON.parse(JSON.stringify(document)) : null;
+  }
+  
+  /**
+   * Build an empty document
+   * @returns {Object} - Empty accounts document
+   * @private
+   */
+  _emptyDocument() {
+    return {
+      accounts: {},
+      lastUsedPlaceId: null,
+      nextServers: {},
+      trash: {},
+      history: {}
+    };
+  }
+  
+  /**
+   * Replace the cached document, keeping history unless a new one is given
+   * @param {Object} document - Accounts document
+   * @private
+   */
+  _replaceDocument(document) {
+    const history = document.history || (this.document && this.document.history) || {};
+    this.document = { ...document, history };
+  }
+  
+  /**
+   * Set or remove an account in the cached document
+   * @param {string} key - Account key
+   * @param {Object|null} accountData - Serialized account, or null to remove it
+   * @private
+   */
+  _setAccount(key, accountData) {
+    const accounts = this._getDocument().accounts;
+    if (accountData) {
+      accounts[key] = accountData;
+    } else {
+      delete accounts[key];
+    }
+  }
+  
+  /**
+   * Set or clear a next server entry in the cached document
+   * @param {string} key - Account key
+   * @param {Object|null} serverInfo - Server info, or null to clear it
+   * @private
+   */
+  _setNextServer(key, serverInfo) {
+    const nextServers = this._getDocument().nextServers;
+    if (serverInfo) {
+      nextServers[key] = serverInfo;
+    } else {
+      delete nextServers[key];
+    }
+  }
+  
+  /**
+   * Set or remove a trashed account in the cached document
+   * @param {string} key - Account key
+   * @param {Object|null} entry - Trashed account, or null to remove it
+   * @private
+   */
+  _setTrashEntry(key, entry) {
+    const document = this._getDocument();
+    document.trash = document.trash || {};
+    if (entry) {
+      document.trash[key] = entry;
+    } else {
+      delete document.trash[key];
+    }
+  }
+  
+  /**
+   * Append a history entry to the cached document
+   * @param {string} key - Account key
+   * @param {Object} entry - History entry
+   * @private
+   */
+  _appendHistory(key, entry) {
+    const history = this._getDocument().history;
+    history[key] = history[key] || [];
+    history[key].push(entry);
+  }
+  
+  /**
+   * Apply a change to existing history in the cached document
+   * @param {Object} change - Entry of `batch.historyChanges`
+   * @private
+   */
+  _applyHistoryChange(change) {
+    const history = this._getDocument().history;
+    switch (change.type) {
+      case 'delete':
+        delete history[change.key];
+        break;
+      case 'move':
+        if (history[change.key] && change.key !== change.toKey) {
+          history[change.toKey] = combineHistories(history[change.toKey] || [], history[change.key]);
+          delete history[change.key];
+        }
+        break;
+      default:
+        throw new Error(`Unknown history change "${change.type}"`);
+    }
+  }
+  
+  /**
+   * Get the cached document, creating an empty one if nothing was loaded
+   * @returns {Object} - Cached document
+   * @private
+   */
+  _getDocument() {
+    if (!this.document) {
+      this.document = this._emptyDocument();
+    }
+    return this.document;
+  }
+  
+  /**
+   * Write the cached document to disk
+   * @async
+   * @returns {Promise<boolean>} - Whether the save was successful
+   * @private
+   */
+  async _write() {
+    const success = await saveAccountsToFile(this._getDocument(), {
+      onExternalChange: remote => this._mergeRemote(remote)
+    });
+    
+    if (success) {
+      this.base = this._clone(this.document);
+    }
+    return success;
+  }
+}
+
+module.exports = { JsonFileStorageAdapter };
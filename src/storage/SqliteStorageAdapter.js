@@ -0,0 +1,519 @@
+/**
+ * SqliteStorageAdapter.js
+ * 
+ * @fileoverview Storage backend backed by an embedded SQLite database.
+ * Accounts, next-server entries, settings and history live in separate tables
+ * and are updated one row at a time instead of rewriting everything.
+ * 
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { StorageAdapter } = require('./StorageAdapter');
+const { mergeDocuments } = require('./documentMerge');
+const { combineHistories } = require('../utils/launchHistory');
+const { migrateDocument, CURRENT_SCHEMA_VERSION } = require('../utils/migrations');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Table definitions
+ * @type {string}
+ */
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS accounts (
+    key TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS next_servers (
+    account_key TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS trash (
+    account_key TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS settings (
+    name TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    account_key TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS history_account_key ON history (account_key);
+`;
+
+/**
+ * Document keys that are stored in their own tables rather than as settings
+ * @type {string[]}
+ */
+const TABLE_KEYS = ['accounts', 'nextServers', 'trash', 'history'];
+
+/**
+ * Deep copy a JSON value
+ * @param {*} value - Value to copy
+ * @returns {*} - Copy
+ * @private
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Set or remove an entry of a keyed section
+ * @param {Object} map - Section of a document
+ * @param {string} key - Entry key
+ * @param {Object|null} value - New value, or null to remove the entry
+ * @private
+ */
+function setEntry(map, key, value) {
+  if (value) {
+    map[key] = clone(value);
+  } else {
+    delete map[key];
+  }
+}
+
+/**
+ * SQLite storage backend
+ * @class
+ * @extends StorageAdapter
+ */
+class SqliteStorageAdapter extends StorageAdapter {
+  /**
+   * Create a new SqliteStorageAdapter instance
+   * @constructor
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.filePath] - Path to the database file
+   */
+  constructor(options = {}) {
+    super();
+    
+    /**
+     * Path to the database file
+     * @type {string}
+     * @private
+     */
+    this.filePath = options.filePath || config.STORAGE.SQLITE_FILE;
+    
+    /**
+     * better-sqlite3 database handle
+     * @type {Object|null}
+     * @private
+     */
+    this.db = null;
+    
+    /**
+     * Stored document as this process last saw it: as of the last load, with
+     * every write made since applied. Used to work out what another process changed.
+     * @type {Object|null}
+     * @private
+     */
+    this.snapshot = null;
+    
+    /**
+     * Polling timer while watching
+     * @type {Object|null}
+     * @private
+     */
+    this.watchTimer = null;
+  }
+  
+  get name() {
+    return 'sqlite';
+  }
+  
+  async open() {
+    if (this.db) {
+      return;
+    }
+    
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+    }
+    
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    this.db.prepare('INSERT OR IGNORE INTO settings (name, value) VALUES (?, ?)')
+      .run('schemaVersion', JSON.stringify(CURRENT_SCHEMA_VERSION));
+    
+    logger.debug(`Opened SQLite storage at ${this.filePath}`);
+  }
+  
+  async load() {
+    const document = {
+      accounts: {},
+      nextServers: {},
+      trash: {},
+      history: {}
+    };
+    
+    this.db.prepare('SELECT name, value FROM settings').all().forEach((row) => {
+      document[row.name] = JSON.parse(row.value);
+    });
+    
+    this.db.prepare('SELECT key, data FROM accounts').all().forEach((row) => {
+      document.accounts[row.key] = JSON.parse(row.data);
+    });
+    
+    this.db.prepare('SELECT account_key, data FROM next_servers').all().forEach((row) => {
+      document.nextServers[row.account_key] = JSON.parse(row.data);
+    });
+    
+    this.db.prepare('SELECT account_key, data FROM trash').all().forEach((row) => {
+      document.trash[row.account_key] = JSON.parse(row.data);
+    });
+    
+    this.db.prepare('SELECT account_key, data FROM history ORDER BY id').all().forEach((row) => {
+      document.history[row.account_key] = document.history[row.account_key] || [];
+      document.history[row.account_key].push(JSON.parse(row.data));
+    });
+    
+    const result = migrateDocument(document);
+    if (result.migrated) {
+      // Rewrite the rows so later row-level writes match the new layout
+      this._run(() => this.db.transaction(() => this._replaceAll(result.document))());
+      logger.info(`Migrated SQLite storage from schema version ${result.fromVersion} to ${CURRENT_SCHEMA_VERSION}`);
+    }
+    
+    this.snapshot = result.document;
+    return JSON.parse(JSON.stringify(this.snapshot));
+  }
+  
+  async saveAll(document) {
+    return this._run(
+      () => this.db.transaction(() => this._replaceAll(document))(),
+      () => this._replaceSnapshot(document)
+    );
+  }
+  
+  async saveAccount(key, accountData) {
+    return this._run(
+      () => this._writeAccount(key, accountData),
+      snapshot => setEntry(snapshot.accounts, key, accountData)
+    );
+  }
+  
+  async deleteAccount(key) {
+    return this._run(
+      () => this._writeAccount(key, null),
+      snapshot => setEntry(snapshot.accounts, key, null)
+    );
+  }
+  
+  async setNextServer(key, serverInfo) {
+    return this._run(
+      () => this._writeNextServer(key, serverInfo),
+      snapshot => setEntry(snapshot.nextServers, key, serverInfo)
+    );
+  }
+  
+  async setTrashEntry(key, entry) {
+    return this._run(
+      () => this._writeTrashEntry(key, entry),
+      snapshot => setEntry(snapshot.trash, key, entry)
+    );
+  }
+  
+  async setSetting(name, value) {
+    return this._run(
+      () => this._upsertSetting(name, value),
+      (snapshot) => {
+        snapshot[name] = clone(value);
+      }
+    );
+  }
+  
+  async appendHistory(key, entry) {
+    return this._run(
+      () => this._insertHistory(key, entry),
+      snapshot => this._appendSnapshotHistory(snapshot, key, entry)
+    );
+  }
+  
+  async deleteHistory(key) {
+    const change = { type: 'delete', key };
+    return this._run(
+      () => this._changeHistory(change),
+      snapshot => this._changeSnapshotHistory(snapshot, change)
+    );
+  }
+  
+  async moveHistory(key, toKey) {
+    const change = { type: 'move', key, toKey };
+    return this._run(
+      () => this._changeHistory(change),
+      snapshot => this._changeSnapshotHistory(snapshot, change)
+    );
+  }
+  
+  async applyChanges(batch) {
+    // Write the whole batch in a single transaction
+    const applyBatch = this.db.transaction(() => {
+      if (batch.document) {
+        this._replaceAll(batch.document);
+      }
+      
+      Object.entries(batch.accounts).forEach(([key, accountData]) => this._writeAccount(key, accountData));
+      Object.entries(batch.nextServers).forEach(([key, serverInfo]) => this._writeNextServer(key, serverInfo));
+      Object.entries(batch.trash).forEach(([key, entry]) => this._writeTrashEntry(key, entry));
+      Object.entries(batch.settings).forEach(([name, value]) => this._upsertSetting(name, value));
+      batch.historyChanges.forEach(change => this._changeHistory(change));
+      batch.history.forEach(({ key, entry }) => this._insertHistory(key, entry));
+    });
+    
+    return this._run(() => applyBatch(), (current) => {
+      const snapshot = batch.document ? this._replaceSnapshot(batch.document) : current;
+      
+      Object.entries(batch.accounts).forEach(([key, accountData]) => setEntry(snapshot.accounts, key, accountData));
+      Object.entries(batch.nextServers).forEach(([key, serverInfo]) => setEntry(snapshot.nextServers, key, serverInfo));
+      Object.entries(batch.trash).forEach(([key, entry]) => setEntry(snapshot.trash, key, entry));
+      Object.assign(snapshot, clone(batch.settings));
+      batch.historyChanges.forEach(change => this._changeSnapshotHistory(snapshot, change));
+      batch.history.forEach(({ key, entry }) => this._appendSnapshotHistory(snapshot, key, entry));
+    });
+  }
+  
+  async getHistory(key) {
+    return this.db.prepare('SELECT data FROM history WHERE account_key = ? ORDER BY id')
+      .all(key)
+      .map(row => JSON.parse(row.data));
+  }
+  
+  watch() {
+    if (this.watchTimer) {
+      return;
+    }
+    
+    // data_version only changes when another connection commits
+    let dataVersion = this.db.pragma('data_version', { simple: true });
+    
+    this.watchTimer = setInterval(async () => {
+      const current = this.db.pragma('data_version', { simple: true });
+      if (current === dataVersion) {
+        return;
+      }
+      dataVersion = current;
+      
+      try {
+        // This process's writes go straight to the database and are applied to the
+        // snapshot as they are made, so the snapshot is both the merge base and this
+        // side. Edits still waiting in the write queue aren't in it: the manager keeps
+        // those entries instead of taking the other process's version.
+        const local = this.snapshot || {};
+        const remote = await this.load();
+        this.emit('externalChange', mergeDocuments(local, local, remote));
+      } catch (error) {
+        logger.warn('Could not reload accounts changed by another instance:', error.message);
+      }
+    }, config.STORAGE.WATCH_INTERVAL_MS);
+    this.watchTimer.unref();
+  }
+  
+  unwatch() {
+    if (this.watchTimer) {
+      clearInterval(this.watchTimer);
+      this.watchTimer = null;
+    }
+  }
+  
+  async close() {
+    this.unwatch();
+    
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+  
+  /**
+   * Replace all rows with the contents of a document.
+   * Must be called inside a transaction.
+   * @param {Object} document - Accounts document
+   * @private
+   */
+  _replaceAll(document) {
+    this.db.prepare('DELETE FROM accounts').run();
+    this.db.prepare('DELETE FROM next_servers').run();
+    this.db.prepare('DELETE FROM trash').run();
+    
+    Object.entries(document.accounts || {}).forEach(([key, accountData]) => this._writeAccount(key, accountData));
+    Object.entries(document.nextServers || {}).forEach(([key, serverInfo]) => this._writeNextServer(key, serverInfo));
+    Object.entries(document.trash || {}).forEach(([key, entry]) => this._writeTrashEntry(key, entry));
+    
+    Object.entries({ ...document, schemaVersion: CURRENT_SCHEMA_VERSION })
+      .filter(([name]) => !TABLE_KEYS.includes(name))
+      .forEach(([name, value]) => this._upsertSetting(name, value));
+    
+    if (document.history) {
+      this.db.prepare('DELETE FROM history').run();
+      Object.entries(document.history).forEach(([key, entries]) => {
+        entries.forEach(entry => this._insertHistory(key, entry));
+      });
+    }
+  }
+  
+  /**
+   * Insert, update or delete an account row
+   * @param {string} key - Account key
+   * @param {Object|null} accountData - Serialized account, or null to delete it
+   * @private
+   */
+  _writeAccount(key, accountData) {
+    if (accountData) {
+      this.db.prepare('INSERT INTO accounts (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data')
+        .run(key, JSON.stringify(accountData));
+    } else {
+      this.db.prepare('DELETE FROM accounts WHERE key = ?').run(key);
+    }
+  }
+  
+  /**
+   * Insert, update or delete a next server row
+   * @param {string} key - Account key
+   * @param {Object|null} serverInfo - Server info, or null to clear it
+   * @private
+   */
+  _writeNextServer(key, serverInfo) {
+    if (serverInfo) {
+      this.db.prepare('INSERT INTO next_servers (account_key, data) VALUES (?, ?) ON CONFLICT(account_key) DO UPDATE SET data = excluded.data')
+        .run(key, JSON.stringify(serverInfo));
+    } else {
+      this.db.prepare('DELETE FROM next_servers WHERE account_key = ?').run(key);
+    }
+  }
+  
+  /**
+   * Insert, update or delete a trash row
+   * @param {string} key - Account key
+   * @param {Object|null} entry - Trashed account, or null to remove it
+   * @private
+   */
+  _writeTrashEntry(key, entry) {
+    if (entry) {
+      this.db.prepare('INSERT INTO trash (account_key, data) VALUES (?, ?) ON CONFLICT(account_key) DO UPDATE SET data = excluded.data')
+        .run(key, JSON.stringify(entry));
+    } else {
+      this.db.prepare('DELETE FROM trash WHERE account_key = ?').run(key);
+    }
+  }
+  
+  /**
+   * Append a history row
+   * @param {string} key - Account key
+   * @param {Object} entry - History entry
+   * @private
+   */
+  _insertHistory(key, entry) {
+    this.db.prepare('INSERT INTO history (account_key, data) VALUES (?, ?)')
+      .run(key, JSON.stringify(entry));
+  }
+  
+  /**
+   * Apply a change to existing history rows
+   * @param {Object} change - Entry of `batch.historyChanges`
+   * @private
+   */
+  _changeHistory(change) {
+    switch (change.type) {
+      case 'delete':
+        this.db.prepare('DELETE FROM history WHERE account_key = ?').run(change.key);
+        break;
+      case 'move':
+        // Rows keep their IDs, so the combined log stays in the order entries were written
+        this.db.prepare('UPDATE history SET account_key = ? WHERE account_key = ?').run(change.toKey, change.key);
+        break;
+      default:
+        throw new Error(`Unknown history change "${change.type}"`);
+    }
+  }
+  
+  /**
+   * Insert or update a setting row
+   * @param {string} name - Setting name
+   * @param {*} value - Setting value (stored as JSON)
+   * @private
+   */
+  _upsertSetting(name, value) {
+    this.db.prepare('INSERT INTO settings (name, value) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET value = excluded.value')
+      .run(name, JSON.stringify(value === undefined ? null : value));
+  }
+  
+  /**
+   * Replace the snapshot with a saved document, keeping history unless a new one is given
+   * @param {Object} document - Accounts document
+   * @returns {Object} - New snapshot
+   * @private
+   */
+  _replaceSnapshot(document) {
+    const history = document.history || (this.snapshot && this.snapshot.history) || {};
+    this.snapshot = {
+      accounts: {},
+      nextServers: {},
+      trash: {},
+      ...clone({ ...document, history }),
+      schemaVersion: CURRENT_SCHEMA_VERSION
+    };
+    return this.snapshot;
+  }
+  
+  /**
+   * Append a history entry to the snapshot
+   * @param {Object} snapshot - Snapshot to update
+   * @param {string} key - Account key
+   * @param {Object} entry - History entry
+   * @private
+   */
+  _appendSnapshotHistory(snapshot, key, entry) {
+    snapshot.history = snapshot.history || {};
+    snapshot.history[key] = snapshot.history[key] || [];
+    snapshot.history[key].push(clone(entry));
+  }
+  
+  /**
+   * Apply a change to existing history in the snapshot
+   * @param {Object} snapshot - Snapshot to update
+   * @param {Object} change - Entry of `batch.historyChanges`
+   * @private
+   */
+  _changeSnapshotHistory(snapshot, change) {
+    snapshot.history = snapshot.history || {};
+    const { history } = snapshot;
+    if (change.type === 'delete') {
+      delete history[change.key];
+    } else if (change.type === 'move' && history[change.key] && change.key !== change.toKey) {
+      history[change.toKey] = combineHistories(history[change.toKey] || [], history[change.key]);
+      delete history[change.key];
+    }
+  }
+  
+  /**
+   * Run a write, logging and reporting failure instead of throwing
+   * @param {Function} write - Write operation
+   * @param {Function} [remember] - Applies the write to the snapshot once it succeeded
+   * @returns {boolean} - Whether the write was successful
+   * @private
+   */
+  _run(write, remember) {
+    try {
+      write();
+      if (remember && this.snapshot) {
+        remember(this.snapshot);
+      }
+      return true;
+    } catch (error) {
+      logger.error('Error writing to SQLite storage:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = { SqliteStorageAdapter };
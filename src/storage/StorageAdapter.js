@@ -0,0 +1,257 @@
+/**
+ * StorageAdapter.js
+ * 
+ * @fileoverview Base class for account storage backends.
+ * A storage adapter loads and persists the accounts document, either as a whole
+ * or one record at a time. Concrete backends extend this class.
+ * 
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Abstract storage backend.
+ * Emits 'externalChange' with the merge result ({document, changes, conflicts})
+ * when another process changed the stored data.
+ * @class
+ * @abstract
+ * @extends EventEmitter
+ */
+class StorageAdapter extends EventEmitter {
+  /**
+   * Short backend name used in config and logs
+   * @type {string}
+   */
+  get name() {
+    return 'abstract';
+  }
+  
+  /**
+   * Whether the backend supports the encrypted account vault
+   * @type {boolean}
+   */
+  get supportsVault() {
+    return false;
+  }
+  
+  /**
+   * Prepare the backend for use (create files, tables, etc.)
+   * @async
+   * @returns {Promise<void>}
+   */
+  async open() {}
+  
+  /**
+   * Load the full accounts document
+   * @async
+   * @returns {Promise<Object|null>} - Document with accounts, lastUsedPlaceId, nextServers, trash and history, or null if empty
+   */
+  async load() {
+    throw this._notImplemented('load');
+  }
+  
+  /**
+   * Replace all stored data with the given document.
+   * History is only replaced when `document.history` is provided.
+   * @async
+   * @param {Object} document - Accounts document
+   * @returns {Promise<boolean>} - Whether the save was successful
+   */
+  async saveAll(document) {
+    throw this._notImplemented('saveAll');
+  }
+  
+  /**
+   * Insert or update a single account
+   * @async
+   * @param {string} key - Account key
+   * @param {Object} accountData - Serialized account
+   * @returns {Promise<boolean>} - Whether the save was successful
+   */
+  async saveAccount(key, accountData) {
+    throw this._notImplemented('saveAccount');
+  }
+  
+  /**
+   * Remove a single account
+   * @async
+   * @param {string} key - Account key
+   * @returns {Promise<boolean>} - Whether the delete was successful
+   */
+  async deleteAccount(key) {
+    throw this._notImplemented('deleteAccount');
+  }
+  
+  /**
+   * Set or clear the next server entry for an account
+   * @async
+   * @param {string} key - Account key
+   * @param {Object|null} serverInfo - Server info, or null to clear it
+   * @returns {Promise<boolean>} - Whether the save was successful
+   */
+  async setNextServer(key, serverInfo) {
+    throw this._notImplemented('setNextServer');
+  }
+  
+  /**
+   * Put a deleted account in the trash, or remove it from the trash
+   * @async
+   * @param {string} key - Account key
+   * @param {Object|null} entry - Trashed account, or null to remove it
+   * @returns {Promise<boolean>} - Whether the save was successful
+   */
+  async setTrashEntry(key, entry) {
+    throw this._notImplemented('setTrashEntry');
+  }
+  
+  /**
+   * Set a top-level setting such as lastUsedPlaceId
+   * @async
+   * @param {string} name - Setting name
+   * @param {*} value - Setting value
+   * @returns {Promise<boolean>} - Whether the save was successful
+   */
+  async setSetting(name, value) {
+    throw this._notImplemented('setSetting');
+  }
+  
+  /**
+   * Append a history entry for an account
+   * @async
+   * @param {string} key - Account key
+   * @param {Object} entry - History entry
+   * @returns {Promise<boolean>} - Whether the save was successful
+   */
+  async appendHistory(key, entry) {
+    throw this._notImplemented('appendHistory');
+  }
+  
+  /**
+   * Delete all history entries of an account
+   * @async
+   * @param {string} key - Account key
+   * @returns {Promise<boolean>} - Whether the save was successful
+   */
+  async deleteHistory(key) {
+    throw this._notImplemented('deleteHistory');
+  }
+  
+  /**
+   * Move all history entries of an account to another key, combining them
+   * with any entries already stored there
+   * @async
+   * @param {string} key - Current account key
+   * @param {string} toKey - New account key
+   * @returns {Promise<boolean>} - Whether the save was successful
+   */
+  async moveHistory(key, toKey) {
+    throw this._notImplemented('moveHistory');
+  }
+  
+  /**
+   * Get the history entries for an account, oldest first
+   * @async
+   * @param {string} key - Account key
+   * @returns {Promise<Object[]>} - History entries
+   */
+  async getHistory(key) {
+    throw this._notImplemented('getHistory');
+  }
+  
+  /**
+   * Apply a batch of changes collected by the write queue.
+   * Backends should override this to write the whole batch at once; the
+   * default applies each change individually.
+   * @async
+   * @param {Object} batch - Batch of changes
+   * @param {Object|null} batch.document - Full document replacement, applied first
+   * @param {Object.<string, Object|null>} batch.accounts - Account data by key (null deletes)
+   * @param {Object.<string, Object|null>} batch.nextServers - Next server info by key (null clears)
+   * @param {Object.<string, Object|null>} batch.trash - Trashed accounts by key (null removes)
+   * @param {Object.<string, *>} batch.settings - Setting values by name
+   * @param {Array<{type: string, key: string, toKey?: string}>} batch.historyChanges - Changes to existing
+   *   history (`delete`, or `move` to `toKey`), applied in order before new entries are appended
+   * @param {Array<{key: string, entry: Object}>} batch.history - History entries to append
+   * @returns {Promise<boolean>} - Whether every change was saved
+   */
+  async applyChanges(batch) {
+    const results = [];
+    
+    if (batch.document) {
+      results.push(await this.saveAll(batch.document));
+    }
+    
+    for (const [key, accountData] of Object.entries(batch.accounts)) {
+      results.push(accountData ? await this.saveAccount(key, accountData) : await this.deleteAccount(key));
+    }
+    
+    for (const [key, serverInfo] of Object.entries(batch.nextServers)) {
+      results.push(await this.setNextServer(key, serverInfo));
+    }
+    
+    for (const [key, entry] of Object.entries(batch.trash)) {
+      results.push(await this.setTrashEntry(key, entry));
+    }
+    
+    for (const [name, value] of Object.entries(batch.settings)) {
+      results.push(await this.setSetting(name, value));
+    }
+    
+    for (const change of batch.historyChanges) {
+      results.push(await this._applyHistoryChange(change));
+    }
+    
+    for (const { key, entry } of batch.history) {
+      results.push(await this.appendHistory(key, entry));
+    }
+    
+    return results.every(Boolean);
+  }
+  
+  /**
+   * Start watching for changes made by other processes
+   */
+  watch() {}
+  
+  /**
+   * Stop watching for changes made by other processes
+   */
+  unwatch() {}
+  
+  /**
+   * Release any resources held by the backend
+   * @async
+   * @returns {Promise<void>}
+   */
+  async close() {}
+  
+  /**
+   * Apply one queued change to existing history
+   * @async
+   * @param {Object} change - Entry of `batch.historyChanges`
+   * @returns {Promise<boolean>} - Whether the save was successful
+   * @private
+   */
+  async _applyHistoryChange(change) {
+    switch (change.type) {
+      case 'delete':
+        return this.deleteHistory(change.key);
+      case 'move':
+        return this.moveHistory(change.key, change.toKey);
+      default:
+        throw new Error(`Unknown history change "${change.type}"`);
+    }
+  }
+  
+  /**
+   * Build the error thrown by unimplemented methods
+   * @param {string} method - Method name
+   * @returns {Error} - Error to throw
+   * @private
+   */
+  _notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = { StorageAdapter };
@@ -0,0 +1,303 @@
+/**
+ * WriteQueue.js
+ * 
+ * @fileoverview Serialized, coalescing write queue in front of a storage adapter.
+ * Mutations made in quick succession are merged into a single batch and written
+ * in one go; batches are written strictly one after another.
+ * 
+ */
+
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Coalescing write queue
+ * @class
+ */
+class WriteQueue {
+  /**
+   * Create a new WriteQueue instance
+   * @constructor
+   * @param {StorageAdapter} storage - Storage adapter to write to
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.delay] - Milliseconds to wait for more changes before writing
+   */
+  constructor(storage, options = {}) {
+    /**
+     * Storage adapter to write to
+     * @type {StorageAdapter}
+     * @private
+     */
+    this.storage = storage;
+    
+    /**
+     * Milliseconds to wait for more changes before writing
+     * @type {number}
+     * @private
+     */
+    this.delay = options.delay !== undefined ? options.delay : config.STORAGE.WRITE_DELAY_MS;
+    
+    /**
+     * Changes waiting to be written
+     * @type {Object}
+     * @private
+     */
+    this.pending = this._emptyBatch();
+    
+    /**
+     * Resolvers for callers waiting on the pending batch
+     * @type {Function[]}
+     * @private
+     */
+    this.waiters = [];
+    
+    /**
+     * Batches taken off the queue that haven't finished writing yet
+     * @type {Object[]}
+     * @private
+     */
+    this.inFlight = [];
+    
+    /**
+     * Timer for the scheduled write
+     * @type {Object|null}
+     * @private
+     */
+    this.timer = null;
+    
+    /**
+     * Promise for the most recent write, used to serialize writes
+     * @type {Promise<boolean>}
+     * @private
+     */
+    this.writing = Promise.resolve(true);
+  }
+  
+  /**
+   * Whether there are changes waiting to be written
+   * @type {boolean}
+   */
+  get hasPending() {
+    const batch = this.pending;
+    return !!batch.document ||
+           batch.history.length > 0 ||
+           batch.historyChanges.length > 0 ||
+           ['accounts', 'nextServers', 'trash', 'settings'].some(key => Object.keys(batch[key]).length > 0);
+  }
+  
+  /**
+   * Check whether an entry has a change that hasn't been written yet,
+   * either still queued or in a batch that is being written
+   * @param {string} section - 'accounts', 'nextServers', 'trash' or 'settings'
+   * @param {string} key - Entry key
+   * @returns {boolean} - Whether the entry is pending
+   */
+  isPending(section, key) {
+    return [this.pending, ...this.inFlight].some(batch => !!batch.document || key in batch[section]);
+  }
+  
+  /**
+   * Queue a full replacement of the stored document.
+   * Discards row changes queued before it, since the document supersedes them.
+   * Queued history changes are kept: the document doesn't carry history, so
+   * they would otherwise be lost.
+   * @param {Object} document - Accounts document
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   */
+  saveAll(document) {
+    const { history, historyChanges } = this.pending;
+    this.pending = { ...this._emptyBatch(), document, history, historyChanges };
+    return this._schedule();
+  }
+  
+  /**
+   * Queue an account insert or update
+   * @param {string} key - Account key
+   * @param {Object} accountData - Serialized account
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   */
+  saveAccount(key, accountData) {
+    this.pending.accounts[key] = accountData;
+    return this._schedule();
+  }
+  
+  /**
+   * Queue an account deletion
+   * @param {string} key - Account key
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   */
+  deleteAccount(key) {
+    this.pending.accounts[key] = null;
+    return this._schedule();
+  }
+  
+  /**
+   * Queue a next server change
+   * @param {string} key - Account key
+   * @param {Object|null} serverInfo - Server info, or null to clear it
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   */
+  setNextServer(key, serverInfo) {
+    this.pending.nextServers[key] = serverInfo || null;
+    return this._schedule();
+  }
+  
+  /**
+   * Queue a change to the trash
+   * @param {string} key - Account key
+   * @param {Object|null} entry - Trashed account, or null to remove it from the trash
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   */
+  setTrashEntry(key, entry) {
+    this.pending.trash[key] = entry || null;
+    return this._schedule();
+  }
+  
+  /**
+   * Queue a setting change
+   * @param {string} name - Setting name
+   * @param {*} value - Setting value
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   */
+  setSetting(name, value) {
+    this.pending.settings[name] = value;
+    return this._schedule();
+  }
+  
+  /**
+   * Queue a history entry
+   * @param {string} key - Account key
+   * @param {Object} entry - History entry
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   */
+  appendHistory(key, entry) {
+    this.pending.history.push({ key, entry });
+    return this._schedule();
+  }
+  
+  /**
+   * Queue the deletion of an account's whole history.
+   * History changes are written before appended entries, so entries for the
+   * account queued before this call are dropped and later ones are kept.
+   * @param {string} key - Account key
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   */
+  deleteHistory(key) {
+    this.pending.history = this.pending.history.filter(item => item.key !== key);
+    this.pending.historyChanges.push({ type: 'delete', key });
+    return this._schedule();
+  }
+  
+  /**
+   * Queue moving an account's history to another key, e.g. when the account is re-keyed.
+   * Entries already stored under the new key are kept and the two are combined.
+   * Entries for the old key that are still queued are appended under the new key.
+   * @param {string} key - Current account key
+   * @param {string} toKey - New account key
+   * @returns {Promise<boolean>} - Resolves once the change has been written
+   */
+  moveHistory(key, toKey) {
+    this.pending.history = this.pending.history.map(item => (item.key === key ? { ...item, key: toKey } : item));
+    this.pending.historyChanges.push({ type: 'move', key, toKey });
+    return this._schedule();
+  }
+  
+  /**
+   * Write pending changes now and wait for all writes to finish
+   * @returns {Promise<boolean>} - Whether the last write was successful
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    
+    if (!this.hasPending) {
+      return this.writing;
+    }
+    
+    const batch = this.pending;
+    const waiters = this.waiters;
+    this.pending = this._emptyBatch();
+    this.waiters = [];
+    this.inFlight.push(batch);
+    
+    this.writing = this.writing
+      .then(() => this._write(batch))
+      .then((success) => {
+        this.inFlight = this.inFlight.filter(item => item !== batch);
+        waiters.forEach(resolve => resolve(success));
+        return success;
+      });
+    
+    return this.writing;
+  }
+  
+  /**
+   * Discard pending changes without writing them
+   */
+  clear() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    
+    this.waiters.forEach(resolve => resolve(false));
+    this.pending = this._emptyBatch();
+    this.waiters = [];
+  }
+  
+  /**
+   * Schedule a write of the pending batch if one isn't already scheduled
+   * @returns {Promise<boolean>} - Resolves once the pending batch has been written
+   * @private
+   */
+  _schedule() {
+    const written = new Promise(resolve => this.waiters.push(resolve));
+    
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.delay);
+    }
+    
+    return written;
+  }
+  
+  /**
+   * Write a batch to storage. Never rejects.
+   * @async
+   * @param {Object} batch - Batch of changes
+   * @returns {Promise<boolean>} - Whether the write was successful
+   * @private
+   */
+  async _write(batch) {
+    try {
+      const success = await this.storage.applyChanges(batch);
+      if (success) {
+        logger.debug('Accounts saved successfully');
+      }
+      return success;
+    } catch (error) {
+      logger.error('Error saving accounts:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Build an empty batch
+   * @returns {Object} - Empty batch
+   * @private
+   */
+  _emptyBatch() {
+    return {
+      document: null,
+      accounts: {},
+      nextServers: {},
+      trash: {},
+      settings: {},
+      history: [],
+      historyChanges: []
+    };
+  }
+}
+
+module.exports = { WriteQueue };
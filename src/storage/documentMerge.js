@@ -0,0 +1,141 @@
+/**
+ * documentMerge.js
+ * 
+ * @fileoverview Three-way merge of accounts documents.
+ * Used when another process changed the stored accounts while this one
+ * was running: changes on either side are combined, and when both sides
+ * edited the same entry this process's version wins and a conflict is reported.
+ * 
+ */
+
+/**
+ * Document keys that hold keyed sections rather than single settings
+ * @type {string[]}
+ */
+const SECTIONS = ['accounts', 'nextServers', 'trash'];
+
+/**
+ * Keys that are never merged as settings
+ * @type {string[]}
+ */
+const RESERVED_KEYS = [...SECTIONS, 'history', 'schemaVersion'];
+
+/**
+ * Compare two JSON-compatible values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - Whether the values are equal
+ * @private
+ */
+function isSame(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Get the keys whose values differ between two maps
+ * @param {Object} before - Original map
+ * @param {Object} after - Changed map
+ * @returns {string[]} - Added, removed or changed keys
+ * @private
+ */
+function changedKeys(before = {}, after = {}) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key => !isSame(before[key], after[key]));
+}
+
+/**
+ * Get the top-level settings of a document (everything but sections and history)
+ * @param {Object} doc - Accounts document
+ * @returns {Object} - Settings by name
+ * @private
+ */
+function pickSettings(doc) {
+  const settings = {};
+  Object.keys(doc)
+    .filter(key => !RESERVED_KEYS.includes(key))
+    .forEach((key) => {
+      settings[key] = doc[key];
+    });
+  return settings;
+}
+
+/**
+ * Merge remote changes into the local document
+ * @param {Object} base - Document both sides started from
+ * @param {Object} local - This process's document
+ * @param {Object} remote - Document written by another process
+ * @returns {{document: Object, changes: Object, conflicts: Array<{section: string, key: string}>}}
+ *   Merged document, the remote changes that were applied (by section) and the conflicts
+ */
+function mergeDocuments(base, local, remote) {
+  const document = JSON.parse(JSON.stringify(local));
+  const changes = { accounts: [], nextServers: [], trash: [], settings: [] };
+  const conflicts = [];
+  
+  // Apply one remote change to a map, unless the local side also changed it
+  const mergeKey = (section, key, baseMap, localMap, remoteMap, targetMap) => {
+    const localChanged = !isSame(baseMap[key], localMap[key]);
+    if (localChanged) {
+      if (!isSame(localMap[key], remoteMap[key])) {
+        conflicts.push({ section, key });
+      }
+      return;
+    }
+    
+    if (remoteMap[key] === undefined) {
+      delete targetMap[key];
+    } else {
+      targetMap[key] = remoteMap[key];
+    }
+    changes[section].push(key);
+  };
+  
+  SECTIONS.forEach((section) => {
+    const baseMap = base[section] || {};
+    const localMap = local[section] || {};
+    const remoteMap = remote[section] || {};
+    document[section] = document[section] || {};
+    
+    changedKeys(baseMap, remoteMap).forEach((key) => {
+      mergeKey(section, key, baseMap, localMap, remoteMap, document[section]);
+    });
+  });
+  
+  const baseSettings = pickSettings(base);
+  const localSettings = pickSettings(local);
+  const remoteSettings = pickSettings(remote);
+  
+  changedKeys(baseSettings, remoteSettings).forEach((key) => {
+    mergeKey('settings', key, baseSettings, localSettings, remoteSettings, document);
+  });
+  
+  // An account's history is taken from the side that changed it. When both did,
+  // entries are assumed to have been appended: keep everything remote has plus
+  // entries only added locally
+  if (local.history || remote.history) {
+    const baseHistory = base.history || {};
+    const localHistory = local.history || {};
+    const remoteHistory = remote.history || {};
+    document.history = {};
+    
+    new Set([...Object.keys(baseHistory), ...Object.keys(localHistory), ...Object.keys(remoteHistory)]).forEach((key) => {
+      let entries;
+      if (isSame(baseHistory[key], localHistory[key])) {
+        entries = remoteHistory[key];
+      } else if (isSame(baseHistory[key], remoteHistory[key])) {
+        entries = localHistory[key];
+      } else {
+        const added = (localHistory[key] || []).slice((baseHistory[key] || []).length);
+        entries = [...(remoteHistory[key] || []), ...added];
+      }
+      
+      if (entries && entries.length > 0) {
+        document.history[key] = entries;
+      }
+    });
+  }
+  
+  return { document, changes, conflicts };
+}
+
+module.exports = { mergeDocuments };
@@ -0,0 +1,104 @@
+/**
+ * storageFactory.js
+ * 
+ * @fileoverview Creates storage adapters by backend name and copies data between them.
+ * 
+ */
+
+const { JsonFileStorageAdapter } = require('./JsonFileStorageAdapter');
+const { SqliteStorageAdapter } = require('./SqliteStorageAdapter');
+const { getWorkspacePaths } = require('../utils/workspaces');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Available storage backends by name
+ * @type {Object.<string, Function>}
+ */
+const STORAGE_BACKENDS = {
+  json: JsonFileStorageAdapter,
+  sqlite: SqliteStorageAdapter
+};
+
+/**
+ * Create a storage adapter
+ * @param {string} [backend=config.STORAGE.BACKEND] - Backend name ('json' or 'sqlite')
+ * @param {Object} [options] - Backend-specific options
+ * @returns {StorageAdapter} - Storage adapter instance
+ * @throws {Error} - If the backend is unknown
+ */
+function createStorageAdapter(backend = config.STORAGE.BACKEND, options = {}) {
+  const Adapter = STORAGE_BACKENDS[backend];
+  
+  if (!Adapter) {
+    throw new Error(`Unknown storage backend "${backend}". Available: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+  
+  return new Adapter(options);
+}
+
+/**
+ * Create the storage adapter for a workspace
+ * @param {string} workspace - Workspace name
+ * @param {string} [backend=config.STORAGE.BACKEND] - Backend name ('json' or 'sqlite')
+ * @returns {StorageAdapter} - Storage adapter instance
+ */
+function createWorkspaceStorage(workspace, backend = config.STORAGE.BACKEND) {
+  const paths = getWorkspacePaths(workspace);
+  
+  return createStorageAdapter(backend, backend === 'sqlite'
+    ? { filePath: paths.sqliteFile }
+    : { filePath: paths.accountsFile, backupDirectory: paths.backupDirectory });
+}
+
+/**
+ * Copy all data from one storage backend to another
+ * @async
+ * @param {string} fromBackend - Source backend name
+ * @param {string} toBackend - Target backend name
+ * @param {Object} [options] - Migration options
+ * @param {boolean} [options.force=false] - Overwrite a target that already holds accounts
+ * @param {string} [options.workspace=config.WORKSPACE.ACTIVE] - Workspace to migrate
+ * @returns {Promise<number>} - Number of accounts copied
+ */
+async function migrateStorage(fromBackend, toBackend, options = {}) {
+  if (fromBackend === toBackend) {
+    throw new Error('Source and target backends must be different');
+  }
+  
+  const workspace = options.workspace || config.WORKSPACE.ACTIVE;
+  const source = createWorkspaceStorage(workspace, fromBackend);
+  const target = createWorkspaceStorage(workspace, toBackend);
+  
+  try {
+    await source.open();
+    const data = await source.load();
+    if (!data) {
+      throw new Error(`No data found in ${fromBackend} storage`);
+    }
+    
+    await target.open();
+    const existing = await target.load();
+    if (existing && Object.keys(existing.accounts || {}).length > 0 && !options.force) {
+      throw new Error(`${toBackend} storage already contains accounts. Use --force to overwrite it.`);
+    }
+    
+    if (!await target.saveAll({ history: {}, ...data })) {
+      throw new Error(`Failed to write ${toBackend} storage`);
+    }
+    
+    const count = Object.keys(data.accounts || {}).length;
+    logger.info(`Copied ${count} accounts from ${fromBackend} to ${toBackend} storage`);
+    return count;
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorageAdapter,
+  createWorkspaceStorage,
+  migrateStorage
+};
@@ -0,0 +1,338 @@
+/**
+ * accountFormats.js
+ * 
+ * @fileoverview Parsers and serializers for account import/export formats.
+ * Supported formats:
+ *   - ram:     unencrypted AccountData.json from the Windows Roblox Account Manager
+ *   - csv:     one account per row with a header line
+ *   - cookies: one .ROBLOSECURITY value per line
+ * 
+ */
+
+/**
+ * Supported format names
+ * @type {string[]}
+ */
+const ACCOUNT_FORMATS = ['ram', 'csv', 'cookies'];
+
+/**
+ * CSV columns written on export, in order
+ * @type {string[]}
+ */
+const CSV_COLUMNS = ['Username', 'UserID', 'SecurityToken', 'Password', 'Alias', 'Description', 'Group', 'Fields'];
+
+/**
+ * Accepted CSV header names (lowercase, spaces removed) and the account field they map to
+ * @type {Object.<string, string>}
+ */
+const CSV_HEADER_MAP = {
+  username: 'username',
+  user: 'username',
+  userid: 'userId',
+  securitytoken: 'securityToken',
+  cookie: 'securityToken',
+  roblosecurity: 'securityToken',
+  '.roblosecurity': 'securityToken',
+  password: 'password',
+  alias: 'alias',
+  description: 'description',
+  group: 'group',
+  fields: 'fields'
+};
+
+/**
+ * Check whether a value looks like a usable .ROBLOSECURITY cookie
+ * @param {*} token - Candidate cookie value
+ * @returns {boolean} - Whether the value is plausible
+ */
+function isPlausibleSecurityToken(token) {
+  return typeof token === 'string' && /^[^\s;]+$/.test(token);
+}
+
+/**
+ * Strip a leading ".ROBLOSECURITY=" and surrounding quotes from a cookie value
+ * @param {string} value - Raw cookie text
+ * @returns {string} - Bare cookie value
+ */
+function normalizeSecurityToken(value) {
+  return String(value || '')
+    .trim()
+    .replace(/^\.ROBLOSECURITY=/i, '')
+    .replace(/^["']|["']$/g, '');
+}
+
+/**
+ * Guess the format of import content
+ * @param {string} content - Raw import content
+ * @returns {string} - Format name
+ */
+function detectFormat(content) {
+  const trimmed = content.trim();
+  
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return 'ram';
+  }
+  
+  const header = trimmed.split(/\r?\n/)[0].toLowerCase();
+  if (header.includes(',') && /username|securitytoken|cookie/.test(header)) {
+    return 'csv';
+  }
+  
+  return 'cookies';
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Rows
+ * @private
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {*} value - Field value
+ * @returns {string} - CSV-safe field
+ * @private
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Drop empty values so imports don't blank out existing data
+ * @param {Object} data - Account data
+ * @returns {Object} - Account data without empty values
+ * @private
+ */
+function compact(data) {
+  const result = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Map a Windows RAM account object to Account constructor data
+ * @param {Object} ramAccount - Account from AccountData.json
+ * @returns {Object} - Account data
+ * @private
+ */
+function fromRamAccount(ramAccount) {
+  return compact({
+    username: ramAccount.Username,
+    userId: ramAccount.UserID,
+    securityToken: normalizeSecurityToken(ramAccount.SecurityToken),
+    password: ramAccount.Password,
+    alias: ramAccount.Alias,
+    description: ramAccount.Description,
+    group: ramAccount.Group,
+    fields: ramAccount.Fields && Object.keys(ramAccount.Fields).length > 0 ? ramAccount.Fields : undefined,
+    browserTrackerId: ramAccount.BrowserTrackerID,
+    lastUsed: ramAccount.LastUse
+  });
+}
+
+/**
+ * Map an Account to a Windows RAM account object
+ * @param {Account} account - Account instance
+ * @returns {Object} - Account in AccountData.json form
+ * @private
+ */
+function toRamAccount(account) {
+  return {
+    Valid: true,
+    SecurityToken: account.securityToken,
+    Username: account.username,
+    LastUse: account.lastUsed || account.addedAt,
+    UserID: Number(account.userId) || 0,
+    Fields: account.fields || {},
+    BrowserTrackerID: account.browserTrackerId || '',
+    Group: account.group || 'Default',
+    Alias: account.alias || '',
+    Description: account.description || '',
+    Password: account.password || ''
+  };
+}
+
+/**
+ * Parse import content into account data entries
+ * @param {string} content - Raw import content
+ * @param {string} format - Format name ('ram', 'csv' or 'cookies')
+ * @returns {{entries: Array<{source: string, data: Object}>, errors: Array<{source: string, reason: string}>}}
+ *   Parsed entries (with where they came from) and entries that could not be used
+ * @throws {Error} - If the content can't be parsed as the given format at all
+ */
+function parseAccounts(content, format) {
+  const entries = [];
+  const errors = [];
+  
+  const addEntry = (source, data) => {
+    // RAM writes 0 for accounts whose user ID it never looked up
+    if (Number(data.userId)) {
+      data.userId = Number(data.userId);
+    } else {
+      delete data.userId;
+    }
+    
+    if (!isPlausibleSecurityToken(data.securityToken)) {
+      errors.push({ source, reason: 'Missing or malformed security token' });
+      return;
+    }
+    entries.push({ source, data });
+  };
+  
+  switch (format) {
+    case 'ram': {
+      let parsed;
+      try {
+        parsed = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid account JSON: ${error.message}`);
+      }
+      
+      if (!Array.isArray(parsed)) {
+        throw new Error('Expected a JSON array of accounts (Roblox Account Manager AccountData.json)');
+      }
+      
+      parsed.forEach((ramAccount, index) => {
+        addEntry(`entry ${index + 1}`, fromRamAccount(ramAccount || {}));
+      });
+      break;
+    }
+    
+    case 'csv': {
+      const [header, ...rows] = parseCsvRows(content);
+      if (!header) {
+        break;
+      }
+      
+      const columns = header.map(name => CSV_HEADER_MAP[name.trim().toLowerCase().replace(/\s+/g, '')]);
+      if (!columns.includes('securityToken')) {
+        throw new Error('CSV header must include a SecurityToken (or Cookie) column');
+      }
+      
+      rows.forEach((cells, index) => {
+        const data = {};
+        columns.forEach((column, columnIndex) => {
+          if (column) {
+            data[column] = (cells[columnIndex] || '').trim();
+          }
+        });
+        
+        data.securityToken = normalizeSecurityToken(data.securityToken);
+        if (data.fields) {
+          try {
+            data.fields = JSON.parse(data.fields);
+          } catch (error) {
+            errors.push({ source: `line ${index + 2}`, reason: 'Fields column is not valid JSON' });
+            return;
+          }
+        }
+        
+        addEntry(`line ${index + 2}`, compact(data));
+      });
+      break;
+    }
+    
+    case 'cookies':
+      content.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) {
+          return;
+        }
+        addEntry(`line ${index + 1}`, { securityToken: normalizeSecurityToken(trimmed) });
+      });
+      break;
+    
+    default:
+      throw new Error(`Unknown import format "${format}". Supported: ${ACCOUNT_FORMATS.join(', ')}`);
+  }
+  
+  return { entries, errors };
+}
+
+/**
+ * Serialize accounts for export
+ * @param {Account[]} accounts - Accounts to export
+ * @param {string} format - Format name ('ram', 'csv' or 'cookies')
+ * @returns {string} - Exported content
+ */
+function serializeAccounts(accounts, format) {
+  switch (format) {
+    case 'ram':
+      return JSON.stringify(accounts.map(toRamAccount), null, 2);
+    
+    case 'csv': {
+      const lines = [CSV_COLUMNS.join(',')];
+      accounts.forEach((account) => {
+        const ram = toRamAccount(account);
+        lines.push(CSV_COLUMNS.map(column => toCsvField(
+          column === 'Fields' ? (Object.keys(ram.Fields).length > 0 ? JSON.stringify(ram.Fields) : '') : ram[column]
+        )).join(','));
+      });
+      return `${lines.join('\n')}\n`;
+    }
+    
+    case 'cookies':
+      return `${accounts.filter(account => account.securityToken).map(account => account.securityToken).join('\n')}\n`;
+    
+    default:
+      throw new Error(`Unknown export format "${format}". Supported: ${ACCOUNT_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  ACCOUNT_FORMATS,
+  isPlausibleSecurityToken,
+  normalizeSecurityToken,
+  detectFormat,
+  parseAccounts,
+  serializeAccounts
+};
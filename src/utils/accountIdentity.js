@@ -0,0 +1,141 @@
+/**
+ * accountIdentity.js
+ * 
+ * @fileoverview Identity rules for stored accounts.
+ * Accounts are keyed by their numeric Roblox user ID, which never changes, rather
+ * than by username, which can. This module derives keys and merges two records
+ * that turn out to belong to the same Roblox user.
+ * 
+ */
+
+const { DEFAULT_GROUP } = require('../models/Account');
+
+/**
+ * Check whether a value is a real Roblox user ID
+ * @param {*} userId - Candidate user ID
+ * @returns {boolean} - Whether the value is a positive integer ID
+ */
+function isRobloxUserId(userId) {
+  return /^[1-9]\d*$/.test(String(userId || ''));
+}
+
+/**
+ * Get the storage key for an account
+ * @param {Object} accountData - Account data
+ * @param {string} [fallbackKey] - Key to use if the account has no known user ID
+ * @returns {string} - Account key
+ */
+function getAccountKey(accountData, fallbackKey) {
+  if (isRobloxUserId(accountData.userId)) {
+    return String(accountData.userId);
+  }
+  
+  return fallbackKey || accountData.username;
+}
+
+/**
+ * Latest time an account's token is known to have been obtained or used
+ * @param {Object} accountData - Account data
+ * @returns {number} - Milliseconds since the epoch (0 if unknown)
+ * @private
+ */
+function tokenRecency(accountData) {
+  return Math.max(
+    Date.parse(accountData.addedAt) || 0,
+    Date.parse(accountData.lastUsed) || 0
+  );
+}
+
+/**
+ * Combine two tag lists, dropping tags that only differ in case
+ * @param {string[]} [first] - Tags
+ * @param {string[]} [second] - Tags
+ * @returns {string[]} - Combined tags
+ * @private
+ */
+function mergeTags(first = [], second = []) {
+  const seen = new Set();
+  return [...first, ...second].filter((tag) => {
+    const normalized = tag.toLowerCase();
+    if (seen.has(normalized)) {
+      return false;
+    }
+    seen.add(normalized);
+    return true;
+  });
+}
+
+/**
+ * Combine two cached profiles, keeping whichever copy of each field was refreshed last
+ * @param {Object} [first] - Cached profile
+ * @param {Object} [second] - Cached profile
+ * @returns {Object} - Merged profile
+ * @private
+ */
+function mergeProfiles(first = {}, second = {}) {
+  const merged = { ...first };
+  
+  Object.entries(second).forEach(([field, entry]) => {
+    const current = merged[field];
+    if (!current || (Date.parse(entry.refreshedAt) || 0) >= (Date.parse(current.refreshedAt) || 0)) {
+      merged[field] = entry;
+    }
+  });
+  
+  return merged;
+}
+
+/**
+ * Merge two records of the same Roblox user.
+ * The newer record's token, username and session status win; metadata from
+ * both is kept (aliases and groups fall back to the older record, descriptions
+ * are joined, tags are combined and custom fields are combined with the newer values winning).
+ * Cached profile details keep whichever copy was refreshed last.
+ * @param {Object} older - Account data that was stored first
+ * @param {Object} newer - Account data with the newer token
+ * @returns {Object} - Merged account data
+ */
+function mergeAccountData(older, newer) {
+  const descriptions = [older.description, newer.description].filter(Boolean);
+  const newerGroup = newer.group && newer.group !== DEFAULT_GROUP ? newer.group : null;
+  const times = [older.lastUsed, newer.lastUsed].filter(Boolean).sort();
+  
+  return {
+    ...older,
+    ...newer,
+    username: newer.username || older.username,
+    userId: newer.userId || older.userId,
+    securityToken: newer.securityToken || older.securityToken,
+    password: newer.password || older.password,
+    addedAt: [older.addedAt, newer.addedAt].filter(Boolean).sort()[0],
+    lastUsed: times[times.length - 1] || null,
+    browserTrackerId: older.browserTrackerId || newer.browserTrackerId,
+    alias: newer.alias || older.alias,
+    description: [...new Set(descriptions)].join('\n'),
+    group: newerGroup || older.group || newer.group,
+    fields: { ...(older.fields || {}), ...(newer.fields || {}) },
+    tags: mergeTags(older.tags, newer.tags),
+    profile: mergeProfiles(older.profile, newer.profile)
+  };
+}
+
+/**
+ * Merge two records of the same user, working out which one holds the newer token.
+ * A second record without timestamps (e.g. a bare cookie being imported) counts as newer.
+ * @param {Object} first - Account data
+ * @param {Object} second - Account data
+ * @returns {Object} - Merged account data
+ */
+function mergeDuplicateAccounts(first, second) {
+  const secondRecency = tokenRecency(second);
+  return secondRecency === 0 || secondRecency >= tokenRecency(first)
+    ? mergeAccountData(first, second)
+    : mergeAccountData(second, first);
+}
+
+module.exports = {
+  isRobloxUserId,
+  getAccountKey,
+  mergeAccountData,
+  mergeDuplicateAccounts
+};
@@ -0,0 +1,200 @@
+/**
+ * accountQuery.js
+ *
+ * @fileoverview Filter expressions for picking accounts.
+ * A query is a list of space-separated terms that must all match, e.g.
+ * `tag:farm group:Main status:valid lastUsed<7d`. Prefix a term with `-` to
+ * exclude matches, and quote values that contain spaces (`group:"Main farm"`).
+ * A term without a key matches the username or alias.
+ *
+ */
+
+const { SESSION_STATUS } = require('../models/Account');
+
+/**
+ * Keys that compare a value, and the account property each one reads
+ * @type {Object.<string, string>}
+ * @private
+ */
+const VALUE_KEYS = {
+  tag: 'tags',
+  group: 'group',
+  status: 'status',
+  name: 'username'
+};
+
+/**
+ * Keys that compare a timestamp with an age, and the account property each one reads
+ * @type {Object.<string, string>}
+ * @private
+ */
+const DATE_KEYS = {
+  lastused: 'lastUsed',
+  addedat: 'addedAt',
+  lastchecked: 'lastChecked'
+};
+
+/**
+ * Milliseconds per duration unit
+ * @type {Object.<string, number>}
+ * @private
+ */
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Build the error thrown for a query that can't be parsed
+ * @param {string} message - What is wrong with the query
+ * @returns {Error} - Error with code INVALID_QUERY
+ * @private
+ */
+function queryError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+/**
+ * Split a query into terms, keeping quoted values together
+ * @param {string} text - Query text
+ * @returns {string[]} - Terms with their quotes removed
+ * @throws {Error} - If a quote is not closed
+ * @private
+ */
+function tokenize(text) {
+  const terms = [];
+  let current = '';
+  let inQuotes = false;
+  let hasTerm = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+      hasTerm = true;
+    } else if (/\s/.test(char) && !inQuotes) {
+      if (hasTerm) {
+        terms.push(current);
+      }
+      current = '';
+      hasTerm = false;
+    } else {
+      current += char;
+      hasTerm = true;
+    }
+  }
+
+  if (inQuotes) {
+    throw queryError('Unclosed quote in query');
+  }
+  if (hasTerm) {
+    terms.push(current);
+  }
+
+  return terms;
+}
+
+/**
+ * Parse a single term
+ * @param {string} text - Term without quotes
+ * @returns {Object} - Parsed term
+ * @throws {Error} - If the term is not valid
+ * @private
+ */
+function parseTerm(text) {
+  const negate = text.length > 1 && text.startsWith('-');
+  const body = negate ? text.slice(1) : text;
+
+  const age = body.match(/^(\w+)([<>])(\d+)([a-z]+)$/i);
+  if (age) {
+    const [, key, operator, amount, unit] = age;
+    const property = DATE_KEYS[key.toLowerCase()];
+    if (!property) {
+      throw queryError(`Cannot compare "${key}" with an age. Use one of: lastUsed, addedAt, lastChecked`);
+    }
+    if (!DURATION_UNITS[unit.toLowerCase()]) {
+      throw queryError(`Unknown unit "${unit}" in "${text}". Use m, h, d or w`);
+    }
+    return { negate, type: 'age', property, operator, maxAge: parseInt(amount, 10) * DURATION_UNITS[unit.toLowerCase()] };
+  }
+
+  const separator = body.indexOf(':');
+  if (separator > 0) {
+    const key = body.slice(0, separator).toLowerCase();
+    const value = body.slice(separator + 1);
+    if (!VALUE_KEYS[key]) {
+      throw queryError(`Unknown filter "${key}". Use one of: ${Object.keys(VALUE_KEYS).join(', ')}`);
+    }
+    if (!value) {
+      throw queryError(`Missing value in "${text}"`);
+    }
+    if (key === 'status' && !Object.values(SESSION_STATUS).includes(value.toLowerCase())) {
+      throw queryError(`Unknown status "${value}". Use one of: ${Object.values(SESSION_STATUS).join(', ')}`);
+    }
+    return { negate, type: 'value', property: VALUE_KEYS[key], value: value.toLowerCase() };
+  }
+
+  return { negate, type: 'text', value: body.toLowerCase() };
+}
+
+/**
+ * Parse a query
+ * @param {string} text - Query text (empty matches every account)
+ * @returns {Object[]} - Parsed terms
+ * @throws {Error} - With code INVALID_QUERY if the query is not valid
+ */
+function parseQuery(text) {
+  return tokenize(String(text || '')).map(parseTerm);
+}
+
+/**
+ * Check a single term against an account
+ * @param {Account} account - Account instance
+ * @param {Object} term - Parsed term
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - Whether the term matches, ignoring negation
+ * @private
+ */
+function matchesTerm(account, term, now) {
+  switch (term.type) {
+    case 'age': {
+      const time = Date.parse(account[term.property]);
+      // Something that never happened counts as older than any age
+      if (isNaN(time)) {
+        return term.operator === '>';
+      }
+      return term.operator === '<' ? now - time < term.maxAge : now - time > term.maxAge;
+    }
+
+    case 'value': {
+      const actual = account[term.property];
+      if (Array.isArray(actual)) {
+        return actual.some(item => String(item).toLowerCase() === term.value);
+      }
+      return String(actual || '').toLowerCase() === term.value;
+    }
+
+    default:
+      return [account.username, account.alias]
+        .some(text => String(text || '').toLowerCase().includes(term.value));
+  }
+}
+
+/**
+ * Check whether an account matches every term of a query
+ * @param {Account} account - Account instance
+ * @param {Object[]} terms - Terms returned by parseQuery
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} - Whether the account matches
+ */
+function matchesQuery(account, terms, now = Date.now()) {
+  return terms.every(term => matchesTerm(account, term, now) !== term.negate);
+}
+
+module.exports = {
+  parseQuery,
+  matchesQuery
+};
@@ -8,6 +8,51 @@
 
 const path = require('path');
 
+/**
+ * Whether to run against the bundled fake Roblox server instead of Roblox
+ * @type {boolean}
+ */
+const SANDBOX = process.env.SANDBOX === 'true';
+
+/**
+ * Port of the fake Roblox server in sandbox mode
+ * @type {number}
+ */
+const SANDBOX_PORT = parseInt(process.env.SANDBOX_PORT || '7964', 10);
+
+/**
+ * Directory holding accounts, workspaces and backups.
+ * The sandbox keeps its own so it never touches real accounts.
+ * @type {string}
+ */
+const DATA_DIRECTORY = SANDBOX ? path.join(process.cwd(), 'data', 'sandbox') : path.join(process.cwd(), 'data');
+
+/**
+ * Domain the default Roblox endpoints live under
+ * @type {string}
+ */
+const ROBLOX_DOMAIN = process.env.ROBLOX_DOMAIN || 'roblox.com';
+
+/**
+ * Get the base URL of a Roblox web API.
+ * An explicit environment variable wins; the sandbox serves every API from one
+ * local server under a path named after the subdomain.
+ * @param {string} subdomain - Subdomain of the API on the Roblox domain (e.g. 'users')
+ * @param {string} envName - Environment variable that overrides the URL
+ * @returns {string} - Base URL without a trailing slash
+ */
+function robloxEndpoint(subdomain, envName) {
+  if (process.env[envName]) {
+    return process.env[envName].replace(/\/+$/, '');
+  }
+  
+  if (SANDBOX) {
+    return `http://127.0.0.1:${SANDBOX_PORT}/${subdomain}`;
+  }
+  
+  return `https://${subdomain}.${ROBLOX_DOMAIN}`;
+}
+
 /**
  * Application configuration
  * @type {Object}
@@ -17,7 +62,92 @@ const config = {
    * Path to the accounts storage file
    * @type {string}
    */
-  ACCOUNTS_FILE: path.join(process.cwd(), 'data', 'accounts.json'),
+  ACCOUNTS_FILE: path.join(DATA_DIRECTORY, 'accounts.json'),
+  
+  /**
+   * Workspace configuration.
+   * Each workspace is a separate roster with its own accounts store.
+   * @type {Object}
+   */
+  WORKSPACE: {
+    /**
+     * Workspace to open at startup. 'default' uses the paths above.
+     * @type {string}
+     */
+    ACTIVE: process.env.WORKSPACE || 'default',
+    
+    /**
+     * Directory holding the stores of all other workspaces
+     * @type {string}
+     */
+    DIRECTORY: path.join(DATA_DIRECTORY, 'workspaces')
+  },
+  
+  /**
+   * Storage backend configuration
+   * @type {Object}
+   */
+  STORAGE: {
+    /**
+     * Backend used to persist accounts: 'json' or 'sqlite'
+     * @type {string}
+     */
+    BACKEND: process.env.STORAGE_BACKEND || 'json',
+    
+    /**
+     * Path to the SQLite database file (sqlite backend only)
+     * @type {string}
+     */
+    SQLITE_FILE: process.env.SQLITE_FILE || path.join(DATA_DIRECTORY, 'accounts.db'),
+    
+    /**
+     * Milliseconds to collect changes before writing them as one batch
+     * @type {number}
+     */
+    WRITE_DELAY_MS: parseInt(process.env.WRITE_DELAY_MS || '250', 10),
+    
+    /**
+     * Whether to watch storage for changes made by other instances and merge them in
+     * @type {boolean}
+     */
+    WATCH: process.env.WATCH_STORAGE !== 'false',
+    
+    /**
+     * How often to check storage for external changes, in milliseconds
+     * @type {number}
+     */
+    WATCH_INTERVAL_MS: parseInt(process.env.WATCH_INTERVAL_MS || '1000', 10),
+    
+    /**
+     * How long to wait for another instance's write lock, in milliseconds
+     * @type {number}
+     */
+    LOCK_TIMEOUT_MS: parseInt(process.env.LOCK_TIMEOUT_MS || '5000', 10),
+    
+    /**
+     * Age after which a lock file is considered abandoned, in milliseconds
+     * @type {number}
+     */
+    LOCK_STALE_MS: 30000
+  },
+  
+  /**
+   * Backup settings for the accounts file
+   * @type {Object}
+   */
+  BACKUP: {
+    /**
+     * Directory holding timestamped backups
+     * @type {string}
+     */
+    DIRECTORY: path.join(DATA_DIRECTORY, 'backups'),
+    
+    /**
+     * Number of backups to keep (0 disables backups)
+     * @type {number}
+     */
+    COUNT: parseInt(process.env.BACKUP_COUNT || '5', 10)
+  },
   
   /**
    * Window size for browser instances
@@ -71,6 +201,184 @@ const config = {
      * @type {string|null}
      */
     PASSWORD: process.env.API_PASSWORD || 'Whatever'
+  },
+  
+  /**
+   * Background check of account sessions (.ROBLOSECURITY cookies)
+   * @type {Object}
+   */
+  SESSION_MONITOR: {
+    /**
+     * Whether to check sessions in the background
+     * @type {boolean}
+     */
+    ENABLED: process.env.SESSION_MONITOR !== 'false',
+    
+    /**
+     * How often to check every account, in milliseconds
+     * @type {number}
+     */
+    INTERVAL_MS: parseInt(process.env.SESSION_CHECK_INTERVAL_MS || '1800000', 10),
+    
+    /**
+     * Maximum number of accounts checked at the same time
+     * @type {number}
+     */
+    CONCURRENCY: parseInt(process.env.SESSION_CHECK_CONCURRENCY || '3', 10)
+  },
+  
+  /**
+   * Trash for deleted accounts
+   * @type {Object}
+   */
+  TRASH: {
+    /**
+     * Days a deleted account is kept before it is purged for good (0 keeps them until purged by hand)
+     * @type {number}
+     */
+    RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10),
+    
+    /**
+     * How often to purge expired accounts from the trash, in milliseconds
+     * @type {number}
+     */
+    PURGE_INTERVAL_MS: 60 * 60 * 1000
+  },
+  
+  /**
+   * Requests to Roblox web APIs
+   * @type {Object}
+   */
+  ROBLOX_HTTP: {
+    /**
+     * How long to wait for Roblox to respond, in milliseconds
+     * @type {number}
+     */
+    TIMEOUT_MS: parseInt(process.env.ROBLOX_TIMEOUT_MS || '15000', 10),
+    
+    /**
+     * How many times to retry a request Roblox answered with HTTP 429
+     * @type {number}
+     */
+    MAX_RETRIES: parseInt(process.env.ROBLOX_MAX_RETRIES || '3', 10),
+    
+    /**
+     * Wait before the first retry when Roblox doesn't send Retry-After, in milliseconds.
+     * Doubles with every retry.
+     * @type {number}
+     */
+    BACKOFF_BASE_MS: parseInt(process.env.ROBLOX_BACKOFF_BASE_MS || '1000', 10),
+    
+    /**
+     * Longest wait before a retry, in milliseconds. If Roblox asks for more, the request fails.
+     * @type {number}
+     */
+    MAX_BACKOFF_MS: parseInt(process.env.ROBLOX_MAX_BACKOFF_MS || '30000', 10),
+    
+    /**
+     * Token-bucket limits for each account, by endpoint family:
+     * AUTH (CSRF tokens and auth tickets), WEB (www and assetgame pages) and API (other web APIs)
+     * @type {Object.<string, {burst: number, perSecond: number}>}
+     */
+    RATE_LIMITS: {
+      AUTH: { burst: 2, perSecond: 0.5 },
+      WEB: { burst: 3, perSecond: 1 },
+      API: { burst: 10, perSecond: 5 }
+    }
+  },
+  
+  /**
+   * Base URLs of the Roblox web APIs.
+   * Each can be pointed elsewhere with its ROBLOX_*_URL variable, all of them
+   * with ROBLOX_DOMAIN, or at the fake Roblox server with SANDBOX=true.
+   * @type {Object}
+   */
+  ROBLOX_ENDPOINTS: {
+    WWW: robloxEndpoint('www', 'ROBLOX_WWW_URL'),
+    AUTH: robloxEndpoint('auth', 'ROBLOX_AUTH_URL'),
+    ASSETGAME: robloxEndpoint('assetgame', 'ROBLOX_ASSETGAME_URL'),
+    GAMES: robloxEndpoint('games', 'ROBLOX_GAMES_URL'),
+    APIS: robloxEndpoint('apis', 'ROBLOX_APIS_URL'),
+    PRESENCE: robloxEndpoint('presence', 'ROBLOX_PRESENCE_URL'),
+    USERS: robloxEndpoint('users', 'ROBLOX_USERS_URL'),
+    THUMBNAILS: robloxEndpoint('thumbnails', 'ROBLOX_THUMBNAILS_URL'),
+    PREMIUM_FEATURES: robloxEndpoint('premiumfeatures', 'ROBLOX_PREMIUM_FEATURES_URL'),
+    ACCOUNT_SETTINGS: robloxEndpoint('accountsettings', 'ROBLOX_ACCOUNT_SETTINGS_URL'),
+    ECONOMY: robloxEndpoint('economy', 'ROBLOX_ECONOMY_URL')
+  },
+  
+  /**
+   * Offline sandbox: a local fake Roblox server stands in for every Roblox API
+   * and accounts are kept in data/sandbox
+   * @type {Object}
+   */
+  SANDBOX: {
+    /**
+     * Whether sandbox mode is on
+     * @type {boolean}
+     */
+    ENABLED: SANDBOX,
+    
+    /**
+     * Port of the fake Roblox server
+     * @type {number}
+     */
+    PORT: SANDBOX_PORT
+  },
+  
+  /**
+   * Username lookups
+   * @type {Object}
+   */
+  USER_LOOKUP: {
+    /**
+     * How long a username's user ID is remembered, in milliseconds
+     * @type {number}
+     */
+    CACHE_TTL_MS: parseInt(process.env.USER_CACHE_TTL_MS || '86400000', 10)
+  },
+  
+  /**
+   * Public server browser
+   * @type {Object}
+   */
+  SERVER_BROWSER: {
+    /**
+     * Servers fetched per request (the games API allows 10, 25, 50 or 100)
+     * @type {number}
+     */
+    PAGE_SIZE: 100,
+    
+    /**
+     * Most pages fetched when listing a place's servers
+     * @type {number}
+     */
+    MAX_PAGES: parseInt(process.env.SERVER_BROWSER_MAX_PAGES || '5', 10)
+  },
+  
+  /**
+   * Cached profile details
+   * @type {Object}
+   */
+  PROFILE: {
+    /**
+     * Age after which a cached profile detail is fetched again, in milliseconds
+     * @type {number}
+     */
+    MAX_AGE_MS: parseInt(process.env.PROFILE_MAX_AGE_MS || '3600000', 10)
+  },
+  
+  /**
+   * Account vault configuration
+   * @type {Object}
+   */
+  VAULT: {
+    /**
+     * Master passphrase used to unlock an encrypted accounts file at startup.
+     * If unset and the file is encrypted, the passphrase is prompted for.
+     * @type {string|null}
+     */
+    PASSPHRASE: process.env.VAULT_PASSPHRASE || null
   }
 };
 
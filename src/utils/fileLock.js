@@ -0,0 +1,105 @@
+/**
+ * fileLock.js
+ * 
+ * @fileoverview Advisory lock files for coordinating writes between processes.
+ * A lock is a `<file>.lock` file created exclusively; other processes wait
+ * until it is removed. Locks left behind by dead or hung processes are broken.
+ * 
+ */
+
+const fs = require('fs/promises');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ * @private
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check whether a lock file was left behind by a dead or hung process
+ * @async
+ * @param {string} lockPath - Path to the lock file
+ * @returns {Promise<boolean>} - Whether the lock can be broken
+ * @private
+ */
+async function isStaleLock(lockPath) {
+  try {
+    const [stats, contents] = await Promise.all([
+      fs.stat(lockPath),
+      fs.readFile(lockPath, 'utf8')
+    ]);
+    
+    if (Date.now() - stats.mtimeMs > config.STORAGE.LOCK_STALE_MS) {
+      return true;
+    }
+    
+    const { pid } = JSON.parse(contents);
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    // ESRCH: owner no longer running. ENOENT: already released.
+    // Anything else (e.g. a half-written lock) is treated as live until it goes stale.
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Acquire a lock file, waiting for other holders to release it
+ * @async
+ * @param {string} lockPath - Path to the lock file
+ * @returns {Promise<void>}
+ * @throws {Error} - If the lock could not be acquired in time
+ * @private
+ */
+async function acquireLock(lockPath) {
+  const deadline = Date.now() + config.STORAGE.LOCK_TIMEOUT_MS;
+  
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+      await handle.close();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    
+    if (await isStaleLock(lockPath)) {
+      logger.warn(`Breaking stale lock ${lockPath}`);
+      await fs.unlink(lockPath).catch(() => {});
+      continue;
+    }
+    
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${lockPath}. Another instance may be writing.`);
+    }
+    
+    await sleep(50);
+  }
+}
+
+/**
+ * Run a function while holding the advisory lock for a file
+ * @async
+ * @param {string} filePath - File to lock
+ * @param {Function} fn - Async function to run while the lock is held
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  await acquireLock(lockPath);
+  
+  try {
+    return await fn();
+  } finally {
+    await fs.unlink(lockPath).catch(() => {});
+  }
+}
+
+module.exports = { withFileLock };
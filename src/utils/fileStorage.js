@@ -8,29 +8,418 @@
 
 const fs = require('fs/promises');
 const path = require('path');
+const crypto = require('crypto');
 const { config } = require('./config');
 const { logger } = require('./logger');
+const { isVaultDocument, encryptDocument, decryptDocument } = require('./vault');
+const { migrateDocument, CURRENT_SCHEMA_VERSION } = require('./migrations');
+const { withFileLock } = require('./fileLock');
 
 /**
- * Save accounts data to file
+ * Runtime vault state
+ * @type {Object}
+ * @property {boolean} enabled - Whether saves should be encrypted
+ * @property {string|null} passphrase - Master passphrase while unlocked
+ * @property {string|null} backupsPassphrase - Passphrase every backup is known to be encrypted with
+ * @private
+ */
+const vaultState = {
+  enabled: false,
+  passphrase: null,
+  backupsPassphrase: null
+};
+
+/**
+ * Reason saves are currently refused, or null if saving is allowed
+ * @type {string|null}
+ * @private
+ */
+let writeBlockReason = null;
+
+/**
+ * Hash of the file contents this process last read or wrote.
+ * A different hash on disk means another process changed the file.
+ * @type {string|null}
+ * @private
+ */
+let lastSyncedHash = null;
+
+/**
+ * Files used by the active workspace
+ * @type {Object}
+ * @property {string} accountsFile - Path to the accounts file
+ * @property {string} backupDirectory - Directory holding backups of the accounts file
+ * @private
+ */
+const storagePaths = {
+  accountsFile: config.ACCOUNTS_FILE,
+  backupDirectory: config.BACKUP.DIRECTORY
+};
+
+/**
+ * Switch to a different accounts file, e.g. when changing workspace.
+ * Resets all per-file state, including the vault passphrase.
+ * @param {string} accountsFile - Path to the accounts file
+ * @param {string} backupDirectory - Directory for backups of that file
+ */
+function useAccountsFile(accountsFile, backupDirectory) {
+  if (accountsFile === storagePaths.accountsFile && backupDirectory === storagePaths.backupDirectory) {
+    return;
+  }
+  
+  storagePaths.accountsFile = accountsFile;
+  storagePaths.backupDirectory = backupDirectory;
+  vaultState.enabled = false;
+  vaultState.passphrase = null;
+  vaultState.backupsPassphrase = null;
+  writeBlockReason = null;
+  lastSyncedHash = null;
+}
+
+/**
+ * Capture the per-file state of the active accounts file, including the
+ * unlocked vault passphrase, so it can be restored after a failed workspace
+ * switch or vault conversion
+ * @returns {Object} - Opaque state for restoreFileState
+ */
+function captureFileState() {
+  return {
+    storagePaths: { ...storagePaths },
+    vaultState: { ...vaultState },
+    writeBlockReason,
+    lastSyncedHash
+  };
+}
+
+/**
+ * Go back to an accounts file and its state as captured by captureFileState
+ * @param {Object} state - State returned by captureFileState
+ */
+function restoreFileState(state) {
+  Object.assign(storagePaths, state.storagePaths);
+  Object.assign(vaultState, state.vaultState);
+  writeBlockReason = state.writeBlockReason;
+  lastSyncedHash = state.lastSyncedHash;
+}
+
+/**
+ * Hash raw file contents
+ * @param {string} contents - File contents
+ * @returns {string} - Content hash
+ * @private
+ */
+function hashContents(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+/**
+ * Write a file atomically by writing a temp file and renaming it into place.
+ * A crash mid-write leaves the previous file untouched.
+ * @async
+ * @param {string} filePath - Destination path
+ * @param {string} contents - File contents
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  let handle = null;
+  
+  try {
+    handle = await fs.open(tempPath, 'w');
+    await handle.writeFile(contents, 'utf8');
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Build a filesystem-safe timestamp for backup and quarantine names
+ * @returns {string} - Timestamp such as 2025-04-09T08-08-26-871Z
+ * @private
+ */
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * List backup files, newest first
+ * @async
+ * @returns {Promise<string[]>} - Absolute backup file paths
+ */
+async function listBackups() {
+  const baseName = path.basename(storagePaths.accountsFile, '.json');
+  
+  try {
+    const files = await fs.readdir(storagePaths.backupDirectory);
+    return files
+      .filter(file => file.startsWith(`${baseName}-`) && file.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(file => path.join(storagePaths.backupDirectory, file));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error listing backups:', error);
+    }
+    return [];
+  }
+}
+
+/**
+ * Copy the current accounts file into the backup directory and prune old backups.
+ * Once the vault is enabled, a plaintext file is never copied.
+ * @async
+ * @returns {Promise<void>}
+ * @private
+ */
+async function rotateBackups() {
+  if (config.BACKUP.COUNT <= 0) {
+    return;
+  }
+  
+  const baseName = path.basename(storagePaths.accountsFile, '.json');
+  const backupPath = path.join(storagePaths.backupDirectory, `${baseName}-${fileTimestamp()}.json`);
+  
+  try {
+    const contents = await fs.readFile(storagePaths.accountsFile, 'utf8');
+    if (vaultState.enabled && !isVaultContents(contents)) {
+      return;
+    }
+    
+    await fs.mkdir(storagePaths.backupDirectory, { recursive: true });
+    await fs.writeFile(backupPath, contents, 'utf8');
+  } catch (error) {
+    // Nothing to back up yet
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+  
+  const backups = await listBackups();
+  for (const stale of backups.slice(config.BACKUP.COUNT)) {
+    await fs.unlink(stale).catch(() => {});
+  }
+}
+
+/**
+ * Check whether raw file contents are an encrypted vault
+ * @param {string} contents - File contents
+ * @returns {boolean} - Whether the contents parse as a vault document
+ * @private
+ */
+function isVaultContents(contents) {
+  try {
+    return isVaultDocument(JSON.parse(contents));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Decrypt a vault backup with the current passphrase or the one backups were last secured with
+ * @async
+ * @param {Object} document - Vault document
+ * @returns {Promise<Object|null>} - Decrypted document if it needs re-encrypting, null if it is
+ *   already encrypted with the current passphrase
+ * @throws {Error} - If neither passphrase opens it
+ * @private
+ */
+async function decryptBackup(document) {
+  try {
+    await decryptDocument(document, vaultState.passphrase);
+    return null;
+  } catch (error) {
+    if (!vaultState.backupsPassphrase) {
+      throw error;
+    }
+    return decryptDocument(document, vaultState.backupsPassphrase);
+  }
+}
+
+/**
+ * Make sure no backup can be read without the current vault passphrase.
+ * Plaintext backups and backups encrypted with the previous passphrase are
+ * re-encrypted in place; backups neither passphrase opens are deleted.
+ * @async
+ * @returns {Promise<void>}
+ * @private
+ */
+async function secureBackups() {
+  for (const backupPath of await listBackups()) {
+    try {
+      let document = JSON.parse(await fs.readFile(backupPath, 'utf8'));
+      if (isVaultDocument(document)) {
+        document = await decryptBackup(document);
+        if (!document) {
+          continue;
+        }
+      }
+      
+      const encrypted = await encryptDocument(document, vaultState.passphrase);
+      await writeFileAtomic(backupPath, JSON.stringify(encrypted, null, 2));
+    } catch (error) {
+      await fs.unlink(backupPath).catch(() => {});
+      logger.warn(`Removed backup ${path.basename(backupPath)} that the vault passphrase can't open`);
+    }
+  }
+  
+  vaultState.backupsPassphrase = vaultState.passphrase;
+}
+
+/**
+ * Move a broken accounts file aside so it is never overwritten
+ * @async
+ * @param {string} filePath - Path of the unreadable file
+ * @returns {Promise<string|null>} - Quarantine path or null if the move failed
+ * @private
+ */
+async function quarantineFile(filePath) {
+  const quarantinePath = `${filePath}.corrupt-${fileTimestamp()}`;
+  
+  try {
+    await fs.rename(filePath, quarantinePath);
+    logger.warn(`Quarantined unreadable accounts file to ${quarantinePath}`);
+    return quarantinePath;
+  } catch (error) {
+    logger.error('Error quarantining accounts file:', error);
+    return null;
+  }
+}
+
+/**
+ * Restore the newest backup that parses as valid JSON.
+ * If the vault is enabled, or any backup is a vault, plaintext backups are
+ * never restored over it.
+ * @async
+ * @returns {Promise<Object|null>} - Restored document or null if no valid backup exists
+ * @private
+ */
+async function recoverFromBackup() {
+  const backups = [];
+  for (const backupPath of await listBackups()) {
+    try {
+      const contents = await fs.readFile(backupPath, 'utf8');
+      backups.push({ backupPath, contents, document: JSON.parse(contents) });
+    } catch (error) {
+      logger.warn(`Skipping unreadable backup ${path.basename(backupPath)}`);
+    }
+  }
+  
+  const vaultOnly = vaultState.enabled || backups.some(({ document }) => isVaultDocument(document));
+  for (const { backupPath, contents, document } of backups) {
+    if (vaultOnly && !isVaultDocument(document)) {
+      logger.warn(`Skipping plaintext backup ${path.basename(backupPath)} of an encrypted vault`);
+      continue;
+    }
+    
+    try {
+      await writeFileAtomic(storagePaths.accountsFile, contents);
+      lastSyncedHash = hashContents(contents);
+      logger.warn(`Recovered accounts from backup ${path.basename(backupPath)}`);
+      return document;
+    } catch (error) {
+      logger.warn(`Could not restore backup ${path.basename(backupPath)}:`, error.message);
+    }
+  }
+  
+  logger.error('No valid backup found. Starting with an empty account list.');
+  return null;
+}
+
+/**
+ * Check whether the accounts file exists on disk
+ * @async
+ * @returns {Promise<boolean>} - Whether the file exists
+ */
+async function accountsFileExists() {
+  try {
+    await fs.access(storagePaths.accountsFile);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether another process changed the accounts file since this one last read or wrote it
+ * @async
+ * @returns {Promise<boolean>} - Whether the file changed
+ */
+async function hasAccountsFileChanged() {
+  try {
+    const contents = await fs.readFile(storagePaths.accountsFile, 'utf8');
+    return hashContents(contents) !== lastSyncedHash;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Save accounts data to file.
+ * The write holds an advisory lock so concurrent instances don't interleave.
  * @async
  * @param {Object} data - Data to save
+ * @param {Object} [options] - Save options
+ * @param {Function} [options.onExternalChange] - Called with the document on disk if another
+ *   process changed it since the last read; returns the merged document to write instead
  * @returns {Promise<boolean>} - Whether save was successful
  */
-async function saveAccountsToFile(data) {
+async function saveAccountsToFile(data, options = {}) {
   try {
     // Ensure data directory exists
-    const directory = path.dirname(config.ACCOUNTS_FILE);
+    const directory = path.dirname(storagePaths.accountsFile);
     await fs.mkdir(directory, { recursive: true });
     
-    // Write data to file
-    await fs.writeFile(
-      config.ACCOUNTS_FILE, 
-      JSON.stringify(data, null, 2), 
-      'utf8'
-    );
-    
-    return true;
+    return await withFileLock(storagePaths.accountsFile, async () => {
+      let toSave = data;
+      
+      // Pick up changes another instance made before overwriting them
+      if (options.onExternalChange && await hasAccountsFileChanged()) {
+        const remote = await loadAccountsFromFile();
+        if (remote) {
+          toSave = options.onExternalChange(remote) || data;
+        }
+      }
+      
+      if (writeBlockReason) {
+        logger.error(`Refusing to save accounts: ${writeBlockReason}`);
+        return false;
+      }
+      
+      // Never write plaintext over a vault we can't re-encrypt
+      if (vaultState.enabled && !vaultState.passphrase) {
+        logger.error('Vault is locked. Refusing to save accounts.');
+        return false;
+      }
+      
+      const versioned = { schemaVersion: CURRENT_SCHEMA_VERSION, ...toSave };
+      const document = vaultState.enabled
+        ? await encryptDocument(versioned, vaultState.passphrase)
+        : versioned;
+      const contents = JSON.stringify(document, null, 2);
+      
+      // Keep a copy of the previous version, then swap the new one in atomically
+      await rotateBackups();
+      await writeFileAtomic(storagePaths.accountsFile, contents);
+      lastSyncedHash = hashContents(contents);
+      
+      // Backups taken before the vault was enabled or its passphrase changed
+      if (vaultState.enabled && vaultState.backupsPassphrase !== vaultState.passphrase) {
+        await secureBackups();
+      }
+      
+      return true;
+    });
   } catch (error) {
     logger.error('Error saving accounts to file:', error);
     return false;
@@ -39,14 +428,20 @@ async function saveAccountsToFile(data) {
 
 /**
  * Load accounts data from file
+ * Falls back to the newest valid backup if the file can't be parsed, and
+ * upgrades older schema versions to the current one.
  * @async
- * @returns {Promise<Object|null>} - Loaded data or null if file doesn't exist
+ * @returns {Promise<Object|null>} - Loaded data or null if neither the file nor a backup exists
+ * @throws {Error} - If the file is a vault that can't be unlocked, was written by a newer version,
+ *   or can't be read and wasn't moved aside (code ACCOUNTS_FILE_UNREADABLE)
  */
 async function loadAccountsFromFile() {
+  let document;
   try {
     // Read data from file
-    const data = await fs.readFile(config.ACCOUNTS_FILE, 'utf8');
-    return JSON.parse(data);
+    const data = await fs.readFile(storagePaths.accountsFile, 'utf8');
+    lastSyncedHash = hashContents(data);
+    document = JSON.parse(data);
   } catch (error) {
     // Return null if file doesn't exist
     if (error.code === 'ENOENT') {
@@ -54,13 +449,114 @@ async function loadAccountsFromFile() {
       return null;
     }
     
-    // For any other error, log and return null
     logger.error('Error loading accounts from file:', error);
-    return null;
+    
+    // Only a file that was read but doesn't parse is replaced by a backup, and only
+    // once it has been moved aside. Anything else (permissions, I/O) may be
+    // temporary, so the file is left alone and saves are refused until it can be read.
+    if (!(error instanceof SyntaxError) || !await quarantineFile(storagePaths.accountsFile)) {
+      writeBlockReason = `the accounts file could not be read (${error.message})`;
+      const unreadable = new Error(`Could not read the accounts file: ${error.message}`);
+      unreadable.code = 'ACCOUNTS_FILE_UNREADABLE';
+      throw unreadable;
+    }
+    
+    document = await recoverFromBackup();
+    if (!document) {
+      return null;
+    }
+  }
+  
+  if (isVaultDocument(document)) {
+    // Vault errors are thrown so callers never mistake a locked vault for an empty one
+    vaultState.enabled = true;
+    document = await decryptDocument(document, vaultState.passphrase);
+  } else {
+    setVaultEnabled(false);
+  }
+  
+  try {
+    const result = migrateDocument(document);
+    writeBlockReason = null;
+    
+    if (result.migrated) {
+      logger.info(`Migrated accounts file from schema version ${result.fromVersion} to ${CURRENT_SCHEMA_VERSION}`);
+    }
+    
+    return result.document;
+  } catch (error) {
+    // Don't let a save downgrade a file written by a newer version
+    if (error.code === 'SCHEMA_TOO_NEW') {
+      writeBlockReason = error.message;
+    }
+    throw error;
   }
 }
 
+/**
+ * Check whether the accounts file on disk is an encrypted vault
+ * @async
+ * @returns {Promise<boolean>} - Whether the file is a vault
+ */
+async function isAccountsFileEncrypted() {
+  try {
+    const data = await fs.readFile(storagePaths.accountsFile, 'utf8');
+    return isVaultDocument(JSON.parse(data));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Set the passphrase used to decrypt and encrypt the vault
+ * @param {string} passphrase - Master passphrase
+ */
+function setVaultPassphrase(passphrase) {
+  vaultState.passphrase = passphrase || null;
+}
+
+/**
+ * Forget the vault passphrase. Saves are refused until it is set again.
+ */
+function clearVaultPassphrase() {
+  vaultState.passphrase = null;
+}
+
+/**
+ * Turn vault encryption on or off for subsequent saves
+ * @param {boolean} enabled - Whether saves should be encrypted
+ */
+function setVaultEnabled(enabled) {
+  vaultState.enabled = !!enabled;
+  if (!enabled) {
+    // Plaintext backups will be taken again until the vault is re-enabled
+    vaultState.backupsPassphrase = null;
+  }
+}
+
+/**
+ * Get the current vault status
+ * @returns {{enabled: boolean, locked: boolean}} - Vault status
+ */
+function getVaultStatus() {
+  return {
+    enabled: vaultState.enabled,
+    locked: vaultState.enabled && !vaultState.passphrase
+  };
+}
+
 module.exports = {
+  useAccountsFile,
+  captureFileState,
+  restoreFileState,
   saveAccountsToFile,
-  loadAccountsFromFile
+  loadAccountsFromFile,
+  accountsFileExists,
+  hasAccountsFileChanged,
+  listBackups,
+  isAccountsFileEncrypted,
+  setVaultPassphrase,
+  clearVaultPassphrase,
+  setVaultEnabled,
+  getVaultStatus
 };
\ No newline at end of file
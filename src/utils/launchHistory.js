@@ -0,0 +1,139 @@
+/**
+ * launchHistory.js
+ *
+ * @fileoverview Launch log entries and the usage statistics derived from them.
+ * Every game launch attempt is appended to the account's history; this module
+ * builds those entries and answers questions about them.
+ *
+ */
+
+/**
+ * Ways an account can join a game
+ * @type {Object.<string, string>}
+ */
+const JOIN_TYPES = {
+  GAME: 'game',
+  SERVER: 'server',
+  PRIVATE_SERVER: 'private_server',
+  FOLLOW: 'follow'
+};
+
+/**
+ * Work out how a launch joins its game
+ * @param {string} jobId - Job ID or private server link passed to the launch
+ * @param {boolean} followUser - Whether the launch follows a user
+ * @param {boolean} joinVIP - Whether the launch joins a private server
+ * @returns {string} - One of JOIN_TYPES
+ */
+function getJoinType(jobId, followUser, joinVIP) {
+  if (followUser) {
+    return JOIN_TYPES.FOLLOW;
+  }
+
+  if (joinVIP || (jobId && String(jobId).includes('privateServerLinkCode='))) {
+    return JOIN_TYPES.PRIVATE_SERVER;
+  }
+
+  return jobId ? JOIN_TYPES.SERVER : JOIN_TYPES.GAME;
+}
+
+/**
+ * Build a launch log entry
+ * @param {Object} launch - Launch details
+ * @param {string|number} launch.placeId - Place ID
+ * @param {string} [launch.jobId] - Job ID or private server link
+ * @param {string} launch.joinType - One of JOIN_TYPES
+ * @param {string|number} [launch.followedUserId] - User ID of the followed user, when following a user
+ * @param {boolean} launch.success - Whether Roblox was launched
+ * @param {string} [launch.error] - Why the launch failed
+ * @returns {Object} - History entry
+ */
+function createLaunchEntry({ placeId, jobId, joinType, followedUserId, success, error }) {
+  return {
+    type: 'launch',
+    timestamp: new Date().toISOString(),
+    placeId: String(placeId),
+    jobId: jobId || null,
+    joinType,
+    followedUserId: followedUserId ? String(followedUserId) : null,
+    success: !!success,
+    error: success ? null : (error || 'Unknown error')
+  };
+}
+
+/**
+ * Pick the launch entries out of an account's history
+ * @param {Object[]} history - History entries, oldest first
+ * @returns {Object[]} - Launch entries, oldest first
+ */
+function getLaunchEntries(history) {
+  return history.filter(entry => entry && entry.type === 'launch');
+}
+
+/**
+ * Combine the history of two accounts that turned out to be the same one
+ * @param {Object[]} first - History entries, oldest first
+ * @param {Object[]} second - History entries, oldest first
+ * @returns {Object[]} - All entries, oldest first
+ */
+function combineHistories(first, second) {
+  // Array sort is stable, so entries with the same timestamp keep their order
+  return [...first, ...second]
+    .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+}
+
+/**
+ * Summarize an account's launches
+ * @param {Object[]} history - History entries, oldest first
+ * @param {Object} [options] - Summary options
+ * @param {number} [options.days=30] - Number of days (including today, UTC) to count launches for
+ * @param {number} [options.topPlaces=5] - Number of most played places to list
+ * @returns {Object} - Totals, most played places, launches per day and the last successful launch
+ */
+function summarizeLaunches(history, options = {}) {
+  const days = options.days || 30;
+  const topPlaces = options.topPlaces || 5;
+  const launches = getLaunchEntries(history);
+  const successful = launches.filter(entry => entry.success);
+
+  // Places count successful launches only
+  const placeCounts = new Map();
+  successful.forEach(entry => placeCounts.set(entry.placeId, (placeCounts.get(entry.placeId) || 0) + 1));
+
+  const mostPlayedPlaces = [...placeCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topPlaces)
+    .map(([placeId, count]) => ({ placeId, launches: count }));
+
+  // One bucket per day so days without launches show up as zero
+  const perDay = new Map();
+  const today = new Date();
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - offset));
+    perDay.set(day.toISOString().slice(0, 10), 0);
+  }
+  launches.forEach((entry) => {
+    const day = String(entry.timestamp).slice(0, 10);
+    if (perDay.has(day)) {
+      perDay.set(day, perDay.get(day) + 1);
+    }
+  });
+
+  return {
+    totalLaunches: launches.length,
+    successfulLaunches: successful.length,
+    failedLaunches: launches.length - successful.length,
+    mostPlayedPlaces,
+    launchesPerDay: [...perDay.entries()].map(([date, count]) => ({ date, launches: count })),
+    lastSuccessfulLaunch: successful[successful.length - 1] || null
+  };
+}
+
+module.exports = {
+  JOIN_TYPES,
+  getJoinType,
+  createLaunchEntry,
+  getLaunchEntries,
+  combineHistories,
+  summarizeLaunches
+};
@@ -0,0 +1,123 @@
+/**
+ * migrations.js
+ *
+ * @fileoverview Schema versioning for the stored accounts document.
+ * This module holds the ordered list of migration steps that upgrade older
+ * accounts files to the current schema when they are loaded.
+ *
+ */
+
+const { getAccountKey, mergeDuplicateAccounts } = require('./accountIdentity');
+
+/**
+ * Ordered registry of migration steps.
+ * Each step upgrades a document from `version - 1` to `version` and must
+ * return a new document rather than mutating its input.
+ * @type {Array<{version: number, description: string, up: Function}>}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Wrap the bare account map in an accounts document',
+    up: (doc) => ({
+      accounts: { ...doc },
+      lastUsedPlaceId: null,
+      nextServers: {}
+    })
+  },
+  {
+    version: 2,
+    description: 'Key accounts by Roblox user ID, merging entries that belong to the same user',
+    up: (doc) => {
+      const accounts = {};
+      const renamedKeys = {};
+      
+      Object.entries(doc.accounts || {}).forEach(([oldKey, accountData]) => {
+        const key = getAccountKey(accountData, oldKey);
+        renamedKeys[oldKey] = key;
+        accounts[key] = accounts[key] ? mergeDuplicateAccounts(accounts[key], accountData) : accountData;
+      });
+      
+      const rekey = (map) => {
+        const result = {};
+        Object.entries(map || {}).forEach(([oldKey, value]) => {
+          result[renamedKeys[oldKey] || oldKey] = value;
+        });
+        return result;
+      };
+      
+      const history = {};
+      Object.entries(doc.history || {}).forEach(([oldKey, entries]) => {
+        const key = renamedKeys[oldKey] || oldKey;
+        history[key] = [...(history[key] || []), ...entries];
+      });
+      
+      return {
+        ...doc,
+        accounts,
+        nextServers: rekey(doc.nextServers),
+        ...(doc.history ? { history } : {})
+      };
+    }
+  }
+];
+
+/**
+ * Schema version written by this build
+ * @type {number}
+ */
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Determine the schema version of a stored document
+ * @param {Object} doc - Parsed accounts document
+ * @returns {number} - Schema version
+ */
+function getSchemaVersion(doc) {
+  if (typeof doc.schemaVersion === 'number') {
+    return doc.schemaVersion;
+  }
+
+  // Files written before versioning: the original format was just the account map
+  return doc.accounts ? 1 : 0;
+}
+
+/**
+ * Upgrade a stored document to the current schema version
+ * @param {Object} doc - Parsed accounts document
+ * @returns {{document: Object, fromVersion: number, migrated: boolean}} - Upgraded document
+ * @throws {Error} - If the document was written by a newer version (code SCHEMA_TOO_NEW)
+ */
+function migrateDocument(doc) {
+  const fromVersion = getSchemaVersion(doc);
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    const error = new Error(
+      `Accounts file uses schema version ${fromVersion}, but this version of the ` +
+      `account manager only supports up to version ${CURRENT_SCHEMA_VERSION}. ` +
+      'Please update the application before opening this file.'
+    );
+    error.code = 'SCHEMA_TOO_NEW';
+    throw error;
+  }
+
+  let document = doc;
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach((migration) => {
+      document = migration.up(document);
+    });
+
+  return {
+    document: { ...document, schemaVersion: CURRENT_SCHEMA_VERSION },
+    fromVersion,
+    migrated: fromVersion < CURRENT_SCHEMA_VERSION
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateDocument
+};
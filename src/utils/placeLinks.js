@@ -0,0 +1,121 @@
+/**
+ * placeLinks.js
+ *
+ * @fileoverview Parsing of the ways people refer to a Roblox game.
+ * Accepts place IDs, `universe:<id>`, game URLs (with or without a private
+ * server link code or server instance), `games/start` deep links and share
+ * links. Share links and universe IDs can only be turned into a place ID by
+ * asking Roblox, so this module only says what was given.
+ *
+ */
+
+/**
+ * Kinds of parsed game references
+ * @type {Object.<string, string>}
+ */
+const LINK_TYPES = {
+  PLACE: 'place',
+  UNIVERSE: 'universe',
+  SHARE: 'share'
+};
+
+/**
+ * Share link types Roblox resolves to a game
+ * @type {string[]}
+ */
+const SHARE_TYPES = ['Server', 'ExperienceDetails', 'ExperienceInvite'];
+
+/**
+ * Build the error thrown for input that isn't a game reference
+ * @param {string} message - What is wrong with the input
+ * @returns {Error} - Error with code INVALID_GAME_LINK
+ * @private
+ */
+function linkError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_GAME_LINK';
+  return error;
+}
+
+/**
+ * Check whether text is a positive whole number
+ * @param {string} text - Text to check
+ * @returns {boolean} - Whether the text is an ID
+ * @private
+ */
+function isId(text) {
+  return /^\d+$/.test(String(text || ''));
+}
+
+/**
+ * Parse a game reference
+ * @param {string} input - Place ID, `universe:<id>`, game URL, deep link or share link
+ * @returns {Object} - `{type, placeId?, universeId?, jobId?, linkCode?, shareCode?, shareType?}`.
+ *   A bare number is a place ID (`fromNumber` is set, since it may be a universe ID instead).
+ * @throws {Error} - With code INVALID_GAME_LINK if the input can't be parsed
+ */
+function parseGameLink(input) {
+  const text = String(input || '').trim();
+  if (!text) {
+    throw linkError('A place ID or game link is required');
+  }
+
+  if (isId(text)) {
+    return { type: LINK_TYPES.PLACE, placeId: text, fromNumber: true };
+  }
+
+  const universe = text.match(/^universe[:/](\d+)$/i);
+  if (universe) {
+    return { type: LINK_TYPES.UNIVERSE, universeId: universe[1] };
+  }
+
+  // Accept links without a scheme (www.roblox.com/games/...) too
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z\d+.-]*:/i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    throw linkError(`"${text}" is not a place ID or game link`);
+  }
+
+  // roblox://placeId=...&gameInstanceId=... has its parameters where the host would be
+  const params = url.protocol === 'roblox:' && !url.search
+    ? new URLSearchParams(text.replace(/^roblox:\/\//i, ''))
+    : url.searchParams;
+  const path = url.protocol === 'roblox:' ? `/${url.hostname}${url.pathname}` : url.pathname;
+
+  if (/^\/share(-links)?\/?$/i.test(path)) {
+    const shareCode = params.get('code');
+    const shareType = params.get('type');
+    if (!shareCode || !shareType) {
+      throw linkError('Share links need both a code and a type');
+    }
+    const knownType = SHARE_TYPES.find(type => type.toLowerCase() === shareType.toLowerCase());
+    if (!knownType) {
+      throw linkError(`Share links of type "${shareType}" don't lead to a game`);
+    }
+    return { type: LINK_TYPES.SHARE, shareCode, shareType: knownType };
+  }
+
+  // /games/<placeId>/<name>, optionally with a private server link code
+  const game = path.match(/^\/(?:[a-z]{2}\/)?games\/(\d+)/i);
+  // /games/start?placeId=...&gameInstanceId=... and roblox://placeId=... deep links
+  const placeId = game ? game[1] : (params.get('placeId') || params.get('placeid'));
+  if (!isId(placeId)) {
+    throw linkError(`"${text}" is not a place ID or game link`);
+  }
+
+  const linkCode = params.get('privateServerLinkCode');
+  const jobId = params.get('gameInstanceId') || params.get('gameId') || params.get('jobId');
+  return {
+    type: LINK_TYPES.PLACE,
+    placeId,
+    ...(linkCode ? { linkCode } : {}),
+    ...(jobId && !linkCode ? { jobId } : {})
+  };
+}
+
+module.exports = {
+  LINK_TYPES,
+  SHARE_TYPES,
+  parseGameLink
+};
@@ -0,0 +1,37 @@
+/**
+ * prompt.js
+ *
+ * @fileoverview Terminal prompt helpers shared by the CLI and the account manager.
+ *
+ */
+
+/**
+ * Ask a question without echoing the answer, e.g. for a vault passphrase
+ * @param {Object} rl - Readline interface to ask on
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} - Entered answer
+ */
+function questionMasked(rl, question) {
+  return new Promise((resolve) => {
+    const ownWriter = Object.prototype.hasOwnProperty.call(rl, '_writeToOutput') ? rl._writeToOutput : null;
+
+    // Only the prompt itself is written; typed characters are swallowed
+    rl._writeToOutput = (text) => {
+      rl.output.write(text.startsWith(question) ? question : '');
+    };
+
+    rl.question(question, (answer) => {
+      if (ownWriter) {
+        rl._writeToOutput = ownWriter;
+      } else {
+        delete rl._writeToOutput;
+      }
+      rl.output.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+module.exports = {
+  questionMasked
+};
@@ -0,0 +1,157 @@
+/**
+ * rateLimiter.js
+ *
+ * @fileoverview Token-bucket rate limiting for outgoing requests.
+ * A bucket holds up to `burst` tokens and refills at `perSecond` tokens per
+ * second; every request takes one token and waits when the bucket is empty.
+ *
+ */
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * A single token bucket
+ * @class
+ */
+class TokenBucket {
+  /**
+   * Create a new TokenBucket instance
+   * @constructor
+   * @param {Object} limit - Bucket size and refill rate
+   * @param {number} limit.burst - Most requests allowed back-to-back
+   * @param {number} limit.perSecond - Sustained requests per second
+   */
+  constructor(limit) {
+    /**
+     * Most tokens the bucket holds
+     * @type {number}
+     * @private
+     */
+    this.burst = Math.max(1, limit.burst);
+
+    /**
+     * Tokens added per millisecond
+     * @type {number}
+     * @private
+     */
+    this.refillPerMs = limit.perSecond / 1000;
+
+    /**
+     * Tokens available at `updatedAt`
+     * @type {number}
+     * @private
+     */
+    this.tokens = this.burst;
+
+    /**
+     * When `tokens` was last brought up to date
+     * @type {number}
+     * @private
+     */
+    this.updatedAt = Date.now();
+
+    /**
+     * Callers waiting for a token, served in order
+     * @type {Promise<void>}
+     * @private
+     */
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Take a token, waiting until one is available
+   * @async
+   * @returns {Promise<void>}
+   */
+  take() {
+    const turn = this.queue.then(() => this._take());
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Wait for and take a token
+   * @async
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _take() {
+    this._refill();
+
+    if (this.tokens < 1) {
+      await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs));
+      this._refill();
+    }
+
+    this.tokens -= 1;
+  }
+
+  /**
+   * Add the tokens earned since the last update
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+}
+
+/**
+ * Token buckets by name, e.g. one per endpoint family
+ * @class
+ */
+class RateLimiter {
+  /**
+   * Create a new RateLimiter instance
+   * @constructor
+   * @param {Object.<string, {burst: number, perSecond: number}>} limits - Limit for each bucket name
+   */
+  constructor(limits) {
+    /**
+     * Limit for each bucket name
+     * @type {Object.<string, {burst: number, perSecond: number}>}
+     * @private
+     */
+    this.limits = limits;
+
+    /**
+     * Buckets by name, created on first use
+     * @type {Map<string, TokenBucket>}
+     * @private
+     */
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take a token from a bucket, waiting until one is available.
+   * Names without a configured limit are not limited.
+   * @async
+   * @param {string} name - Bucket name
+   * @returns {Promise<void>}
+   */
+  async take(name) {
+    if (!this.limits[name]) {
+      return;
+    }
+
+    if (!this.buckets.has(name)) {
+      this.buckets.set(name, new TokenBucket(this.limits[name]));
+    }
+
+    await this.buckets.get(name).take();
+  }
+}
+
+module.exports = {
+  sleep,
+  TokenBucket,
+  RateLimiter
+};
@@ -0,0 +1,180 @@
+/**
+ * robloxErrors.js
+ *
+ * @fileoverview Errors thrown by the Roblox HTTP client.
+ * Each error carries a `code` so callers can tell failures apart the same way
+ * they do elsewhere (e.g. `error.code === 'ROBLOX_UNAUTHORIZED'`).
+ *
+ */
+
+/**
+ * A request to Roblox failed
+ * @class
+ * @extends Error
+ */
+class RobloxApiError extends Error {
+  /**
+   * Create a new RobloxApiError
+   * @constructor
+   * @param {string} message - What went wrong
+   * @param {Object} [details] - Error details
+   * @param {number|null} [details.status] - HTTP status, if Roblox responded
+   * @param {string} [details.url] - Requested URL
+   * @param {Array<{code: number, message: string}>} [details.errors] - Errors listed in the response body
+   * @param {string} [details.code='ROBLOX_API_ERROR'] - Error code
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+
+    /**
+     * Error code
+     * @type {string}
+     */
+    this.code = details.code || 'ROBLOX_API_ERROR';
+
+    /**
+     * HTTP status, or null if no response was received
+     * @type {number|null}
+     */
+    this.status = details.status !== undefined ? details.status : null;
+
+    /**
+     * Requested URL
+     * @type {string|null}
+     */
+    this.url = details.url || null;
+
+    /**
+     * Errors listed in the response body
+     * @type {Array<{code: number, message: string}>}
+     */
+    this.errors = details.errors || [];
+  }
+}
+
+/**
+ * Roblox rejected the cookie (HTTP 401)
+ * @class
+ * @extends RobloxApiError
+ */
+class RobloxAuthError extends RobloxApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'ROBLOX_UNAUTHORIZED' });
+  }
+}
+
+/**
+ * Roblox refused the request, even after refreshing the CSRF token (HTTP 403)
+ * @class
+ * @extends RobloxApiError
+ */
+class RobloxForbiddenError extends RobloxApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'ROBLOX_FORBIDDEN' });
+  }
+}
+
+/**
+ * Roblox is rate limiting requests (HTTP 429) and kept doing so after backing off
+ * @class
+ * @extends RobloxApiError
+ */
+class RobloxRateLimitError extends RobloxApiError {
+  /**
+   * Create a new RobloxRateLimitError
+   * @constructor
+   * @param {string} message - What went wrong
+   * @param {Object} [details] - Error details (see RobloxApiError)
+   * @param {number|null} [details.retryAfterMs] - How long Roblox asked to wait, if it said
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'ROBLOX_RATE_LIMITED' });
+
+    /**
+     * How long Roblox asked to wait before trying again, in milliseconds
+     * @type {number|null}
+     */
+    this.retryAfterMs = details.retryAfterMs !== undefined ? details.retryAfterMs : null;
+  }
+}
+
+/**
+ * Roblox did not respond in time
+ * @class
+ * @extends RobloxApiError
+ */
+class RobloxTimeoutError extends RobloxApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'ROBLOX_TIMEOUT' });
+  }
+}
+
+/**
+ * Roblox could not be reached
+ * @class
+ * @extends RobloxApiError
+ */
+class RobloxNetworkError extends RobloxApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'ROBLOX_NETWORK_ERROR' });
+  }
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Header value: a number of seconds or an HTTP date
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number|null} - Milliseconds to wait, or null if the header is missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const time = Date.parse(value);
+  return isNaN(time) ? null : Math.max(0, time - now);
+}
+
+/**
+ * Build the error for an unsuccessful response
+ * @param {number} status - HTTP status
+ * @param {string} url - Requested URL
+ * @param {*} body - Parsed response body (JSON object or text)
+ * @param {Object} [headers] - Response headers
+ * @returns {RobloxApiError} - Error matching the status
+ */
+function errorFromResponse(status, url, body, headers) {
+  // Roblox APIs answer with {errors: [{code, message}]}
+  const errors = body && Array.isArray(body.errors) ? body.errors : [];
+  const detail = errors.map(error => error.message).filter(Boolean).join('; ');
+  const message = `Roblox responded with HTTP ${status}${detail ? `: ${detail}` : ''}`;
+
+  if (status === 401) {
+    return new RobloxAuthError(message, { status, url, errors });
+  }
+  if (status === 429) {
+    const retryAfterMs = parseRetryAfter(headers ? headers.get('retry-after') : null);
+    const wait = retryAfterMs !== null ? ` Try again in ${Math.ceil(retryAfterMs / 1000)} s.` : ' Try again later.';
+    return new RobloxRateLimitError(`Roblox is rate limiting requests.${wait}`, { status, url, errors, retryAfterMs });
+  }
+  if (status === 403) {
+    return new RobloxForbiddenError(message, { status, url, errors });
+  }
+  return new RobloxApiError(message, { status, url, errors });
+}
+
+module.exports = {
+  RobloxApiError,
+  RobloxAuthError,
+  RobloxForbiddenError,
+  RobloxRateLimitError,
+  RobloxTimeoutError,
+  RobloxNetworkError,
+  parseRetryAfter,
+  errorFromResponse
+};
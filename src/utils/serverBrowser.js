@@ -0,0 +1,121 @@
+/**
+ * serverBrowser.js
+ *
+ * @fileoverview Picking a public server to join.
+ * Servers come from the games API as `{jobId, playing, maxPlayers, ping, fps}`;
+ * a join strategy decides which one an account should be sent to.
+ *
+ */
+
+/**
+ * Ways to pick a server
+ * @type {Object.<string, string>}
+ */
+const JOIN_STRATEGIES = {
+  SMALLEST: 'smallest',
+  LARGEST: 'largest',
+  JOB_ID: 'jobid',
+  RANDOM: 'random'
+};
+
+/**
+ * Build the error thrown when no server can be picked
+ * @param {string} message - Why no server was picked
+ * @param {string} code - Error code
+ * @returns {Error} - Error with the code set
+ * @private
+ */
+function browserError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether a server has room for another player
+ * @param {Object} server - Server entry
+ * @returns {boolean} - Whether the server is not full
+ */
+function hasRoom(server) {
+  return server.playing < server.maxPlayers;
+}
+
+/**
+ * Normalize a strategy name
+ * @param {string} strategy - Strategy name, case-insensitive
+ * @returns {string|null} - One of JOIN_STRATEGIES, or null if the name is unknown
+ */
+function parseStrategy(strategy) {
+  const name = String(strategy || '').toLowerCase();
+  return Object.values(JOIN_STRATEGIES).includes(name) ? name : null;
+}
+
+/**
+ * Pick a server to join
+ * @param {Object[]} servers - Public servers
+ * @param {string} strategy - One of JOIN_STRATEGIES
+ * @param {Object} [options] - Strategy options
+ * @param {string} [options.jobId] - Server to join (JOB_ID)
+ * @param {string} [options.currentJobId] - Server the account is in, which RANDOM won't pick
+ * @param {Function} [options.random=Math.random] - Random number source (RANDOM)
+ * @returns {Object} - Server entry
+ * @throws {Error} - With code INVALID_STRATEGY, SERVER_NOT_FOUND, SERVER_FULL or NO_SERVERS
+ */
+function pickServer(servers, strategy, options = {}) {
+  switch (parseStrategy(strategy)) {
+    case JOIN_STRATEGIES.JOB_ID: {
+      if (!options.jobId) {
+        throw browserError('A Job ID is required for this strategy', 'INVALID_STRATEGY');
+      }
+      const server = servers.find(candidate => candidate.jobId === options.jobId);
+      if (!server) {
+        throw browserError(`Server ${options.jobId} is not among the public servers`, 'SERVER_NOT_FOUND');
+      }
+      if (!hasRoom(server)) {
+        throw browserError(`Server ${options.jobId} is full`, 'SERVER_FULL');
+      }
+      return server;
+    }
+
+    case JOIN_STRATEGIES.SMALLEST: {
+      // Fewest players first, then lowest ping
+      const [server] = servers.filter(hasRoom)
+        .sort((a, b) => a.playing - b.playing || (a.ping || 0) - (b.ping || 0));
+      if (!server) {
+        throw browserError('Every public server is full', 'NO_SERVERS');
+      }
+      return server;
+    }
+
+    case JOIN_STRATEGIES.LARGEST: {
+      const [server] = servers.filter(hasRoom)
+        .sort((a, b) => b.playing - a.playing || (a.ping || 0) - (b.ping || 0));
+      if (!server) {
+        throw browserError('Every public server is full', 'NO_SERVERS');
+      }
+      return server;
+    }
+
+    case JOIN_STRATEGIES.RANDOM: {
+      const candidates = servers.filter(server => hasRoom(server) && server.jobId !== options.currentJobId);
+      if (candidates.length === 0) {
+        throw browserError('There is no other public server with room', 'NO_SERVERS');
+      }
+      const random = options.random || Math.random;
+      return candidates[Math.floor(random() * candidates.length)];
+    }
+
+    default:
+      throw browserError(
+        `Unknown join strategy "${strategy}". Use one of: ${Object.values(JOIN_STRATEGIES).join(', ')}`,
+        'INVALID_STRATEGY'
+      );
+  }
+}
+
+module.exports = {
+  JOIN_STRATEGIES,
+  hasRoom,
+  parseStrategy,
+  pickServer
+};
@@ -0,0 +1,131 @@
+/**
+ * vault.js
+ *
+ * @fileoverview Encryption helpers for the account vault.
+ * This module encrypts and decrypts the accounts document with a key
+ * derived from a master passphrase (scrypt + AES-256-GCM).
+ *
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Current vault format version
+ * @type {number}
+ */
+const VAULT_VERSION = 1;
+
+/**
+ * Cipher and key derivation parameters
+ * @type {Object}
+ */
+const VAULT_PARAMS = {
+  cipher: 'aes-256-gcm',
+  keyLength: 32,
+  saltLength: 16,
+  ivLength: 12,
+  scrypt: { N: 16384, r: 8, p: 1 }
+};
+
+/**
+ * Check whether a parsed document is an encrypted vault
+ * @param {Object|null} doc - Parsed accounts file contents
+ * @returns {boolean} - Whether the document is a vault
+ */
+function isVaultDocument(doc) {
+  return !!(doc && doc.vault && typeof doc.vault.ciphertext === 'string');
+}
+
+/**
+ * Derive an encryption key from a passphrase
+ * @async
+ * @param {string} passphrase - Master passphrase
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt cost parameters
+ * @returns {Promise<Buffer>} - Derived key
+ * @private
+ */
+async function deriveKey(passphrase, salt, params) {
+  return scrypt(passphrase, salt, VAULT_PARAMS.keyLength, params);
+}
+
+/**
+ * Encrypt a plain accounts document into vault format
+ * @async
+ * @param {Object} data - Plain accounts document
+ * @param {string} passphrase - Master passphrase
+ * @returns {Promise<Object>} - Vault document ready to be written to disk
+ */
+async function encryptDocument(data, passphrase) {
+  if (!passphrase) {
+    throw new Error('A passphrase is required to encrypt the vault');
+  }
+
+  const salt = crypto.randomBytes(VAULT_PARAMS.saltLength);
+  const iv = crypto.randomBytes(VAULT_PARAMS.ivLength);
+  const key = await deriveKey(passphrase, salt, VAULT_PARAMS.scrypt);
+
+  const cipher = crypto.createCipheriv(VAULT_PARAMS.cipher, key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(data), 'utf8'),
+    cipher.final()
+  ]);
+
+  return {
+    vault: {
+      version: VAULT_VERSION,
+      kdf: 'scrypt',
+      kdfParams: VAULT_PARAMS.scrypt,
+      cipher: VAULT_PARAMS.cipher,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    }
+  };
+}
+
+/**
+ * Decrypt a vault document back into the plain accounts document
+ * @async
+ * @param {Object} doc - Vault document as read from disk
+ * @param {string} passphrase - Master passphrase
+ * @returns {Promise<Object>} - Plain accounts document
+ * @throws {Error} - If the passphrase is wrong or the vault is damaged
+ */
+async function decryptDocument(doc, passphrase) {
+  if (!passphrase) {
+    throw new Error('Vault is locked. A passphrase is required.');
+  }
+
+  const vault = doc.vault;
+  if (vault.version > VAULT_VERSION) {
+    throw new Error(`Unsupported vault version ${vault.version}`);
+  }
+
+  const salt = Buffer.from(vault.salt, 'base64');
+  const iv = Buffer.from(vault.iv, 'base64');
+  const key = await deriveKey(passphrase, salt, vault.kdfParams || VAULT_PARAMS.scrypt);
+
+  try {
+    const decipher = crypto.createDecipheriv(vault.cipher || VAULT_PARAMS.cipher, key, iv);
+    decipher.setAuthTag(Buffer.from(vault.authTag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(vault.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    // GCM auth failures don't say why, but a wrong passphrase is by far the likeliest cause
+    throw new Error('Failed to unlock vault: wrong passphrase or damaged file');
+  }
+}
+
+module.exports = {
+  isVaultDocument,
+  encryptDocument,
+  decryptDocument
+};
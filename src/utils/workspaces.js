@@ -0,0 +1,78 @@
+/**
+ * workspaces.js
+ * 
+ * @fileoverview Helpers for named workspaces.
+ * A workspace is an independent account roster; each one keeps its own
+ * accounts store, last used place and next servers.
+ * 
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * Name of the workspace that uses the original data paths
+ * @type {string}
+ */
+const DEFAULT_WORKSPACE = 'default';
+
+/**
+ * Check whether a workspace name is safe to use as a directory name
+ * @param {string} name - Workspace name
+ * @returns {boolean} - Whether the name is valid
+ */
+function isValidWorkspaceName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(name);
+}
+
+/**
+ * Get the storage paths for a workspace
+ * @param {string} name - Workspace name
+ * @returns {{accountsFile: string, backupDirectory: string, sqliteFile: string}} - Storage paths
+ */
+function getWorkspacePaths(name) {
+  if (name === DEFAULT_WORKSPACE) {
+    return {
+      accountsFile: config.ACCOUNTS_FILE,
+      backupDirectory: config.BACKUP.DIRECTORY,
+      sqliteFile: config.STORAGE.SQLITE_FILE
+    };
+  }
+  
+  const directory = path.join(config.WORKSPACE.DIRECTORY, name);
+  return {
+    accountsFile: path.join(directory, 'accounts.json'),
+    backupDirectory: path.join(directory, 'backups'),
+    sqliteFile: path.join(directory, 'accounts.db')
+  };
+}
+
+/**
+ * List all existing workspaces
+ * @async
+ * @returns {Promise<string[]>} - Workspace names, default first
+ */
+async function listWorkspaces() {
+  try {
+    const entries = await fs.readdir(config.WORKSPACE.DIRECTORY, { withFileTypes: true });
+    const names = entries
+      .filter(entry => entry.isDirectory() && isValidWorkspaceName(entry.name) && entry.name !== DEFAULT_WORKSPACE)
+      .map(entry => entry.name)
+      .sort();
+    return [DEFAULT_WORKSPACE, ...names];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error listing workspaces:', error);
+    }
+    return [DEFAULT_WORKSPACE];
+  }
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE,
+  isValidWorkspaceName,
+  getWorkspacePaths,
+  listWorkspaces
+};
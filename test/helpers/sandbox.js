@@ -0,0 +1,95 @@
+/**
+ * sandbox.js
+ *
+ * @fileoverview Test helpers that run the account manager against the fake Roblox server.
+ * Configuration is read once when src/utils/config is first loaded, so a test
+ * file must call startSandbox before it requires anything from src.
+ *
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Find a free local port
+ * @async
+ * @returns {Promise<number>} - Port number
+ * @private
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start a fake Roblox server and point the app's configuration at it.
+ * Accounts are kept in a temporary directory that stop() removes.
+ * @async
+ * @param {Object} [options] - FakeRobloxServer options (fixtures)
+ * @returns {Promise<{server: FakeRobloxServer, directory: string, stop: Function}>} - Running sandbox
+ */
+async function startSandbox(options = {}) {
+  const port = await freePort();
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'roblox-account-manager-test-'));
+
+  Object.assign(process.env, {
+    SANDBOX: 'true',
+    SANDBOX_PORT: String(port),
+    SESSION_MONITOR: 'false',
+    WATCH_STORAGE: 'false',
+    ENABLE_API: 'false',
+    QUIET_MODE: 'true',
+    LOG_LEVEL: 'warn',
+    WRITE_DELAY_MS: '0',
+    ROBLOX_BACKOFF_BASE_MS: '10'
+  });
+  process.chdir(directory);
+
+  const { FakeRobloxServer } = require('../../src/sandbox/FakeRobloxServer');
+  const server = new FakeRobloxServer({ ...options, port });
+  await server.start();
+
+  return {
+    server,
+    directory,
+    async stop() {
+      await server.stop();
+      process.chdir(os.tmpdir());
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Create and initialize an account manager, optionally adding sandbox accounts
+ * @async
+ * @param {string[]} [cookies=[]] - Sandbox cookies to add accounts with
+ * @returns {Promise<RobloxAccountManager>} - Initialized manager; close() it when done
+ */
+async function startManager(cookies = []) {
+  const { RobloxAccountManager } = require('../../src/RobloxAccountManager');
+  const manager = new RobloxAccountManager();
+  await manager.initialize({ startApi: false });
+
+  for (const cookie of cookies) {
+    const result = await manager.importCookie(cookie);
+    if (!result.success) {
+      throw new Error(`Could not add sandbox account: ${result.message}`);
+    }
+  }
+
+  return manager;
+}
+
+module.exports = {
+  startSandbox,
+  startManager
+};
@@ -0,0 +1,63 @@
+/**
+ * accountKeys.test.js
+ *
+ * @fileoverview Moving accounts to their user ID key, and what moves with them.
+ *
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startSandbox, startManager } = require('../helpers/sandbox');
+
+let sandbox;
+let manager;
+
+before(async () => {
+  sandbox = await startSandbox();
+  manager = await startManager(['SANDBOX-COOKIE-1']);
+});
+
+after(async () => {
+  await manager.close();
+  await sandbox.stop();
+});
+
+/**
+ * Import an account without a user ID, so it is keyed by the given username
+ * @async
+ * @param {string} username - Username to store it under
+ * @param {string} cookie - Sandbox cookie
+ * @returns {Promise<void>}
+ */
+async function importWithoutUserId(username, cookie) {
+  const content = JSON.stringify([{ Username: username, SecurityToken: cookie }]);
+  const result = await manager.importAccounts(content, { format: 'ram' });
+  assert.deepStrictEqual(result.added, [username]);
+}
+
+test('an account that learns its user ID keeps its launch history', async () => {
+  await importWithoutUserId('SandboxPlayer2', 'SANDBOX-COOKIE-2');
+  await manager.launchGame('SandboxPlayer2', '1818');
+  manager.setNextServerForAccount('SandboxPlayer2', '1818', 'job-next');
+
+  const key = manager.syncAccountIdentity('SandboxPlayer2', { id: 1000002, name: 'SandboxPlayer2' });
+  await manager.flush();
+
+  assert.strictEqual(key, '1000002');
+  const history = await manager.getLaunchHistory('1000002');
+  assert.deepStrictEqual(history.map(entry => entry.placeId), ['1818']);
+  assert.deepStrictEqual(await manager.storage.getHistory('SandboxPlayer2'), []);
+  assert.strictEqual(manager.nextServers.get('1000002').jobId, 'job-next');
+});
+
+test('merging a renamed duplicate into an existing account combines their launch history', async () => {
+  await manager.launchGame('SandboxPlayer1', '1818');
+  await importWithoutUserId('OldPlayerName', 'SANDBOX-COOKIE-1');
+  await manager.launchGame('OldPlayerName', '4924922222');
+
+  manager.syncAccountIdentity('OldPlayerName', { id: 1000001, name: 'SandboxPlayer1' });
+
+  assert.strictEqual(manager.resolveAccountKey('OldPlayerName'), null);
+  const history = await manager.getLaunchHistory('1000001');
+  assert.deepStrictEqual(history.map(entry => entry.placeId), ['4924922222', '1818']);
+});
@@ -0,0 +1,111 @@
+/**
+ * follow.test.js
+ *
+ * @fileoverview Following another user into their game, against the fake Roblox server.
+ *
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startSandbox, startManager } = require('../helpers/sandbox');
+
+let sandbox;
+let manager;
+
+before(async () => {
+  sandbox = await startSandbox();
+  manager = await startManager(['SANDBOX-COOKIE-1']);
+});
+
+after(async () => {
+  await manager.close();
+  await sandbox.stop();
+});
+
+test('joins the server a user is playing in, looked up by username', async () => {
+  const friend = sandbox.server.joins.find(join => join.userId === 1000004);
+
+  const result = await manager.followUser('SandboxPlayer1', 'sandboxfriend');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.deepStrictEqual(result.target, {
+    userId: '1000004',
+    username: 'SandboxFriend',
+    placeId: String(friend.placeId),
+    jobId: friend.jobId
+  });
+  const join = sandbox.server.joins[sandbox.server.joins.length - 1];
+  assert.strictEqual(join.userId, 1000001);
+  assert.strictEqual(join.request, 'RequestFollowUser');
+  assert.strictEqual(join.jobId, friend.jobId);
+});
+
+test('logs the place and server joined, not the followed user, in launch history', async () => {
+  const friend = sandbox.server.joins.find(join => join.userId === 1000004);
+
+  await manager.followUser('SandboxPlayer1', 'SandboxFriend');
+
+  const [entry] = await manager.getLaunchHistory('SandboxPlayer1', 1);
+  assert.strictEqual(entry.joinType, 'follow');
+  assert.strictEqual(entry.placeId, String(friend.placeId));
+  assert.strictEqual(entry.jobId, friend.jobId);
+  assert.strictEqual(entry.followedUserId, '1000004');
+  assert.strictEqual(entry.success, true);
+});
+
+test('caches username lookups', async () => {
+  const lookups = () => sandbox.server.requests.filter(request => request.path === '/users/v1/usernames/users').length;
+  const sent = lookups();
+
+  await manager.followUser('SandboxPlayer1', 'SandboxBrowser');
+  await manager.followUser('SandboxPlayer1', 'sandboxbrowser');
+
+  assert.strictEqual(lookups() - sent, 1);
+});
+
+test('follows by user ID without a lookup', async () => {
+  const result = await manager.followUser('SandboxPlayer1', 'id:1000004');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.target.userId, '1000004');
+  assert.strictEqual(result.target.username, null);
+});
+
+test('does not remember the followed user as the last used place', async () => {
+  const { lastUsedPlaceId } = manager;
+
+  await manager.followUser('SandboxPlayer1', 'SandboxFriend');
+
+  assert.strictEqual(manager.lastUsedPlaceId, lastUsedPlaceId);
+});
+
+test('explains why a user cannot be followed', async () => {
+  const cases = {
+    SandboxHermit: /privacy settings don't let SandboxPlayer1 join them/,
+    SandboxBrowser: /is online but not in a game/,
+    SandboxPlayer3: /is offline/,
+    NoSuchUser: /No Roblox user is named "NoSuchUser"/,
+    SandboxPlayer1: /can't follow itself/
+  };
+  const joins = sandbox.server.joins.length;
+
+  for (const [username, message] of Object.entries(cases)) {
+    const result = await manager.followUser('SandboxPlayer1', username);
+    assert.strictEqual(result.success, false, username);
+    assert.match(result.message, message);
+  }
+  assert.strictEqual(sandbox.server.joins.length, joins, 'nothing was launched');
+});
+
+test('reports a rate limited presence check', async () => {
+  sandbox.server.rateLimit('/presence/v1/presence/users', { times: Infinity, retryAfter: 0 });
+
+  try {
+    const result = await manager.followUser('SandboxPlayer1', 'SandboxFriend');
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.rateLimited, true);
+  } finally {
+    sandbox.server.rateLimits = [];
+  }
+});
@@ -0,0 +1,134 @@
+/**
+ * placeLinks.test.js
+ *
+ * @fileoverview Resolving place IDs, universe IDs, game links, private server links
+ * and share links to a place, against the fake Roblox server.
+ *
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startSandbox, startManager } = require('../helpers/sandbox');
+
+let sandbox;
+let manager;
+
+before(async () => {
+  sandbox = await startSandbox();
+  manager = await startManager(['SANDBOX-COOKIE-1']);
+});
+
+after(async () => {
+  await manager.close();
+  await sandbox.stop();
+});
+
+const resolve = input => manager.resolvePlace('SandboxPlayer1', input);
+
+test('resolves a place ID and looks up its name', async () => {
+  const result = await resolve('1818');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.placeId, '1818');
+  assert.strictEqual(result.placeName, 'Sandbox Crossroads');
+  assert.strictEqual(result.universeId, '18180');
+  assert.strictEqual(result.launchJobId, '');
+});
+
+test('resolves a bare number that is a universe ID to its root place', async () => {
+  const result = await resolve('1686885941');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.placeId, '4924922222');
+  assert.strictEqual(result.placeName, 'Sandbox Brookhaven');
+});
+
+test('resolves universe:<id>', async () => {
+  const result = await resolve('universe:18180');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.placeId, '1818');
+});
+
+test('resolves a game URL', async () => {
+  const result = await resolve('https://www.roblox.com/games/4924922222/Brookhaven-RP');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.placeId, '4924922222');
+});
+
+test('keeps the server of a games/start deep link', async () => {
+  const result = await resolve('https://www.roblox.com/games/start?placeId=1818&gameInstanceId=abc-123');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.placeId, '1818');
+  assert.strictEqual(result.jobId, 'abc-123');
+  assert.strictEqual(result.launchJobId, 'abc-123');
+});
+
+test('launches a private server link into the private server', async () => {
+  const result = await resolve('https://www.roblox.com/games/1818/Crossroads?privateServerLinkCode=SANDBOX-LINK');
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.launchJobId, 'privateServerLinkCode=SANDBOX-LINK');
+
+  const launch = await manager.launchGame('SandboxPlayer1', result.placeId, result.launchJobId);
+
+  assert.strictEqual(launch.success, true, launch.message);
+  const join = sandbox.server.joins[sandbox.server.joins.length - 1];
+  assert.strictEqual(join.request, 'RequestPrivateGame');
+  assert.strictEqual(join.placeId, 1818);
+});
+
+test('resolves a server share link to its private server', async () => {
+  const result = await resolve('https://www.roblox.com/share?code=SANDBOX-SHARE-SERVER&type=Server');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.placeId, '1818');
+  assert.strictEqual(result.linkCode, 'SANDBOX-LINK');
+});
+
+test('resolves a game share link to its place', async () => {
+  const result = await resolve('https://www.roblox.com/share?code=SANDBOX-SHARE-GAME&type=ExperienceDetails');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.placeId, '4924922222');
+  assert.strictEqual(result.launchJobId, '');
+});
+
+test('reports an unknown share link', async () => {
+  const result = await resolve('https://www.roblox.com/share?code=NOPE&type=Server');
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.message, /invalid or has expired/);
+});
+
+test('launches a number Roblox has no place or universe for as a place ID, with a warning', async () => {
+  // Unlisted, private and unreleased places have no public details
+  const result = await resolve('424242');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.placeId, '424242');
+  assert.strictEqual(result.placeName, null);
+  assert.strictEqual(result.universeId, null);
+  assert.match(result.warning, /Could not confirm that 424242 is a place/);
+});
+
+test('does not warn about places it found', async () => {
+  const result = await resolve('1818');
+
+  assert.strictEqual(result.warning, null);
+});
+
+test('still reports a game link to a place that does not exist', async () => {
+  const result = await resolve('https://www.roblox.com/games/424242/Gone');
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.message, /Place 424242 does not exist/);
+});
+
+test('rejects input that is not a game reference', async () => {
+  const result = await resolve('https://example.com/not-a-game');
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.message, /is not a place ID or game link/);
+});
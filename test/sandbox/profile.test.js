@@ -0,0 +1,194 @@
+/**
+ * profile.test.js
+ *
+ * @fileoverview Refreshing cached profile details through the API service, the
+ * manager and the /GetProfile route, against the fake Roblox server.
+ *
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startSandbox, startManager } = require('../helpers/sandbox');
+
+let sandbox;
+let manager;
+let config;
+let PROFILE_FIELDS;
+
+/**
+ * Profile details of SandboxPlayer1 in the fake server's fixtures
+ * @type {Object}
+ */
+let EXPECTED;
+
+before(async () => {
+  sandbox = await startSandbox();
+  manager = await startManager(['SANDBOX-COOKIE-1']);
+  ({ config } = require('../../src/utils/config'));
+  ({ PROFILE_FIELDS } = require('../../src/models/Account'));
+  await manager.startApiServer(0);
+
+  EXPECTED = {
+    displayName: 'Sandbox Player 1',
+    created: '2020-01-01T00:00:00.000Z',
+    headshotUrl: `${sandbox.server.baseUrl}/thumbnails/headshots/1000001.png`,
+    isPremium: true,
+    emailVerified: true,
+    robux: 250
+  };
+});
+
+after(async () => {
+  await manager.close();
+  await sandbox.stop();
+});
+
+/**
+ * Make the next fetch of the Robux balance fail with HTTP 429, retries included
+ */
+function failNextRobuxFetch() {
+  sandbox.server.rateLimit('/economy/v1/users', { times: config.ROBLOX_HTTP.MAX_RETRIES + 1 });
+}
+
+/**
+ * Call the API server
+ * @async
+ * @param {string} route - Route with its query, without the password
+ * @returns {Promise<Response>} - Response
+ */
+function callApi(route) {
+  const { port } = manager.apiInterface.server.address();
+  return fetch(`http://127.0.0.1:${port}${route}&Password=${encodeURIComponent(config.API.PASSWORD)}`);
+}
+
+/**
+ * Check that a timestamp lies within a time range
+ * @param {string} timestamp - ISO timestamp
+ * @param {number} from - Earliest time in milliseconds
+ * @param {number} to - Latest time in milliseconds
+ * @param {string} field - Field the timestamp belongs to, for the failure message
+ */
+function assertRefreshedBetween(timestamp, from, to, field) {
+  const time = Date.parse(timestamp);
+  assert.ok(time >= from && time <= to, `${field} was refreshed at ${timestamp}`);
+}
+
+test('getProfile fetches every profile detail', async () => {
+  const { values, errors } = await manager.apiService.getProfile('SANDBOX-COOKIE-1', 1000001, PROFILE_FIELDS);
+
+  assert.deepStrictEqual(values, EXPECTED);
+  assert.deepStrictEqual(errors, {});
+});
+
+test('getProfile only asks the endpoints that serve the requested details', async () => {
+  const from = sandbox.server.requests.length;
+
+  const { values } = await manager.apiService.getProfile('SANDBOX-COOKIE-1', 1000001, ['robux']);
+
+  assert.deepStrictEqual(values, { robux: 250 });
+  assert.deepStrictEqual(sandbox.server.requests.slice(from).map(request => request.path), ['/economy/v1/users/1000001/currency']);
+});
+
+test('getProfile reports a failing source for its details only', async () => {
+  failNextRobuxFetch();
+
+  const { values, errors } = await manager.apiService.getProfile('SANDBOX-COOKIE-1', 1000001, PROFILE_FIELDS);
+
+  const { robux, ...others } = EXPECTED;
+  assert.deepStrictEqual(values, others);
+  assert.deepStrictEqual(Object.keys(errors), ['robux']);
+  assert.strictEqual(typeof errors.robux, 'string');
+});
+
+test('refreshProfile fetches the details adding the account didn\'t cache, each with its refresh time', async () => {
+  const account = manager.accounts['1000001'];
+  const displayNameRefreshedAt = account.profile.displayName.refreshedAt;
+
+  const from = Date.now();
+  const result = await manager.refreshProfile('SandboxPlayer1');
+  const to = Date.now();
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.deepStrictEqual(result.refreshed.sort(), PROFILE_FIELDS.filter(field => field !== 'displayName').sort());
+  assert.deepStrictEqual(result.errors, {});
+
+  PROFILE_FIELDS.forEach((field) => {
+    assert.deepStrictEqual(account.getProfileValue(field), EXPECTED[field], field);
+  });
+  PROFILE_FIELDS.filter(field => field !== 'displayName').forEach((field) => {
+    assertRefreshedBetween(account.profile[field].refreshedAt, from, to, field);
+  });
+  assert.strictEqual(account.profile.displayName.refreshedAt, displayNameRefreshedAt, 'cached when the account was added');
+});
+
+test('refreshProfile keeps recently refreshed details unless forced', async () => {
+  const requests = sandbox.server.requests.length;
+
+  const result = await manager.refreshProfile('SandboxPlayer1');
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.refreshed, []);
+  assert.strictEqual(sandbox.server.requests.length, requests, 'nothing was fetched');
+});
+
+test('refreshProfile keeps the cached value and time of a detail that failed to refresh', async () => {
+  const account = manager.accounts['1000001'];
+  const previousRobux = account.profile.robux;
+  sandbox.server.users.get(1000001).robux = 300;
+  sandbox.server.users.get(1000001).displayName = 'Renamed Player';
+  failNextRobuxFetch();
+
+  const from = Date.now();
+  const result = await manager.refreshProfile('SandboxPlayer1', { force: true });
+  const to = Date.now();
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.ok(!result.refreshed.includes('robux'));
+  assert.deepStrictEqual(Object.keys(result.errors), ['robux']);
+  assert.deepStrictEqual(account.profile.robux, previousRobux);
+  assert.strictEqual(account.getProfileValue('displayName'), 'Renamed Player');
+  PROFILE_FIELDS.filter(field => field !== 'robux').forEach((field) => {
+    assertRefreshedBetween(account.profile[field].refreshedAt, from, to, field);
+  });
+});
+
+test('/GetProfile returns each detail with its refresh time and the errors of this refresh', async () => {
+  failNextRobuxFetch();
+
+  const from = Date.now();
+  const response = await callApi('/GetProfile?Account=SandboxPlayer1&Force=true');
+  const to = Date.now();
+
+  assert.strictEqual(response.status, 200);
+  const profile = await response.json();
+  assert.strictEqual(profile.Key, '1000001');
+  assert.strictEqual(profile.DisplayName, 'Renamed Player');
+  assert.strictEqual(profile.HeadshotUrl, EXPECTED.headshotUrl);
+  assert.strictEqual(profile.IsPremium, true);
+  assert.strictEqual(profile.EmailVerified, true);
+  assert.strictEqual(profile.Created, EXPECTED.created);
+  assert.strictEqual(profile.Robux, 250, 'the value cached before the failed refresh');
+  assert.deepStrictEqual(Object.keys(profile.Errors), ['robux']);
+
+  ['DisplayName', 'HeadshotUrl', 'IsPremium', 'EmailVerified', 'Created'].forEach((field) => {
+    assertRefreshedBetween(profile.RefreshedAt[field], from, to, field);
+  });
+  assert.ok(Date.parse(profile.RefreshedAt.Robux) < from, 'Robux keeps its earlier refresh time');
+});
+
+test('/GetProfile returns the cached details without refreshing unless asked to', async () => {
+  const requests = sandbox.server.requests.length;
+
+  const response = await callApi('/GetProfile?Account=SandboxPlayer1');
+  const profile = await response.json();
+
+  assert.strictEqual(profile.Robux, 250);
+  assert.deepStrictEqual(profile.Errors, {});
+  assert.strictEqual(sandbox.server.requests.length, requests, 'nothing was fetched');
+});
+
+test('/GetProfile refuses an unknown account', async () => {
+  const response = await callApi('/GetProfile?Account=Nobody');
+
+  assert.strictEqual(response.status, 404);
+});
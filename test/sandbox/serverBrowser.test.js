@@ -0,0 +1,92 @@
+/**
+ * serverBrowser.test.js
+ *
+ * @fileoverview Listing public servers and joining one with each join strategy,
+ * against the fake Roblox server.
+ *
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startSandbox, startManager } = require('../helpers/sandbox');
+
+let sandbox;
+let manager;
+
+before(async () => {
+  sandbox = await startSandbox();
+  // Two servers with room and one full one
+  sandbox.server.addPlace({ placeId: 606, name: 'Sandbox Hop', maxPlayers: 4, servers: 3 });
+  sandbox.server.places.get(606).servers[2].playing = 4;
+  manager = await startManager(['SANDBOX-COOKIE-1', 'SANDBOX-COOKIE-2']);
+});
+
+after(async () => {
+  await manager.close();
+  await sandbox.stop();
+});
+
+const lastJoin = () => sandbox.server.joins[sandbox.server.joins.length - 1];
+
+test('lists every public server of a place', async () => {
+  const result = await manager.getServers('SandboxPlayer1', '1818');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.complete, true);
+  assert.strictEqual(result.servers.length, 30);
+  result.servers.forEach((server) => {
+    assert.strictEqual(typeof server.jobId, 'string');
+    assert.strictEqual(server.maxPlayers, 12);
+  });
+});
+
+test('joins the emptiest server with room with the smallest strategy', async () => {
+  const { servers } = await manager.getServers('SandboxPlayer1', '1818');
+  const emptiest = Math.min(...servers.filter(server => server.playing < server.maxPlayers).map(server => server.playing));
+
+  const result = await manager.joinServer('SandboxPlayer1', '1818', 'smallest');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.server.playing, emptiest);
+  assert.strictEqual(lastJoin().jobId, result.server.jobId);
+});
+
+test('joins the fullest server that still has room with the largest strategy', async () => {
+  const result = await manager.joinServer('SandboxPlayer2', '1818', 'largest');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.server.playing, 11);
+  assert.strictEqual(lastJoin().jobId, result.server.jobId);
+});
+
+test('refuses a full or unknown server with the jobid strategy', async () => {
+  const full = sandbox.server.places.get(606).servers[2].id;
+
+  const fullResult = await manager.joinServer('SandboxPlayer1', '606', 'jobid', { jobId: full });
+  assert.strictEqual(fullResult.success, false);
+  assert.match(fullResult.message, /is full/);
+
+  const unknownResult = await manager.joinServer('SandboxPlayer1', '606', 'jobid', { jobId: 'no-such-server' });
+  assert.strictEqual(unknownResult.success, false);
+  assert.match(unknownResult.message, /not among the public servers/);
+});
+
+test('hops to another server with the random strategy', async () => {
+  const [first, second] = sandbox.server.places.get(606).servers;
+
+  const joined = await manager.launchGame('SandboxPlayer2', '606', first.id);
+  assert.strictEqual(joined.success, true, joined.message);
+
+  const result = await manager.joinServer('SandboxPlayer2', '606', 'random');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.server.jobId, second.id, 'the only other server with room');
+  assert.strictEqual(lastJoin().jobId, second.id);
+});
+
+test('rejects an unknown strategy', async () => {
+  const result = await manager.joinServer('SandboxPlayer1', '1818', 'busiest');
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.message, /Unknown join strategy "busiest"/);
+});
@@ -0,0 +1,99 @@
+/**
+ * session.test.js
+ *
+ * @fileoverview Logging in with a cookie, CSRF token refresh and HTTP 429 backoff,
+ * against the fake Roblox server.
+ *
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startSandbox, startManager } = require('../helpers/sandbox');
+
+let sandbox;
+let manager;
+
+before(async () => {
+  sandbox = await startSandbox();
+  manager = await startManager();
+});
+
+after(async () => {
+  await manager.close();
+  await sandbox.stop();
+});
+
+test('adds an account from a valid cookie', async () => {
+  const result = await manager.importCookie('SANDBOX-COOKIE-1');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(result.accountKey, '1000001');
+  assert.strictEqual(manager.accounts['1000001'].username, 'SandboxPlayer1');
+});
+
+test('refuses a cookie the server does not know', async () => {
+  const result = await manager.importCookie('SANDBOX-COOKIE-UNKNOWN');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(Object.keys(manager.accounts).length, 1);
+});
+
+test('launches after fetching a CSRF token, and reuses it', async () => {
+  const first = await manager.launchGame('SandboxPlayer1', '1818');
+  assert.strictEqual(first.success, true, first.message);
+
+  const ticketRequests = () => sandbox.server.requests.filter(request => request.path.startsWith('/auth/v1/authentication-ticket')).length;
+  const sent = ticketRequests();
+  const second = await manager.launchGame('SandboxPlayer1', '1818');
+
+  assert.strictEqual(second.success, true, second.message);
+  assert.strictEqual(ticketRequests() - sent, 1, 'the cached token is sent with the ticket request');
+});
+
+test('retries once with the new token when the cached CSRF token expires', async () => {
+  sandbox.server.expireCsrfTokens();
+  const start = sandbox.server.requests.length;
+
+  const result = await manager.launchGame('SandboxPlayer1', '1818');
+
+  assert.strictEqual(result.success, true, result.message);
+  const ticketRequests = sandbox.server.requests.slice(start)
+    .filter(request => request.path.startsWith('/auth/v1/authentication-ticket'));
+  assert.strictEqual(ticketRequests.length, 2, 'refused with a fresh token, then retried');
+});
+
+test('backs off and retries when Roblox answers HTTP 429', async () => {
+  sandbox.server.rateLimit('/auth/v1/authentication-ticket', { times: 2, retryAfter: 0 });
+  const joins = sandbox.server.joins.length;
+
+  const result = await manager.launchGame('SandboxPlayer1', '1818');
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.strictEqual(sandbox.server.joins.length, joins + 1);
+});
+
+test('reports a launch as rate limited when Roblox keeps answering HTTP 429', async () => {
+  sandbox.server.rateLimit('/auth/v1/authentication-ticket', { times: Infinity, retryAfter: 0 });
+
+  try {
+    const result = await manager.launchGame('SandboxPlayer1', '1818');
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.rateLimited, true);
+    assert.match(result.message, /rate limiting/);
+  } finally {
+    sandbox.server.rateLimits = [];
+  }
+});
+
+test('gives up at once when Roblox asks to wait longer than the backoff limit', async () => {
+  sandbox.server.rateLimit('/auth/v1/authentication-ticket', { times: 1, retryAfter: 3600 });
+  const start = sandbox.server.requests.length;
+
+  const result = await manager.launchGame('SandboxPlayer1', '1818');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.rateLimited, true);
+  assert.strictEqual(result.retryAfterMs, 3600 * 1000);
+  assert.strictEqual(sandbox.server.requests.length - start, 1, 'no retry was attempted');
+});
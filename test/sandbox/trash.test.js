@@ -0,0 +1,52 @@
+/**
+ * trash.test.js
+ *
+ * @fileoverview Deleting accounts to the trash, and purging them for good.
+ *
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startSandbox, startManager } = require('../helpers/sandbox');
+
+let sandbox;
+let manager;
+
+before(async () => {
+  sandbox = await startSandbox();
+  manager = await startManager(['SANDBOX-COOKIE-1']);
+});
+
+after(async () => {
+  await manager.close();
+  await sandbox.stop();
+});
+
+test('purging an account deletes its launch history', async () => {
+  await manager.launchGame('SandboxPlayer1', '1818');
+  assert.strictEqual((await manager.getLaunchHistory('SandboxPlayer1')).length, 1);
+
+  await manager.deleteAccount('SandboxPlayer1');
+  const result = await manager.purgeTrash('SandboxPlayer1');
+  await manager.flush();
+
+  assert.strictEqual(result.success, true, result.message);
+  assert.deepStrictEqual(await manager.storage.getHistory('1000001'), []);
+});
+
+test('an account added again after a purge starts with an empty launch history', async () => {
+  await manager.importCookie('SANDBOX-COOKIE-1');
+
+  assert.deepStrictEqual(await manager.getLaunchHistory('SandboxPlayer1'), []);
+  assert.strictEqual((await manager.getLaunchStats('SandboxPlayer1')).totalLaunches, 0);
+});
+
+test('purging a deleted account that was added again keeps the history they share', async () => {
+  await manager.launchGame('SandboxPlayer1', '1818');
+  await manager.deleteAccount('SandboxPlayer1');
+  await manager.importCookie('SANDBOX-COOKIE-1');
+
+  await manager.purgeTrash('1000001');
+
+  assert.strictEqual((await manager.getLaunchHistory('SandboxPlayer1')).length, 1);
+});
@@ -0,0 +1,99 @@
+/**
+ * vault.test.js
+ *
+ * @fileoverview Enabling, disabling and locking the account vault, including
+ * what happens when the accounts can't be written.
+ *
+ */
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startSandbox, startManager } = require('../helpers/sandbox');
+
+let sandbox;
+let manager;
+
+before(async () => {
+  sandbox = await startSandbox();
+  manager = await startManager(['SANDBOX-COOKIE-1']);
+});
+
+after(async () => {
+  await manager.close();
+  await sandbox.stop();
+});
+
+afterEach(() => {
+  // Undo failWrites()
+  delete manager.saveAccounts;
+});
+
+/**
+ * Make every full save of the accounts fail
+ */
+function failWrites() {
+  manager.saveAccounts = async () => false;
+}
+
+/**
+ * Read the accounts file as stored on disk
+ * @returns {Object} - Parsed accounts file
+ */
+function readAccountsFile() {
+  return JSON.parse(fs.readFileSync(path.join(sandbox.directory, 'data', 'sandbox', 'accounts.json'), 'utf8'));
+}
+
+test('enableVault stays disabled when the encrypted file could not be written', async () => {
+  failWrites();
+
+  assert.strictEqual(await manager.enableVault('correct horse'), false);
+
+  assert.deepStrictEqual(manager.getVaultStatus(), { enabled: false, locked: false });
+  assert.ok(readAccountsFile().accounts, 'the file is still plaintext');
+});
+
+test('enableVault encrypts the accounts file', async () => {
+  assert.strictEqual(await manager.enableVault('correct horse'), true);
+
+  assert.deepStrictEqual(manager.getVaultStatus(), { enabled: true, locked: false });
+  assert.ok(readAccountsFile().vault);
+  assert.strictEqual(readAccountsFile().accounts, undefined);
+});
+
+test('disableVault keeps the vault enabled and unlocked when the plaintext file could not be written', async () => {
+  failWrites();
+
+  assert.strictEqual(await manager.disableVault(), false);
+
+  assert.deepStrictEqual(manager.getVaultStatus(), { enabled: true, locked: false });
+  assert.ok(readAccountsFile().vault, 'the file is still encrypted');
+});
+
+test('lockVault keeps the accounts unlocked when they could not be saved', async () => {
+  failWrites();
+
+  assert.strictEqual(await manager.lockVault(), false);
+
+  assert.strictEqual(manager.vaultLocked, false);
+  assert.ok(manager.accounts['1000001']);
+});
+
+test('lockVault drops the accounts and unlockVault brings them back', async () => {
+  assert.strictEqual(await manager.lockVault(), true);
+  assert.strictEqual(manager.vaultLocked, true);
+  assert.deepStrictEqual(manager.accounts, {});
+
+  assert.strictEqual(await manager.unlockVault('wrong'), false);
+  assert.strictEqual(await manager.unlockVault('correct horse'), true);
+
+  assert.strictEqual(manager.accounts['1000001'].username, 'SandboxPlayer1');
+});
+
+test('disableVault writes the accounts back in plaintext', async () => {
+  assert.strictEqual(await manager.disableVault(), true);
+
+  assert.deepStrictEqual(manager.getVaultStatus(), { enabled: false, locked: false });
+  assert.ok(readAccountsFile().accounts['1000001']);
+});
@@ -0,0 +1,251 @@
+/**
+ * RobloxHttpClient.test.js
+ *
+ * @fileoverview CSRF token caching and refresh, HTTP 429 backoff, rate limiting and
+ * typed errors of the Roblox HTTP client, against a local stand-in for Roblox whose
+ * responses each test scripts.
+ *
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+let server;
+let baseUrl;
+let handler;
+let received;
+
+// Everything under src reads its configuration on load, so the stand-in has to be up first
+let RobloxHttpClient;
+let errors;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res) => {
+    received.push({ method: req.method, path: req.path, headers: req.headers, body: req.body });
+    handler(req, res);
+  });
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  Object.assign(process.env, {
+    ROBLOX_AUTH_URL: `${baseUrl}/auth`,
+    ROBLOX_BACKOFF_BASE_MS: '10',
+    QUIET_MODE: 'true',
+    LOG_LEVEL: 'warn'
+  });
+  ({ RobloxHttpClient } = require('../../src/services/RobloxHttpClient'));
+  errors = require('../../src/utils/robloxErrors');
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  received = [];
+  handler = (req, res) => res.json({ ok: true });
+});
+
+/**
+ * Build a handler that enforces a CSRF token the way Roblox does
+ * @param {string[]} tokens - Tokens to hand out, one per refusal
+ * @returns {Function} - Express handler
+ */
+function csrfHandler(tokens) {
+  let current = null;
+  return (req, res) => {
+    if (current && req.headers['x-csrf-token'] === current) {
+      return res.json({ ok: true });
+    }
+    current = tokens.shift();
+    res.set('x-csrf-token', current);
+    res.status(403).json({ errors: [{ code: 0, message: 'Token Validation Failed' }] });
+  };
+}
+
+const newClient = options => new RobloxHttpClient('COOKIE', options);
+
+test('sends the cookie and parses the JSON response', async () => {
+  const data = await newClient({ userAgent: 'TestAgent' }).getJson(`${baseUrl}/users/v1/users/authenticated`);
+
+  assert.deepStrictEqual(data, { ok: true });
+  assert.strictEqual(received[0].headers.cookie, '.ROBLOSECURITY=COOKIE');
+  assert.strictEqual(received[0].headers['user-agent'], 'TestAgent');
+});
+
+test('fetches a CSRF token on the first write request and caches it', async () => {
+  handler = csrfHandler(['token-1']);
+  const client = newClient();
+
+  await client.postJson(`${baseUrl}/presence/v1/presence/users`, { userIds: [1] });
+  await client.postJson(`${baseUrl}/presence/v1/presence/users`, { userIds: [2] });
+
+  assert.deepStrictEqual(received.map(request => request.headers['x-csrf-token']), [undefined, 'token-1', 'token-1']);
+  assert.deepStrictEqual(received[2].body, { userIds: [2] });
+});
+
+test('retries once with the new CSRF token when the cached one is refused', async () => {
+  handler = csrfHandler(['token-1']);
+  const client = newClient();
+  await client.postJson(`${baseUrl}/write`);
+
+  // The stand-in rotates its token, as Roblox does when one expires
+  handler = csrfHandler(['token-2']);
+  received = [];
+  await client.postJson(`${baseUrl}/write`);
+
+  assert.deepStrictEqual(received.map(request => request.headers['x-csrf-token']), ['token-1', 'token-2']);
+});
+
+test('does not retry a 403 that carries no new token', async () => {
+  handler = (req, res) => res.status(403).json({ errors: [{ code: 0, message: 'Forbidden' }] });
+
+  await assert.rejects(newClient().postJson(`${baseUrl}/write`), (error) => {
+    assert.ok(error instanceof errors.RobloxForbiddenError);
+    assert.strictEqual(error.code, 'ROBLOX_FORBIDDEN');
+    assert.strictEqual(error.status, 403);
+    return true;
+  });
+  assert.strictEqual(received.length, 1);
+});
+
+test('getCsrfToken asks once and then answers from the cache', async () => {
+  handler = csrfHandler(['token-1']);
+  const client = newClient();
+
+  assert.strictEqual(await client.getCsrfToken(), 'token-1');
+  assert.strictEqual(await client.getCsrfToken(), 'token-1');
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].path, '/auth/v1/authentication-ticket/');
+});
+
+test('maps HTTP 401 to RobloxAuthError with the errors Roblox listed', async () => {
+  handler = (req, res) => res.status(401).json({ errors: [{ code: 0, message: 'Authorization has been denied for this request.' }] });
+
+  await assert.rejects(newClient().getJson(`${baseUrl}/users/v1/users/authenticated`), (error) => {
+    assert.ok(error instanceof errors.RobloxAuthError);
+    assert.strictEqual(error.code, 'ROBLOX_UNAUTHORIZED');
+    assert.strictEqual(error.status, 401);
+    assert.match(error.message, /Authorization has been denied/);
+    assert.deepStrictEqual(error.errors, [{ code: 0, message: 'Authorization has been denied for this request.' }]);
+    return true;
+  });
+});
+
+test('maps other error statuses to RobloxApiError', async () => {
+  handler = (req, res) => res.status(500).send('Internal Server Error');
+
+  await assert.rejects(newClient().getJson(`${baseUrl}/broken`), (error) => {
+    assert.strictEqual(error.constructor, errors.RobloxApiError);
+    assert.strictEqual(error.code, 'ROBLOX_API_ERROR');
+    assert.strictEqual(error.status, 500);
+    assert.strictEqual(error.url, `${baseUrl}/broken`);
+    return true;
+  });
+});
+
+test('maps a slow response to RobloxTimeoutError', async () => {
+  handler = (req, res) => setTimeout(() => res.json({}), 500);
+
+  await assert.rejects(newClient({ timeout: 50 }).getJson(`${baseUrl}/slow`), (error) => {
+    assert.ok(error instanceof errors.RobloxTimeoutError);
+    assert.strictEqual(error.code, 'ROBLOX_TIMEOUT');
+    return true;
+  });
+});
+
+test('maps an unreachable host to RobloxNetworkError', async () => {
+  // Nothing listens on port 1
+  await assert.rejects(newClient().getJson('http://127.0.0.1:1/'), (error) => {
+    assert.ok(error instanceof errors.RobloxNetworkError);
+    assert.strictEqual(error.code, 'ROBLOX_NETWORK_ERROR');
+    assert.strictEqual(error.status, null);
+    return true;
+  });
+});
+
+test('waits for Retry-After and retries when Roblox answers HTTP 429', async () => {
+  let refusals = 2;
+  handler = (req, res) => {
+    if (refusals-- > 0) {
+      return res.status(429).set('retry-after', '0').json({ errors: [{ code: 0, message: 'Too many requests' }] });
+    }
+    res.json({ ok: true });
+  };
+
+  const data = await newClient().getJson(`${baseUrl}/busy`);
+
+  assert.deepStrictEqual(data, { ok: true });
+  assert.strictEqual(received.length, 3);
+});
+
+test('backs off exponentially when Roblox sends no Retry-After', async () => {
+  let refusals = 2;
+  handler = (req, res) => (refusals-- > 0 ? res.status(429).json({}) : res.json({ ok: true }));
+
+  const started = Date.now();
+  await newClient().getJson(`${baseUrl}/busy`);
+
+  // 10 ms, then 20 ms
+  assert.ok(Date.now() - started >= 30);
+  assert.strictEqual(received.length, 3);
+});
+
+test('throws RobloxRateLimitError when HTTP 429 persists after every retry', async () => {
+  handler = (req, res) => res.status(429).set('retry-after', '0').json({});
+
+  await assert.rejects(newClient().getJson(`${baseUrl}/busy`), (error) => {
+    assert.ok(error instanceof errors.RobloxRateLimitError);
+    assert.strictEqual(error.code, 'ROBLOX_RATE_LIMITED');
+    assert.strictEqual(error.retryAfterMs, 0);
+    return true;
+  });
+  assert.strictEqual(received.length, 4, 'the first attempt and 3 retries');
+});
+
+test('does not wait when Roblox asks for longer than the backoff limit', async () => {
+  handler = (req, res) => res.status(429).set('retry-after', '3600').json({});
+
+  await assert.rejects(newClient().getJson(`${baseUrl}/busy`), (error) => {
+    assert.strictEqual(error.retryAfterMs, 3600 * 1000);
+    return true;
+  });
+  assert.strictEqual(received.length, 1);
+});
+
+test('spaces requests out once an endpoint family uses up its burst', async () => {
+  const client = newClient({ rateLimits: { API: { burst: 2, perSecond: 10 } } });
+
+  const started = Date.now();
+  await Promise.all([1, 2, 3, 4].map(() => client.getJson(`${baseUrl}/api`)));
+
+  // Two requests go out at once; the other two wait about 100 ms each
+  assert.ok(Date.now() - started >= 180);
+  assert.strictEqual(received.length, 4);
+});
+
+test('limits endpoint families separately', async () => {
+  const client = newClient({ rateLimits: { AUTH: { burst: 1, perSecond: 0.1 }, API: { burst: 5, perSecond: 5 } } });
+  await client.getJson(`${baseUrl}/auth`, { family: 'AUTH' });
+
+  const started = Date.now();
+  await client.getJson(`${baseUrl}/api`);
+
+  assert.ok(Date.now() - started < 1000, 'an empty AUTH bucket does not hold up API requests');
+});
+
+test('parses Retry-After as seconds or an HTTP date', () => {
+  const now = Date.parse('2025-01-01T00:00:00Z');
+
+  assert.strictEqual(errors.parseRetryAfter('5', now), 5000);
+  assert.strictEqual(errors.parseRetryAfter('Wed, 01 Jan 2025 00:00:30 GMT', now), 30000);
+  assert.strictEqual(errors.parseRetryAfter('Tue, 31 Dec 2024 00:00:00 GMT', now), 0);
+  assert.strictEqual(errors.parseRetryAfter('soon', now), null);
+  assert.strictEqual(errors.parseRetryAfter(null, now), null);
+});
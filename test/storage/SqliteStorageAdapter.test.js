@@ -0,0 +1,150 @@
+/**
+ * SqliteStorageAdapter.test.js
+ *
+ * @fileoverview Row-level writes of the SQLite backend and merging changes that
+ * another instance made to the same database.
+ *
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, { WATCH_INTERVAL_MS: '20', QUIET_MODE: 'true', LOG_LEVEL: 'warn' });
+const { SqliteStorageAdapter } = require('../../src/storage/SqliteStorageAdapter');
+
+let directory;
+let filePath;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'roblox-account-manager-test-'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Open a SQLite adapter on a fresh database in the test directory
+ * @async
+ * @param {string} name - Database file name
+ * @returns {Promise<SqliteStorageAdapter>} - Opened and loaded adapter
+ */
+async function openAdapter(name) {
+  filePath = path.join(directory, name);
+  const adapter = new SqliteStorageAdapter({ filePath });
+  await adapter.open();
+  await adapter.load();
+  return adapter;
+}
+
+/**
+ * Build a write queue batch
+ * @param {Object} changes - Sections to set
+ * @returns {Object} - Batch
+ */
+function batch(changes) {
+  return { document: null, accounts: {}, nextServers: {}, trash: {}, settings: {}, history: [], historyChanges: [], ...changes };
+}
+
+/**
+ * Wait for the next externalChange event
+ * @param {SqliteStorageAdapter} adapter - Watched adapter
+ * @returns {Promise<Object>} - Merge result
+ */
+function nextExternalChange(adapter) {
+  return new Promise((resolve, reject) => {
+    // The watch timer is unref'd, so this one keeps the test process alive meanwhile
+    const timeout = setTimeout(() => reject(new Error('No external change was reported')), 5000);
+    adapter.once('externalChange', (result) => {
+      clearTimeout(timeout);
+      resolve(result);
+    });
+  });
+}
+
+test('reads back what a batch wrote', async () => {
+  const adapter = await openAdapter('batch.db');
+
+  await adapter.applyChanges(batch({
+    accounts: { 1: { username: 'One' } },
+    nextServers: { 1: { placeId: '1818', jobId: 'job' } },
+    settings: { lastUsedPlaceId: '1818' },
+    history: [{ key: '1', entry: { type: 'launch', placeId: '1818' } }]
+  }));
+  const document = await adapter.load();
+
+  assert.deepStrictEqual(document.accounts, { 1: { username: 'One' } });
+  assert.deepStrictEqual(document.nextServers, { 1: { placeId: '1818', jobId: 'job' } });
+  assert.strictEqual(document.lastUsedPlaceId, '1818');
+  assert.deepStrictEqual(await adapter.getHistory('1'), [{ type: 'launch', placeId: '1818' }]);
+  await adapter.close();
+});
+
+test('deletes an account\'s history before appending the batch\'s new entries', async () => {
+  const adapter = await openAdapter('history.db');
+  await adapter.appendHistory('1', { type: 'launch', placeId: 'old' });
+  await adapter.appendHistory('2', { type: 'launch', placeId: 'other' });
+
+  await adapter.applyChanges(batch({
+    historyChanges: [{ type: 'delete', key: '1' }],
+    history: [{ key: '1', entry: { type: 'launch', placeId: 'new' } }]
+  }));
+
+  assert.deepStrictEqual(await adapter.getHistory('1'), [{ type: 'launch', placeId: 'new' }]);
+  assert.deepStrictEqual(await adapter.getHistory('2'), [{ type: 'launch', placeId: 'other' }]);
+  assert.deepStrictEqual((await adapter.load()).history['1'], [{ type: 'launch', placeId: 'new' }]);
+  await adapter.close();
+});
+
+test('moves an account\'s history to another key in the order it was written', async () => {
+  const adapter = await openAdapter('move.db');
+  await adapter.appendHistory('old', { type: 'launch', placeId: '1' });
+  await adapter.appendHistory('new', { type: 'launch', placeId: '2' });
+  await adapter.appendHistory('old', { type: 'launch', placeId: '3' });
+
+  await adapter.moveHistory('old', 'new');
+
+  assert.deepStrictEqual((await adapter.getHistory('new')).map(entry => entry.placeId), ['1', '2', '3']);
+  assert.deepStrictEqual(await adapter.getHistory('old'), []);
+  await adapter.close();
+});
+
+test('reports only what the other instance changed, not this instance\'s own writes', async () => {
+  const local = await openAdapter('shared.db');
+  const other = new SqliteStorageAdapter({ filePath });
+  await other.open();
+
+  await local.applyChanges(batch({ accounts: { 1: { username: 'Mine' } } }));
+  local.watch();
+  const changed = nextExternalChange(local);
+  await other.saveAccount('2', { username: 'Theirs' });
+
+  const { document, changes } = await changed;
+
+  assert.deepStrictEqual(changes.accounts, ['2']);
+  assert.deepStrictEqual(document.accounts, { 1: { username: 'Mine' }, 2: { username: 'Theirs' } });
+  await local.close();
+  await other.close();
+});
+
+test('reports an account this instance saved and the other instance then changed', async () => {
+  const local = await openAdapter('edited.db');
+  const other = new SqliteStorageAdapter({ filePath });
+  await other.open();
+
+  await local.saveAccount('1', { username: 'Before' });
+  local.watch();
+  const changed = nextExternalChange(local);
+  await other.saveAccount('1', { username: 'After' });
+
+  const { document, changes, conflicts } = await changed;
+
+  assert.deepStrictEqual(changes.accounts, ['1']);
+  assert.deepStrictEqual(conflicts, []);
+  assert.strictEqual(document.accounts['1'].username, 'After');
+  await local.close();
+  await other.close();
+});
@@ -0,0 +1,164 @@
+/**
+ * WriteQueue.test.js
+ *
+ * @fileoverview Coalescing and ordering of queued storage writes.
+ *
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { WriteQueue } = require('../../src/storage/WriteQueue');
+
+/**
+ * Build a storage stand-in that records the batches it is given
+ * @param {boolean} [succeed=true] - What applyChanges reports
+ * @returns {{batches: Object[], applyChanges: Function}} - Recording storage
+ */
+function recordingStorage(succeed = true) {
+  const batches = [];
+  return {
+    batches,
+    async applyChanges(batch) {
+      batches.push(batch);
+      return succeed;
+    }
+  };
+}
+
+test('deleting an account\'s history drops its entries queued before, not after', async () => {
+  const storage = recordingStorage();
+  const queue = new WriteQueue(storage, { delay: 1000 });
+
+  queue.appendHistory('1', { placeId: 'before' });
+  queue.appendHistory('2', { placeId: 'other' });
+  queue.deleteHistory('1');
+  queue.appendHistory('1', { placeId: 'after' });
+  await queue.flush();
+
+  const [batch] = storage.batches;
+  assert.deepStrictEqual(batch.historyChanges, [{ type: 'delete', key: '1' }]);
+  assert.deepStrictEqual(batch.history, [
+    { key: '2', entry: { placeId: 'other' } },
+    { key: '1', entry: { placeId: 'after' } }
+  ]);
+});
+
+test('a full save keeps queued history changes', async () => {
+  const storage = recordingStorage();
+  const queue = new WriteQueue(storage, { delay: 1000 });
+
+  queue.deleteHistory('1');
+  queue.appendHistory('2', { placeId: 'kept' });
+  queue.saveAll({ accounts: {} });
+  await queue.flush();
+
+  const [batch] = storage.batches;
+  assert.deepStrictEqual(batch.historyChanges, [{ type: 'delete', key: '1' }]);
+  assert.deepStrictEqual(batch.history, [{ key: '2', entry: { placeId: 'kept' } }]);
+});
+
+test('moving an account\'s history moves its queued entries with it', async () => {
+  const storage = recordingStorage();
+  const queue = new WriteQueue(storage, { delay: 1000 });
+
+  queue.appendHistory('old', { placeId: 'queued' });
+  queue.moveHistory('old', 'new');
+  await queue.flush();
+
+  const [batch] = storage.batches;
+  assert.deepStrictEqual(batch.historyChanges, [{ type: 'move', key: 'old', toKey: 'new' }]);
+  assert.deepStrictEqual(batch.history, [{ key: 'new', entry: { placeId: 'queued' } }]);
+});
+
+test('changes made within the delay are written as one batch with the latest value of each entry', async () => {
+  const storage = recordingStorage();
+  const queue = new WriteQueue(storage, { delay: 10 });
+
+  const written = [
+    queue.saveAccount('1', { alias: 'first' }),
+    queue.setNextServer('1', { placeId: '1818', jobId: 'job' }),
+    queue.saveAccount('1', { alias: 'second' }),
+    queue.setSetting('lastUsedPlaceId', '1818')
+  ];
+
+  assert.deepStrictEqual(await Promise.all(written), [true, true, true, true]);
+  assert.strictEqual(storage.batches.length, 1);
+  assert.deepStrictEqual(storage.batches[0].accounts, { 1: { alias: 'second' } });
+  assert.deepStrictEqual(storage.batches[0].nextServers, { 1: { placeId: '1818', jobId: 'job' } });
+  assert.deepStrictEqual(storage.batches[0].settings, { lastUsedPlaceId: '1818' });
+});
+
+test('a full save supersedes row changes queued before it, not after', async () => {
+  const storage = recordingStorage();
+  const queue = new WriteQueue(storage, { delay: 1000 });
+
+  queue.saveAccount('1', { alias: 'dropped' });
+  queue.saveAll({ accounts: {} });
+  queue.saveAccount('2', { alias: 'kept' });
+  await queue.flush();
+
+  const [batch] = storage.batches;
+  assert.deepStrictEqual(batch.document, { accounts: {} });
+  assert.deepStrictEqual(batch.accounts, { 2: { alias: 'kept' } });
+});
+
+test('writes one batch at a time and reports entries of a batch being written as pending', async () => {
+  let finishFirst;
+  const order = [];
+  const queue = new WriteQueue({
+    async applyChanges(batch) {
+      order.push(`start ${Object.keys(batch.accounts)}`);
+      if (!finishFirst) {
+        await new Promise((resolve) => { finishFirst = resolve; });
+      }
+      order.push(`end ${Object.keys(batch.accounts)}`);
+      return true;
+    }
+  }, { delay: 1000 });
+
+  queue.saveAccount('1', {});
+  const first = queue.flush();
+  queue.saveAccount('2', {});
+  const second = queue.flush();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.ok(queue.isPending('accounts', '1'), 'in flight');
+  assert.ok(queue.isPending('accounts', '2'), 'waiting for the first write');
+  assert.ok(!queue.isPending('accounts', '3'));
+
+  finishFirst();
+  await Promise.all([first, second]);
+
+  assert.deepStrictEqual(order, ['start 1', 'end 1', 'start 2', 'end 2']);
+  assert.ok(!queue.isPending('accounts', '1'));
+});
+
+test('callers learn that a write failed, including when storage throws', async () => {
+  const failing = new WriteQueue(recordingStorage(false), { delay: 1000 });
+  const throwing = new WriteQueue({
+    async applyChanges() {
+      throw new Error('disk full');
+    }
+  }, { delay: 1000 });
+
+  const failed = failing.saveAccount('1', {});
+  failing.flush();
+  const threw = throwing.saveAccount('1', {});
+  throwing.flush();
+
+  assert.strictEqual(await failed, false);
+  assert.strictEqual(await threw, false);
+});
+
+test('clearing the queue discards its changes and tells waiting callers they weren\'t written', async () => {
+  const storage = recordingStorage();
+  const queue = new WriteQueue(storage, { delay: 1000 });
+
+  const written = queue.saveAccount('1', {});
+  queue.clear();
+
+  assert.strictEqual(await written, false);
+  assert.strictEqual(queue.hasPending, false);
+  assert.strictEqual(await queue.flush(), true);
+  assert.deepStrictEqual(storage.batches, []);
+});
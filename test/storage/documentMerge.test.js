@@ -0,0 +1,110 @@
+/**
+ * documentMerge.test.js
+ *
+ * @fileoverview Three-way merge of the accounts document another process changed.
+ *
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mergeDocuments } = require('../../src/storage/documentMerge');
+
+/**
+ * Build an accounts document
+ * @param {Object} [parts] - Sections and settings to set
+ * @returns {Object} - Document
+ */
+function doc(parts = {}) {
+  return { schemaVersion: 2, accounts: {}, nextServers: {}, trash: {}, lastUsedPlaceId: null, ...parts };
+}
+
+test('applies remote additions, edits and removals of entries this side didn\'t touch', () => {
+  const base = doc({ accounts: { 1: { alias: 'a' }, 2: { alias: 'b' } } });
+  const local = doc({ accounts: { 1: { alias: 'a' }, 2: { alias: 'b' } } });
+  const remote = doc({ accounts: { 1: { alias: 'edited' }, 3: { alias: 'new' } } });
+
+  const { document, changes, conflicts } = mergeDocuments(base, local, remote);
+
+  assert.deepStrictEqual(document.accounts, { 1: { alias: 'edited' }, 3: { alias: 'new' } });
+  assert.deepStrictEqual(changes.accounts.sort(), ['1', '2', '3']);
+  assert.deepStrictEqual(conflicts, []);
+});
+
+test('keeps local changes the remote side didn\'t make', () => {
+  const base = doc({ accounts: { 1: { alias: 'a' } } });
+  const local = doc({ accounts: { 1: { alias: 'local' }, 2: { alias: 'added' } }, lastUsedPlaceId: '1818' });
+  const remote = doc({ accounts: { 1: { alias: 'a' } }, nextServers: { 1: { placeId: '1', jobId: 'job' } } });
+
+  const { document, changes, conflicts } = mergeDocuments(base, local, remote);
+
+  assert.deepStrictEqual(document.accounts, { 1: { alias: 'local' }, 2: { alias: 'added' } });
+  assert.strictEqual(document.lastUsedPlaceId, '1818');
+  assert.deepStrictEqual(document.nextServers, { 1: { placeId: '1', jobId: 'job' } });
+  assert.deepStrictEqual(changes.accounts, []);
+  assert.deepStrictEqual(changes.nextServers, ['1']);
+  assert.deepStrictEqual(conflicts, []);
+});
+
+test('keeps this side\'s version of an entry both sides edited and reports the conflict', () => {
+  const base = doc({ accounts: { 1: { alias: 'a' } }, lastUsedPlaceId: '1' });
+  const local = doc({ accounts: { 1: { alias: 'local' } }, lastUsedPlaceId: '2' });
+  const remote = doc({ accounts: { 1: { alias: 'remote' } }, lastUsedPlaceId: '3' });
+
+  const { document, changes, conflicts } = mergeDocuments(base, local, remote);
+
+  assert.deepStrictEqual(document.accounts['1'], { alias: 'local' });
+  assert.strictEqual(document.lastUsedPlaceId, '2');
+  assert.deepStrictEqual(changes.accounts, []);
+  assert.deepStrictEqual(conflicts, [
+    { section: 'accounts', key: '1' },
+    { section: 'settings', key: 'lastUsedPlaceId' }
+  ]);
+});
+
+test('doesn\'t report a conflict when both sides made the same change', () => {
+  const base = doc({ trash: {} });
+  const local = doc({ trash: { 1: { username: 'Gone' } } });
+  const remote = doc({ trash: { 1: { username: 'Gone' } } });
+
+  const { document, conflicts } = mergeDocuments(base, local, remote);
+
+  assert.deepStrictEqual(document.trash, { 1: { username: 'Gone' } });
+  assert.deepStrictEqual(conflicts, []);
+});
+
+test('merges settings added on the remote side', () => {
+  const { document, changes } = mergeDocuments(doc(), doc(), doc({ theme: 'dark' }));
+
+  assert.strictEqual(document.theme, 'dark');
+  assert.deepStrictEqual(changes.settings, ['theme']);
+});
+
+test('takes each account\'s history from the side that changed it', () => {
+  const base = doc({ history: { 1: [{ id: 'a' }], 2: [{ id: 'b' }] } });
+  const local = doc({ history: { 1: [{ id: 'a' }, { id: 'local' }], 2: [{ id: 'b' }] } });
+  const remote = doc({ history: { 1: [{ id: 'a' }], 2: [] } });
+
+  const { document } = mergeDocuments(base, local, remote);
+
+  assert.deepStrictEqual(document.history, { 1: [{ id: 'a' }, { id: 'local' }] });
+});
+
+test('keeps entries both sides appended to the same history', () => {
+  const base = doc({ history: { 1: [{ id: 'a' }] } });
+  const local = doc({ history: { 1: [{ id: 'a' }, { id: 'local' }] } });
+  const remote = doc({ history: { 1: [{ id: 'a' }, { id: 'remote' }] } });
+
+  const { document } = mergeDocuments(base, local, remote);
+
+  assert.deepStrictEqual(document.history['1'], [{ id: 'a' }, { id: 'remote' }, { id: 'local' }]);
+});
+
+test('returns a new document rather than changing the local one', () => {
+  const local = doc({ accounts: { 1: { alias: 'a' } } });
+  const remote = doc({ accounts: { 1: { alias: 'a' }, 2: { alias: 'new' } } });
+
+  const { document } = mergeDocuments(doc({ accounts: { 1: { alias: 'a' } } }), local, remote);
+  document.accounts['1'].alias = 'changed';
+
+  assert.deepStrictEqual(local.accounts, { 1: { alias: 'a' } });
+});
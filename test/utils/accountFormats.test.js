@@ -0,0 +1,147 @@
+/**
+ * accountFormats.test.js
+ *
+ * @fileoverview Import and export formats: the Windows Roblox Account Manager's
+ * AccountData.json, CSV and plain cookie lists.
+ *
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  detectFormat,
+  normalizeSecurityToken,
+  parseAccounts,
+  serializeAccounts
+} = require('../../src/utils/accountFormats');
+const { Account } = require('../../src/models/Account');
+
+/**
+ * An account as the Windows Roblox Account Manager writes it
+ * @type {Object}
+ */
+const RAM_ACCOUNT = {
+  Valid: true,
+  SecurityToken: '_|WARNING:-DO-NOT-SHARE-THIS.|_COOKIE-ONE',
+  Username: 'PlayerOne',
+  LastUse: '2026-01-02T03:04:05.000Z',
+  UserID: 1000001,
+  Fields: { Server: 'EU' },
+  BrowserTrackerID: '123456',
+  Group: 'Main',
+  Alias: 'Main account',
+  Description: 'Farms, "mostly", at night',
+  Password: 'hunter2'
+};
+
+test('detects the format of import content', () => {
+  assert.strictEqual(detectFormat(JSON.stringify([RAM_ACCOUNT])), 'ram');
+  assert.strictEqual(detectFormat('Username,SecurityToken\nOne,COOKIE'), 'csv');
+  assert.strictEqual(detectFormat('COOKIE-ONE\nCOOKIE-TWO'), 'cookies');
+});
+
+test('strips the cookie name and quotes from a security token', () => {
+  assert.strictEqual(normalizeSecurityToken(' .ROBLOSECURITY="COOKIE" '), 'COOKIE');
+  assert.strictEqual(normalizeSecurityToken(null), '');
+});
+
+test('maps AccountData.json entries to account data', () => {
+  const { entries, errors } = parseAccounts(JSON.stringify([RAM_ACCOUNT]), 'ram');
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(entries, [{
+    source: 'entry 1',
+    data: {
+      username: 'PlayerOne',
+      userId: 1000001,
+      securityToken: RAM_ACCOUNT.SecurityToken,
+      password: 'hunter2',
+      alias: 'Main account',
+      description: 'Farms, "mostly", at night',
+      group: 'Main',
+      fields: { Server: 'EU' },
+      browserTrackerId: '123456',
+      lastUsed: '2026-01-02T03:04:05.000Z'
+    }
+  }]);
+});
+
+test('drops the user ID RAM writes as 0 and reports entries without a usable cookie', () => {
+  const { entries, errors } = parseAccounts(JSON.stringify([
+    { SecurityToken: 'COOKIE', UserID: 0, Fields: {} },
+    { Username: 'NoCookie' },
+    { SecurityToken: 'has spaces' }
+  ]), 'ram');
+
+  assert.deepStrictEqual(entries, [{ source: 'entry 1', data: { securityToken: 'COOKIE' } }]);
+  assert.deepStrictEqual(errors, [
+    { source: 'entry 2', reason: 'Missing or malformed security token' },
+    { source: 'entry 3', reason: 'Missing or malformed security token' }
+  ]);
+});
+
+test('refuses RAM content that isn\'t a JSON array', () => {
+  assert.throws(() => parseAccounts('[{', 'ram'), /Invalid account JSON/);
+  assert.throws(() => parseAccounts('{}', 'ram'), /Expected a JSON array/);
+});
+
+test('reads CSV with alternative headers, quoted fields and JSON custom fields', () => {
+  const csv = [
+    'User Name,Cookie,Alias,Fields,Unknown',
+    'One,.ROBLOSECURITY=COOKIE-ONE,"Alias, with ""quotes""","{""Server"":""EU""}",ignored',
+    '',
+    'Two,COOKIE-TWO,,,',
+    'Three,COOKIE-THREE,,not json,'
+  ].join('\r\n');
+
+  const { entries, errors } = parseAccounts(csv, 'csv');
+
+  assert.deepStrictEqual(entries, [
+    {
+      source: 'line 2',
+      data: { username: 'One', securityToken: 'COOKIE-ONE', alias: 'Alias, with "quotes"', fields: { Server: 'EU' } }
+    },
+    { source: 'line 3', data: { username: 'Two', securityToken: 'COOKIE-TWO' } }
+  ]);
+  assert.deepStrictEqual(errors, [{ source: 'line 4', reason: 'Fields column is not valid JSON' }]);
+});
+
+test('refuses CSV without a cookie column', () => {
+  assert.throws(() => parseAccounts('Username,Alias\nOne,Main', 'csv'), /SecurityToken \(or Cookie\) column/);
+});
+
+test('reads one cookie per line, skipping blank lines and comments', () => {
+  const { entries, errors } = parseAccounts('# exported\nCOOKIE-ONE\n\n  .ROBLOSECURITY=COOKIE-TWO  \nbad cookie\n', 'cookies');
+
+  assert.deepStrictEqual(entries, [
+    { source: 'line 2', data: { securityToken: 'COOKIE-ONE' } },
+    { source: 'line 4', data: { securityToken: 'COOKIE-TWO' } }
+  ]);
+  assert.deepStrictEqual(errors, [{ source: 'line 5', reason: 'Missing or malformed security token' }]);
+});
+
+test('exported accounts import back unchanged in every format', () => {
+  const account = new Account(parseAccounts(JSON.stringify([RAM_ACCOUNT]), 'ram').entries[0].data);
+
+  assert.deepStrictEqual(JSON.parse(serializeAccounts([account], 'ram')), [RAM_ACCOUNT]);
+
+  const csv = serializeAccounts([account], 'csv');
+  assert.strictEqual(csv.split('\n')[0], 'Username,UserID,SecurityToken,Password,Alias,Description,Group,Fields');
+  assert.deepStrictEqual(parseAccounts(csv, 'csv').entries[0].data, {
+    username: 'PlayerOne',
+    userId: 1000001,
+    securityToken: RAM_ACCOUNT.SecurityToken,
+    password: 'hunter2',
+    alias: 'Main account',
+    description: 'Farms, "mostly", at night',
+    group: 'Main',
+    fields: { Server: 'EU' }
+  });
+
+  assert.strictEqual(serializeAccounts([account, new Account({ username: 'Placeholder' })], 'cookies'), `${RAM_ACCOUNT.SecurityToken}\n`);
+});
+
+test('refuses unknown formats', () => {
+  assert.throws(() => parseAccounts('', 'xml'), /Unknown import format "xml"/);
+  assert.throws(() => serializeAccounts([], 'xml'), /Unknown export format "xml"/);
+});
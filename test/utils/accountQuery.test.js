@@ -0,0 +1,107 @@
+/**
+ * accountQuery.test.js
+ *
+ * @fileoverview Parsing and matching account filter expressions.
+ *
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseQuery, matchesQuery } = require('../../src/utils/accountQuery');
+const { Account } = require('../../src/models/Account');
+
+/**
+ * Fixed current time for age terms
+ * @type {number}
+ */
+const NOW = Date.parse('2026-06-15T12:00:00.000Z');
+
+/**
+ * Build an account that was last used some days before NOW
+ * @param {Object} data - Account data
+ * @param {number|null} [daysAgo=null] - Days since last use, or null if never used
+ * @returns {Account} - Account instance
+ */
+function account(data, daysAgo = null) {
+  const lastUsed = daysAgo === null ? null : new Date(NOW - daysAgo * 24 * 60 * 60 * 1000).toISOString();
+  return new Account({ securityToken: 'COOKIE', lastUsed, ...data });
+}
+
+const ACCOUNTS = [
+  account({ username: 'FarmerOne', tags: ['farm', 'EU'], group: 'Main farm', status: 'valid' }, 1),
+  account({ username: 'FarmerTwo', tags: ['farm'], group: 'Main', status: 'expired' }, 10),
+  account({ username: 'Trader', alias: 'Market alt', group: 'Main', status: 'valid' })
+];
+
+/**
+ * Get the usernames of the test accounts that match a query
+ * @param {string} query - Query text
+ * @returns {string[]} - Matching usernames
+ */
+function matching(query) {
+  const terms = parseQuery(query);
+  return ACCOUNTS.filter(item => matchesQuery(item, terms, NOW)).map(item => item.username);
+}
+
+test('an empty query matches every account', () => {
+  assert.deepStrictEqual(parseQuery(''), []);
+  assert.deepStrictEqual(parseQuery(null), []);
+  assert.deepStrictEqual(matching('   '), ['FarmerOne', 'FarmerTwo', 'Trader']);
+});
+
+test('parses field, age and text terms', () => {
+  assert.deepStrictEqual(parseQuery('Tag:Farm lastUsed<7d -"market alt"'), [
+    { negate: false, type: 'value', property: 'tags', value: 'farm' },
+    { negate: false, type: 'age', property: 'lastUsed', operator: '<', maxAge: 7 * 24 * 60 * 60 * 1000 },
+    { negate: true, type: 'text', value: 'market alt' }
+  ]);
+});
+
+test('field terms match tags, group, status and name without regard to case', () => {
+  assert.deepStrictEqual(matching('tag:FARM'), ['FarmerOne', 'FarmerTwo']);
+  assert.deepStrictEqual(matching('tag:eu'), ['FarmerOne']);
+  assert.deepStrictEqual(matching('group:main'), ['FarmerTwo', 'Trader']);
+  assert.deepStrictEqual(matching('group:"Main farm"'), ['FarmerOne']);
+  assert.deepStrictEqual(matching('status:Valid'), ['FarmerOne', 'Trader']);
+  assert.deepStrictEqual(matching('name:trader'), ['Trader']);
+});
+
+test('all terms must match', () => {
+  assert.deepStrictEqual(matching('tag:farm status:valid'), ['FarmerOne']);
+  assert.deepStrictEqual(matching('tag:farm group:Trader'), []);
+});
+
+test('a leading minus excludes matches', () => {
+  assert.deepStrictEqual(matching('-tag:farm'), ['Trader']);
+  assert.deepStrictEqual(matching('tag:farm -status:expired'), ['FarmerOne']);
+  assert.deepStrictEqual(matching('-farmer'), ['Trader']);
+  assert.deepStrictEqual(matching('-'), [], 'a lone minus is a text term, not a negation');
+});
+
+test('age terms compare how long ago something happened; never counts as older than any age', () => {
+  assert.deepStrictEqual(matching('lastUsed<7d'), ['FarmerOne']);
+  assert.deepStrictEqual(matching('lastUsed>7d'), ['FarmerTwo', 'Trader']);
+  assert.deepStrictEqual(matching('lastused<12h'), []);
+  assert.deepStrictEqual(matching('lastUsed<2w'), ['FarmerOne', 'FarmerTwo']);
+  assert.deepStrictEqual(matching('-lastUsed<7d'), ['FarmerTwo', 'Trader']);
+});
+
+test('text terms match part of the username or alias', () => {
+  assert.deepStrictEqual(matching('farmer'), ['FarmerOne', 'FarmerTwo']);
+  assert.deepStrictEqual(matching('"market alt"'), ['Trader']);
+});
+
+test('refuses terms it can\'t parse, with code INVALID_QUERY', () => {
+  const invalid = [
+    ['tag:"farm', /Unclosed quote/],
+    ['color:red', /Unknown filter "color"/],
+    ['tag:', /Missing value/],
+    ['status:banned', /Unknown status "banned"/],
+    ['group<7d', /Cannot compare "group" with an age/],
+    ['lastUsed<7y', /Unknown unit "y"/]
+  ];
+
+  invalid.forEach(([query, message]) => {
+    assert.throws(() => parseQuery(query), error => error.code === 'INVALID_QUERY' && message.test(error.message), query);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * fileStorage.test.js
+ *
+ * @fileoverview Loading the accounts file when it can't be read: recovering a
+ * corrupt file from a backup, and leaving a file alone that can't be moved aside.
+ *
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, { QUIET_MODE: 'true', LOG_LEVEL: 'warn' });
+const {
+  useAccountsFile,
+  loadAccountsFromFile,
+  saveAccountsToFile
+} = require('../../src/utils/fileStorage');
+const { CURRENT_SCHEMA_VERSION } = require('../../src/utils/migrations');
+
+let directory;
+let accountsFile;
+let backupDirectory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'roblox-account-manager-test-'));
+  accountsFile = path.join(directory, 'accounts.json');
+  backupDirectory = path.join(directory, 'backups');
+  useAccountsFile(accountsFile, backupDirectory);
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Write a backup of the accounts file
+ * @param {Object} accounts - Accounts the backup holds
+ */
+function writeBackup(accounts) {
+  fs.mkdirSync(backupDirectory, { recursive: true });
+  const document = { schemaVersion: CURRENT_SCHEMA_VERSION, accounts, nextServers: {} };
+  fs.writeFileSync(path.join(backupDirectory, 'accounts-2026-01-01T00-00-00-000Z.json'), JSON.stringify(document));
+}
+
+/**
+ * List quarantined copies of the accounts file
+ * @returns {string[]} - File names
+ */
+function quarantinedFiles() {
+  return fs.readdirSync(directory).filter(file => file.startsWith('accounts.json.corrupt-'));
+}
+
+test('a file that doesn\'t parse is moved aside and replaced by the newest backup', async () => {
+  fs.writeFileSync(accountsFile, '{"accounts": {');
+  writeBackup({ 1: { username: 'Backup' } });
+
+  const document = await loadAccountsFromFile();
+
+  assert.strictEqual(document.accounts['1'].username, 'Backup');
+  const quarantined = quarantinedFiles();
+  assert.strictEqual(quarantined.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(directory, quarantined[0]), 'utf8'), '{"accounts": {');
+});
+
+test('a file that can\'t be read is neither replaced by a backup nor overwritten', async () => {
+  // Reading a directory fails with EISDIR rather than a parse error
+  fs.mkdirSync(accountsFile);
+  writeBackup({ 1: { username: 'Backup' } });
+
+  await assert.rejects(loadAccountsFromFile(), error => error.code === 'ACCOUNTS_FILE_UNREADABLE');
+
+  assert.ok(fs.statSync(accountsFile).isDirectory(), 'the backup was not restored over it');
+  assert.deepStrictEqual(quarantinedFiles(), []);
+  assert.strictEqual(await saveAccountsToFile({ accounts: {} }), false);
+});
+
+test('a file that doesn\'t parse and can\'t be moved aside is kept and saves are refused', async (t) => {
+  fs.writeFileSync(accountsFile, '{"accounts": {');
+  writeBackup({ 1: { username: 'Backup' } });
+  t.mock.method(fsPromises, 'rename', async () => {
+    throw Object.assign(new Error('EPERM: operation not permitted'), { code: 'EPERM' });
+  });
+
+  await assert.rejects(loadAccountsFromFile(), error => error.code === 'ACCOUNTS_FILE_UNREADABLE');
+  t.mock.restoreAll();
+
+  assert.strictEqual(fs.readFileSync(accountsFile, 'utf8'), '{"accounts": {');
+  assert.strictEqual(await saveAccountsToFile({ accounts: {} }), false);
+  assert.strictEqual(fs.readFileSync(accountsFile, 'utf8'), '{"accounts": {');
+});
@@ -0,0 +1,156 @@
+/**
+ * migrations.test.js
+ *
+ * @fileoverview Schema migrations of the stored accounts document, run on
+ * fixtures written in each older format.
+ *
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateDocument
+} = require('../../src/utils/migrations');
+
+/**
+ * Load a fixture document
+ * @param {string} name - Fixture file name without extension
+ * @returns {Object} - Parsed fixture
+ */
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', `${name}.json`), 'utf8'));
+}
+
+/**
+ * Get a single migration step
+ * @param {number} version - Version the step upgrades to
+ * @returns {Function} - The step's up function
+ */
+function step(version) {
+  return MIGRATIONS.find(migration => migration.version === version).up;
+}
+
+test('detects the version of each format', () => {
+  assert.strictEqual(getSchemaVersion(fixture('accounts-v0')), 0);
+  assert.strictEqual(getSchemaVersion(fixture('accounts-v1')), 1);
+  assert.strictEqual(getSchemaVersion({ accounts: {} }), 1, 'documents from before schemaVersion was written');
+});
+
+test('v0 to v1 wraps the bare account map in a document', () => {
+  const v0 = fixture('accounts-v0');
+
+  const v1 = step(1)(v0);
+
+  assert.deepStrictEqual(v1, { accounts: v0, lastUsedPlaceId: null, nextServers: {} });
+  assert.notStrictEqual(v1.accounts, v0, 'returns a new document');
+});
+
+test('v1 to v2 re-keys accounts by user ID', () => {
+  const v2 = step(2)(fixture('accounts-v1'));
+
+  assert.deepStrictEqual(Object.keys(v2.accounts).sort(), ['2000002', '2000003', 'Placeholder']);
+  assert.strictEqual(v2.accounts['2000003'].username, 'SoloPlayer');
+  assert.strictEqual(v2.lastUsedPlaceId, '1818');
+});
+
+test('v1 to v2 keeps accounts without a user ID under their old key', () => {
+  const v2 = step(2)(fixture('accounts-v1'));
+
+  assert.strictEqual(v2.accounts.Placeholder.password, 'hunter2');
+  assert.deepStrictEqual(v2.nextServers.Placeholder, { placeId: '606', jobId: 'job-placeholder' });
+});
+
+test('v1 to v2 merges entries that belong to the same user', () => {
+  const merged = step(2)(fixture('accounts-v1')).accounts['2000002'];
+
+  // The newer entry's session and username win
+  assert.strictEqual(merged.username, 'NewName');
+  assert.strictEqual(merged.securityToken, 'FIXTURE-COOKIE-FRESH');
+  assert.strictEqual(merged.lastUsed, '2023-06-02T12:00:00.000Z');
+  // Metadata from both is kept
+  assert.strictEqual(merged.addedAt, '2023-03-01T09:00:00.000Z');
+  assert.strictEqual(merged.browserTrackerId, '222222222222');
+  assert.strictEqual(merged.alias, 'Alt');
+  assert.strictEqual(merged.group, 'Farmers');
+  assert.strictEqual(merged.description, 'Before the rename\nAfter the rename');
+  assert.deepStrictEqual(merged.fields, { server: 'EU', notes: 'new' });
+});
+
+test('v1 to v2 merges duplicates the same way whichever comes first', () => {
+  const v1 = fixture('accounts-v1');
+  const { RenamedPlayer, NewName, ...rest } = v1.accounts;
+  const reversed = { ...v1, accounts: { NewName, RenamedPlayer, ...rest } };
+
+  const merged = step(2)(reversed).accounts['2000002'];
+
+  assert.strictEqual(merged.username, 'NewName');
+  assert.strictEqual(merged.securityToken, 'FIXTURE-COOKIE-FRESH');
+});
+
+test('v1 to v2 re-keys next servers and combines history of merged entries', () => {
+  const v2 = step(2)(fixture('accounts-v1'));
+
+  assert.deepStrictEqual(v2.nextServers['2000003'], { placeId: '1818', jobId: 'job-solo' });
+  assert.strictEqual(v2.nextServers.SoloPlayer, undefined);
+  assert.deepStrictEqual(Object.keys(v2.history), ['2000002']);
+  assert.deepStrictEqual(v2.history['2000002'].map(entry => entry.placeId), ['1818', '606']);
+});
+
+test('v1 to v2 does not modify its input', () => {
+  const v1 = fixture('accounts-v1');
+  const copy = JSON.parse(JSON.stringify(v1));
+
+  step(2)(v1);
+
+  assert.deepStrictEqual(v1, copy);
+});
+
+test('migrateDocument runs every step from a v0 file', () => {
+  const result = migrateDocument(fixture('accounts-v0'));
+
+  assert.strictEqual(result.fromVersion, 0);
+  assert.strictEqual(result.migrated, true);
+  assert.strictEqual(result.document.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.deepStrictEqual(Object.keys(result.document.accounts).sort(), ['2000001', 'NoIdPlayer']);
+  assert.strictEqual(result.document.accounts['2000001'].alias, 'Main');
+});
+
+test('migrateDocument leaves a current document as it is', () => {
+  const current = migrateDocument(fixture('accounts-v1')).document;
+
+  const result = migrateDocument(current);
+
+  assert.strictEqual(result.migrated, false);
+  assert.deepStrictEqual(result.document, current);
+});
+
+test('migrateDocument refuses a document from a newer version', () => {
+  assert.throws(
+    () => migrateDocument({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, accounts: {} }),
+    error => error.code === 'SCHEMA_TOO_NEW'
+  );
+});
+
+test('loading an old accounts file upgrades it', async () => {
+  const { useAccountsFile, loadAccountsFromFile } = require('../../src/utils/fileStorage');
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'roblox-account-manager-test-'));
+
+  try {
+    const accountsFile = path.join(directory, 'accounts.json');
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'accounts-v1.json'), accountsFile);
+    useAccountsFile(accountsFile, path.join(directory, 'backups'));
+
+    const document = await loadAccountsFromFile();
+
+    assert.strictEqual(document.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.strictEqual(document.accounts['2000002'].username, 'NewName');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,68 @@
+/**
+ * rateLimiter.test.js
+ *
+ * @fileoverview Token buckets used to rate limit requests to Roblox.
+ *
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TokenBucket, RateLimiter } = require('../../src/utils/rateLimiter');
+
+/**
+ * Measure how long an async function takes
+ * @async
+ * @param {Function} fn - Function to run
+ * @returns {Promise<number>} - Elapsed milliseconds
+ */
+async function elapsed(fn) {
+  const started = Date.now();
+  await fn();
+  return Date.now() - started;
+}
+
+test('hands out a full burst without waiting', async () => {
+  const bucket = new TokenBucket({ burst: 3, perSecond: 1 });
+
+  const took = await elapsed(() => Promise.all([bucket.take(), bucket.take(), bucket.take()]));
+
+  assert.ok(took < 100, `took ${took} ms`);
+});
+
+test('waits for a refill once the burst is used up', async () => {
+  const bucket = new TokenBucket({ burst: 1, perSecond: 20 });
+  await bucket.take();
+
+  const took = await elapsed(() => bucket.take());
+
+  // One token every 50 ms
+  assert.ok(took >= 40, `took ${took} ms`);
+});
+
+test('serves waiting callers in order', async () => {
+  const bucket = new TokenBucket({ burst: 1, perSecond: 50 });
+  const order = [];
+
+  await Promise.all([1, 2, 3].map(n => bucket.take().then(() => order.push(n))));
+
+  assert.deepStrictEqual(order, [1, 2, 3]);
+});
+
+test('refills no further than the burst', async () => {
+  const bucket = new TokenBucket({ burst: 2, perSecond: 100 });
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  await Promise.all([bucket.take(), bucket.take()]);
+  const took = await elapsed(() => bucket.take());
+
+  assert.ok(took >= 5, `took ${took} ms`);
+});
+
+test('keeps a separate bucket per name and leaves unknown names unlimited', async () => {
+  const limiter = new RateLimiter({ AUTH: { burst: 1, perSecond: 0.1 } });
+  await limiter.take('AUTH');
+
+  const took = await elapsed(() => Promise.all([1, 2, 3, 4, 5].map(() => limiter.take('API'))));
+
+  assert.ok(took < 100, `took ${took} ms`);
+});
@@ -0,0 +1,123 @@
+/**
+ * vault.test.js
+ *
+ * @fileoverview Encrypting and decrypting the accounts document, and the vault
+ * paths of the accounts file: encrypted saves, unlocking with the right or a
+ * wrong passphrase, and refusing saves while the vault is locked.
+ *
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, { QUIET_MODE: 'true', LOG_LEVEL: 'warn' });
+const { isVaultDocument, encryptDocument, decryptDocument } = require('../../src/utils/vault');
+const {
+  useAccountsFile,
+  saveAccountsToFile,
+  loadAccountsFromFile,
+  isAccountsFileEncrypted,
+  setVaultPassphrase,
+  clearVaultPassphrase,
+  setVaultEnabled,
+  getVaultStatus
+} = require('../../src/utils/fileStorage');
+
+const DOCUMENT = { accounts: { 1: { username: 'One', cookie: 'SECRET-COOKIE' } }, nextServers: {} };
+
+let directory;
+let accountsFile;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'roblox-account-manager-test-'));
+  accountsFile = path.join(directory, 'accounts.json');
+  useAccountsFile(accountsFile, path.join(directory, 'backups'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Save the test document with the vault enabled
+ * @async
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function saveEncrypted(passphrase) {
+  setVaultEnabled(true);
+  setVaultPassphrase(passphrase);
+  return saveAccountsToFile(DOCUMENT);
+}
+
+/**
+ * Forget all vault state, as a freshly started process would
+ */
+function forgetVault() {
+  clearVaultPassphrase();
+  setVaultEnabled(false);
+}
+
+test('encrypts a document that only the same passphrase decrypts', async () => {
+  const encrypted = await encryptDocument(DOCUMENT, 'correct horse');
+
+  assert.ok(isVaultDocument(encrypted));
+  assert.ok(!JSON.stringify(encrypted).includes('SECRET-COOKIE'));
+  assert.deepStrictEqual(await decryptDocument(encrypted, 'correct horse'), DOCUMENT);
+  await assert.rejects(decryptDocument(encrypted, 'wrong'), /wrong passphrase/);
+});
+
+test('refuses to encrypt or decrypt without a passphrase', async () => {
+  const encrypted = await encryptDocument(DOCUMENT, 'correct horse');
+
+  await assert.rejects(encryptDocument(DOCUMENT, ''), /passphrase is required/);
+  await assert.rejects(decryptDocument(encrypted, null), /Vault is locked/);
+});
+
+test('rejects a vault whose ciphertext was changed', async () => {
+  const encrypted = await encryptDocument(DOCUMENT, 'correct horse');
+  const ciphertext = Buffer.from(encrypted.vault.ciphertext, 'base64');
+  ciphertext[0] ^= 0xff;
+  encrypted.vault.ciphertext = ciphertext.toString('base64');
+
+  await assert.rejects(decryptDocument(encrypted, 'correct horse'), /damaged file/);
+});
+
+test('saves the accounts file encrypted and loads it with the passphrase', async () => {
+  assert.strictEqual(await saveEncrypted('correct horse'), true);
+
+  assert.ok(await isAccountsFileEncrypted());
+  assert.ok(!fs.readFileSync(accountsFile, 'utf8').includes('SECRET-COOKIE'));
+
+  forgetVault();
+  setVaultPassphrase('correct horse');
+  const document = await loadAccountsFromFile();
+
+  assert.strictEqual(document.accounts['1'].cookie, 'SECRET-COOKIE');
+  assert.deepStrictEqual(getVaultStatus(), { enabled: true, locked: false });
+});
+
+test('loading an encrypted file fails without the passphrase or with a wrong one', async () => {
+  await saveEncrypted('correct horse');
+  forgetVault();
+
+  await assert.rejects(loadAccountsFromFile(), /Vault is locked/);
+  assert.deepStrictEqual(getVaultStatus(), { enabled: true, locked: true });
+
+  setVaultPassphrase('wrong');
+  await assert.rejects(loadAccountsFromFile(), /wrong passphrase/);
+});
+
+test('a locked vault refuses saves and leaves the encrypted file as it was', async () => {
+  await saveEncrypted('correct horse');
+  const contents = fs.readFileSync(accountsFile, 'utf8');
+
+  clearVaultPassphrase();
+
+  assert.deepStrictEqual(getVaultStatus(), { enabled: true, locked: true });
+  assert.strictEqual(await saveAccountsToFile({ accounts: {}, nextServers: {} }), false);
+  assert.strictEqual(fs.readFileSync(accountsFile, 'utf8'), contents);
+});